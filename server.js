@@ -8,40 +8,103 @@ const webhookService = require("./src/services/webhook");
 const watiService = require("./src/services/watiService");
 const eventTemplates = require("./src/templates/templateConfig");
 const analyticsRoutes = require("./src/routes/analytics");
-
-// Validate environment variables
-validateConfig();
+const adminRoutes = require("./src/routes/admin");
+const templateRoutes = require("./src/routes/templates");
+const templateService = require("./src/services/templateService");
+const routingRules = require("./src/services/routingRules");
+const ruleRoutes = require("./src/routes/rules");
+const schedulerRoutes = require("./src/routes/scheduler");
+const scheduler = require("./src/services/scheduler");
+const segmentRoutes = require("./src/routes/segments");
+const campaignRoutes = require("./src/routes/campaigns");
+const campaignService = require("./src/services/campaignService");
+const customerAnalyticsService = require("./src/services/customerAnalyticsService");
+const invoiceRoutes = require("./src/routes/invoices");
+const authRoutes = require("./src/routes/auth");
+const exportRoutes = require("./src/routes/exports");
+const reportRoutes = require("./src/routes/reports");
+const watiWebhookRoutes = require("./src/routes/watiWebhook");
+const messageQueue = require("./src/services/messageQueue");
+const { verifySignature } = require("./src/middleware/verifySignature");
+const { requireRole } = require("./src/middleware/auth");
 
 const app = express();
-app.use(cors());
-const PORT = config.port;
 
-// Parse JSON bodies
-app.use(bodyParser.json());
+// Only configured browser origins may call the API
+app.use(
+  cors({
+    origin: config.corsOrigins.includes("*") ? true : config.corsOrigins,
+  })
+);
+const PORT = config.port;
 
-// Connect to MongoDB
-connectDB().then(() => {
-  console.log('✅ Ready to store webhook data in MongoDB');
-});
+// Parse JSON bodies, keeping the raw body for webhook signature verification
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Health endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({ success: true, message: "Server is running" });
 });
 
+// API keys, tokens and the current caller
+app.use("/api/auth", authRoutes);
+
 // Analytics routes
 app.use("/api/analytics", analyticsRoutes);
 
+// CSV / XLSX exports of orders, users and analytics reports
+app.use("/api/exports", exportRoutes);
+
+// History of the business summaries sent to the owners
+app.use("/api/reports", reportRoutes);
+
+// Admin routes (queue inspection and replay)
+app.use("/api/admin", adminRoutes);
+
+// Template mapping admin API
+app.use("/api/templates", templateRoutes);
+
+// Event routing rules admin API
+app.use("/api/rules", ruleRoutes);
+
+// Scheduled jobs and campaign history
+app.use("/api/scheduler", schedulerRoutes);
+
+// Customer segments and broadcast campaigns
+app.use("/api/segments", segmentRoutes);
+app.use("/api/campaigns", campaignRoutes);
+
+// Invoices: admin API and the signed customer download link
+app.use("/api/invoices", invoiceRoutes);
+app.use("/invoices", invoiceRoutes.publicRouter);
+
+// Inbound WATI webhooks (message status callbacks)
+app.use("/wati-webhook", watiWebhookRoutes);
+
+// Test endpoints are hidden in production unless ENABLE_TEST_ROUTES=true
+const testRoutesEnabled = (req, res, next) => {
+  if (!config.enableTestRoutes) {
+    return res.status(404).json({ success: false, message: "Not found" });
+  }
+  next();
+};
+
 // Mock event endpoint for testing
-app.get("/test-webhook/:event", (req, res) => {
+app.get("/test-webhook/:event", testRoutesEnabled, (req, res) => {
   const { event } = req.params;
 
-  if (!eventTemplates[event]) {
+  const sampleEvents = [...Object.keys(eventTemplates), "cart.abandoned"];
+
+  if (!sampleEvents.includes(event)) {
     return res.status(400).json({
       success: false,
-      message: `Event type '${event}' not supported. Supported events: ${Object.keys(
-        eventTemplates
-      ).join(", ")}`,
+      message: `Event type '${event}' not supported. Supported events: ${sampleEvents.join(", ")}`,
     });
   }
 
@@ -54,8 +117,8 @@ app.get("/test-webhook/:event", (req, res) => {
   });
 });
 
-// Test WATI API endpoint
-app.get("/test-wati/:template/:phone", async (req, res) => {
+// Test WATI API endpoint (sends a real message, so ops or admin only)
+app.get("/test-wati/:template/:phone", testRoutesEnabled, requireRole({ read: ["ops"] }), async (req, res) => {
   try {
     const { template, phone } = req.params;
     const response = await watiService.sendTestMessage(template, phone);
@@ -75,9 +138,11 @@ app.get("/test-wati/:template/:phone", async (req, res) => {
 });
 
 // Main webhook endpoint
-app.post("/growcify-webhook", async (req, res) => {
+app.post("/growcify-webhook", verifySignature, async (req, res) => {
   try {
-    const result = await webhookService.processWebhook(req.body);
+    const result = await webhookService.ingestWebhook(req.body, {
+      deliveryId: req.get("x-growcify-delivery-id"),
+    });
     return res.status(200).json(result);
   } catch (error) {
     console.error("❌ Error details:", {
@@ -106,7 +171,41 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
\ No newline at end of file
+/**
+ * Validate config, connect to MongoDB, start background workers and listen
+ * @returns {Promise} HTTP server
+ */
+const startServer = async () => {
+  // Validate environment variables
+  validateConfig();
+
+  // Connect to MongoDB
+  await connectDB();
+  console.log('✅ Ready to store webhook data in MongoDB');
+
+  templateService.seedTemplates().catch((error) => {
+    console.error(`❌ Error seeding template mappings: ${error.message}`);
+  });
+  routingRules.seedRules().catch((error) => {
+    console.error(`❌ Error seeding routing rules: ${error.message}`);
+  });
+  scheduler.seedJobs().catch((error) => {
+    console.error(`❌ Error seeding scheduled jobs: ${error.message}`);
+  });
+  messageQueue.startWorker();
+  scheduler.startScheduler();
+  campaignService.startCampaignWorker();
+  customerAnalyticsService.startCustomerSummaryWorker();
+
+  return app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+  });
+};
+
+// Start server when run directly; tests import the app without listening
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
+module.exports.startServer = startServer;
\ No newline at end of file
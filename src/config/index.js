@@ -1,24 +1,168 @@
 require("dotenv").config();
 
+/**
+ * Parse "tenantA:meta,tenantB:mock" into { tenantA: "meta", tenantB: "mock" }
+ * @param {string} value - Raw environment value
+ * @returns {object} Provider name per tenant
+ */
+const parseTenantProviders = (value) => {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce((providers, entry) => {
+      const [tenant, provider] = entry.split(":").map((part) => part.trim());
+      if (tenant && provider) providers[tenant] = provider;
+      return providers;
+    }, {});
+};
+
+/**
+ * Parse a comma-separated environment value into a list
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const parseList = (value) => {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
 // Configuration settings
 const config = {
   port: process.env.PORT || 5000,
   tenantId: process.env.TENANT_ID,
   watiApiKey: process.env.WATI_API_KEY,
   webhookSecret: process.env.WEBHOOK_SECRET,
-  watiApiBaseUrl: "https://live-mt-server.wati.io",
-  mongoUri: process.env.MONGO_URI || "mongodb://localhost:27017/webhook-to-wati"
+  webhookSecretSecondary: process.env.WEBHOOK_SECRET_SECONDARY,
+  webhookToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+  webhookDedupeWindowSeconds: parseInt(process.env.WEBHOOK_DEDUPE_WINDOW_SECONDS, 10) || 86400,
+  webhookProcessingTimeoutSeconds: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_SECONDS, 10) || 300,
+  watiBroadcastName: process.env.WATI_BROADCAST_NAME || "testing",
+  watiApiBaseUrl: process.env.WATI_API_BASE_URL || "https://live-mt-server.wati.io",
+  messagingProvider: process.env.MESSAGING_PROVIDER || "wati",
+  tenantProviders: parseTenantProviders(process.env.MESSAGING_PROVIDER_BY_TENANT),
+  meta: {
+    apiBaseUrl: process.env.META_API_BASE_URL || "https://graph.facebook.com",
+    apiVersion: process.env.META_API_VERSION || "v19.0",
+    phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+    accessToken: process.env.META_ACCESS_TOKEN,
+    templateLanguage: process.env.META_TEMPLATE_LANGUAGE || "en"
+  },
+  mockProviderStore: process.env.MOCK_PROVIDER_STORE || "memory",
+  defaultPhoneRegion: process.env.DEFAULT_PHONE_REGION || "IN",
+  mongoUri: process.env.MONGO_URI || "mongodb://localhost:27017/webhook-to-wati",
+  dryRun: process.env.DRY_RUN === "true",
+  // Quiet hours are defined per event in src/config/messagePolicies.js
+  enforceQuietHours: process.env.ENFORCE_QUIET_HOURS !== "false",
+  // Bootstrap admin key; further keys are created through /api/auth/keys and stored hashed
+  adminApiKey: process.env.ADMIN_API_KEY,
+  jwt: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_EXPIRES_IN || "1h",
+    issuer: process.env.JWT_ISSUER || "webhook-to-wati"
+  },
+  // Browser origins allowed to call the API; "*" allows any origin
+  corsOrigins: parseList(process.env.CORS_ORIGINS),
+  // /test-webhook and /test-wati are off in production unless explicitly enabled
+  enableTestRoutes: process.env.ENABLE_TEST_ROUTES
+    ? process.env.ENABLE_TEST_ROUTES === "true"
+    : process.env.NODE_ENV !== "production",
+  // Shared token WATI sends as ?token= on webhook URLs; required while inbound messages are handled
+  watiWebhookToken: process.env.WATI_WEBHOOK_TOKEN,
+  // Inbound customer messages (consent replies, ratings, commands) on /wati-webhook/messages
+  inboundMessagesEnabled: process.env.INBOUND_MESSAGES_ENABLED !== "false",
+  queue: {
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 2000,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+    backoffBaseMs: parseInt(process.env.QUEUE_BACKOFF_BASE_MS, 10) || 30000,
+    backoffMaxMs: parseInt(process.env.QUEUE_BACKOFF_MAX_MS, 10) || 3600000,
+    lockTimeoutMs: parseInt(process.env.QUEUE_LOCK_TIMEOUT_MS, 10) || 120000,
+    // Global send throughput, kept under the provider's API rate limit
+    maxSendsPerMinute: parseInt(process.env.MAX_SENDS_PER_MINUTE, 10) || 60
+  },
+  campaigns: {
+    pollIntervalMs: parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS, 10) || 5000
+  },
+  // Inbound conversations handed to a human; the bot stays quiet until resolved or timed out
+  handoffTimeoutHours: parseInt(process.env.HANDOFF_TIMEOUT_HOURS, 10) || 24,
+  // Public URL of this service, used in links sent to customers (e.g. invoice downloads)
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, ""),
+  invoices: {
+    enabled: process.env.INVOICES_ENABLED !== "false",
+    storageDir: process.env.INVOICE_STORAGE_DIR || "storage/invoices",
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || "INV",
+    // Signed download links; falls back to WEBHOOK_SECRET when no separate secret is set
+    urlSecret: process.env.INVOICE_URL_SECRET || process.env.WEBHOOK_SECRET,
+    urlTtlHours: parseInt(process.env.INVOICE_URL_TTL_HOURS, 10) || 168,
+    seller: {
+      name: process.env.SELLER_NAME || "Our Store",
+      address: process.env.SELLER_ADDRESS || "",
+      gstin: process.env.SELLER_GSTIN || "",
+      state: process.env.SELLER_STATE || ""
+    }
+  },
+  feedback: {
+    // Ratings are accepted for this long after the order.delivered message
+    windowDays: parseInt(process.env.FEEDBACK_WINDOW_DAYS, 10) || 7,
+    lowRatingThreshold: parseInt(process.env.FEEDBACK_LOW_RATING_THRESHOLD, 10) || 2
+  },
+  // Per-customer retention, RFM and lifetime value figures, precomputed into customersummaries
+  customerSummaries: {
+    refreshEnabled: process.env.CUSTOMER_SUMMARY_REFRESH_ENABLED !== "false",
+    refreshIntervalMinutes: parseInt(process.env.CUSTOMER_SUMMARY_REFRESH_MINUTES, 10) || 60,
+    // How long a customer is expected to keep buying, for the lifetime value estimate
+    clvLifespanMonths: parseInt(process.env.CLV_LIFESPAN_MONTHS, 10) || 24
+  },
+  // Recipients of the business summary reports (business-summary scheduled jobs)
+  reports: {
+    ownerNumbers: parseList(process.env.REPORT_OWNER_NUMBERS),
+    emailTo: parseList(process.env.REPORT_EMAIL_TO)
+  },
+  // Outgoing email; reports are only emailed when SMTP_HOST is set
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || process.env.SMTP_USER
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 60000,
+    lockTimeoutMs: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS, 10) || 15 * 60 * 1000
+  }
 };
 
 // Validate required environment variables
 const validateConfig = () => {
+  const providersInUse = new Set([
+    config.messagingProvider,
+    ...Object.values(config.tenantProviders)
+  ]);
+
   const requiredEnvVars = {
-    TENANT_ID: config.tenantId,
-    WATI_API_KEY: config.watiApiKey,
     WEBHOOK_SECRET: config.webhookSecret,
     MONGO_URI: config.mongoUri
   };
 
+  if (providersInUse.has("wati")) {
+    requiredEnvVars.TENANT_ID = config.tenantId;
+    requiredEnvVars.WATI_API_KEY = config.watiApiKey;
+  }
+
+  // Inbound messages change consent and answer with order details, so they must be authenticated
+  if (config.inboundMessagesEnabled) {
+    requiredEnvVars.WATI_WEBHOOK_TOKEN = config.watiWebhookToken;
+  }
+
+  if (providersInUse.has("meta")) {
+    requiredEnvVars.META_PHONE_NUMBER_ID = config.meta.phoneNumberId;
+    requiredEnvVars.META_ACCESS_TOKEN = config.meta.accessToken;
+  }
+
   const missingVars = Object.entries(requiredEnvVars)
     .filter(([key, value]) => !value)
     .map(([key]) => key);
@@ -0,0 +1,26 @@
+/**
+ * Outbound message policies, applied by the queue worker right before sending.
+ *
+ * quietHours: per event type, messages due inside the window are deferred
+ *   (not dropped) until it ends. Times are HH:mm in `timeZone`; windows may cross midnight.
+ * frequencyCaps: per event type, at most `max` messages per customer within `windowHours`.
+ *   Messages over the cap are suppressed.
+ */
+const messagePolicies = {
+  timeZone: "Asia/Kolkata",
+
+  quietHours: {
+    "user.signup": { start: "22:00", end: "08:00" },
+    "user.signin": { start: "22:00", end: "08:00" },
+    "scheduled.inactive-customers": { start: "21:00", end: "09:00" },
+    "scheduled.first-order-follow-up": { start: "21:00", end: "09:00" },
+    "scheduled.abandoned-cart": { start: "21:00", end: "09:00" },
+    "campaign": { start: "21:00", end: "09:00" },
+  },
+
+  frequencyCaps: {
+    "user.signin": { max: 1, windowHours: 24 },
+  },
+};
+
+module.exports = messagePolicies;
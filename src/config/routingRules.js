@@ -0,0 +1,26 @@
+/**
+ * Default event routing rules, seeded into the RoutingRule collection on startup.
+ * Rules are checked in ascending `priority` order and the first match wins.
+ *
+ * events: event types the rule applies to; "order.*" matches every order event.
+ * conditions: all must match. Each is { field, operator, value } where field is orderType,
+ *   paymentMethod, deliveryMode, amount, tags or a dot-path into the event data, and operator
+ *   is eq (default), ne, in, nin, gt, gte, lt, lte or exists. String comparisons ignore case,
+ *   and list fields such as tags match when any element matches.
+ * action: skip | template | delay | fanout
+ *   template: templateName (same parameters) or templateEvent (render another event's mapping)
+ *   delay:    delayMinutes
+ *   fanout:   recipients [{ mobileNumber, callingCode }] or [{ path, callingCodePath }]
+ */
+const routingRules = [
+  {
+    name: "skip-pos-orders",
+    description: "POS orders are billed at the counter, so no WhatsApp notification is sent",
+    events: ["order.*", "payment.*"],
+    conditions: [{ field: "orderType", operator: "eq", value: "pos" }],
+    action: "skip",
+    priority: 100,
+  },
+];
+
+module.exports = routingRules;
@@ -0,0 +1,83 @@
+/**
+ * Default scheduled jobs, seeded into the ScheduledJob collection on startup.
+ * They are seeded disabled: create and approve the templates in WATI, then
+ * enable each job through the /api/scheduler API.
+ *
+ * Parameters work like template mappings; paths read from { user, order, cart },
+ * or from { report } for business-summary jobs.
+ */
+// Template parameters shared by the daily and weekly business summaries
+const businessSummaryParameters = [
+  { name: "period", path: "report.period.label" },
+  { name: "orders", path: "report.metrics.orders", default: "0" },
+  { name: "revenue", path: "report.metrics.revenue", formatter: "currency", default: "₹0" },
+  { name: "revenue_change", path: "report.changeText.revenue" },
+  { name: "cancellations", path: "report.metrics.cancellations", default: "0" },
+  { name: "new_users", path: "report.metrics.newUsers", default: "0" },
+  { name: "top_products", path: "report.topProductsList", default: "No sales" },
+  { name: "delivery_failures", path: "report.metrics.deliveryFailures", default: "0" },
+];
+
+const scheduledJobs = [
+  {
+    name: "win-back-30-days",
+    description: "Customers with no order in the last 30 days",
+    type: "inactive-customers",
+    templateName: "bo_we_miss_you",
+    category: "marketing",
+    parameters: [
+      { name: "name", path: "user.name", default: "Customer" },
+    ],
+    options: { inactiveDays: 30 },
+    intervalMinutes: 24 * 60,
+  },
+  {
+    name: "first-order-follow-up",
+    description: "Thank first-time customers two days after their first order",
+    type: "first-order-follow-up",
+    templateName: "bo_first_order_follow_up",
+    category: "marketing",
+    parameters: [
+      { name: "name", path: "order.user.name", default: "Customer" },
+      { name: "order_id", path: "order.externalOrderId" },
+    ],
+    options: { followUpAfterHours: 48, lookbackDays: 7 },
+    intervalMinutes: 60,
+  },
+  {
+    name: "abandoned-cart-reminder",
+    description: "Remind customers about carts that didn't become an order within 2 hours",
+    type: "abandoned-cart",
+    templateName: "bo_abandoned_cart",
+    category: "marketing",
+    parameters: [
+      { name: "name", path: "cart.user.name", default: "Customer" },
+      { name: "items_list", path: "cart.items", formatter: "itemsList", default: "your items" },
+      { name: "amount", path: "cart.amount", formatter: "currency", default: "₹0" },
+    ],
+    options: { abandonedAfterHours: 2, lookbackDays: 3 },
+    intervalMinutes: 30,
+  },
+  {
+    name: "daily-business-summary",
+    description: "Yesterday's numbers for the owners, every morning at 8:00 IST",
+    type: "business-summary",
+    templateName: "bo_business_summary",
+    category: "transactional",
+    parameters: businessSummaryParameters,
+    options: { period: "day", runAt: "08:00" },
+    intervalMinutes: 24 * 60,
+  },
+  {
+    name: "weekly-business-summary",
+    description: "Last week's numbers (Monday to Sunday) for the owners, on Mondays at 8:00 IST",
+    type: "business-summary",
+    templateName: "bo_business_summary",
+    category: "transactional",
+    parameters: businessSummaryParameters,
+    options: { period: "week", runAt: "08:00", runOnDay: "monday" },
+    intervalMinutes: 7 * 24 * 60,
+  },
+];
+
+module.exports = scheduledJobs;
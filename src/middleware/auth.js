@@ -0,0 +1,57 @@
+const authService = require('../services/authService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Identify the caller from the `x-api-key` header or an `Authorization: Bearer <JWT>` header
+ * @param {object} req - Express request
+ * @returns {Promise} { type, role, subject, keyId } or null
+ */
+const identify = async (req) => {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return authService.authenticateApiKey(apiKey);
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer') return authService.authenticateToken(token);
+
+  return null;
+};
+
+/**
+ * Express middleware authenticating the caller and checking their role.
+ * Admins can do anything; other roles are listed per method type.
+ * @param {object} [access] - Roles allowed besides admin
+ * @param {Array<string>} [access.read=[]] - Roles allowed to make GET requests
+ * @param {Array<string>} [access.write=[]] - Roles allowed to make any request
+ * @returns {Function} Express middleware
+ */
+const requireRole = ({ read = [], write = [] } = {}) => async (req, res, next) => {
+  try {
+    const auth = await identify(req);
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or missing API key or token"
+      });
+    }
+
+    const allowed = ['admin', ...write, ...(READ_METHODS.includes(req.method) ? read : [])];
+    if (!allowed.includes(auth.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `The ${auth.role} role can't access this endpoint`
+      });
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error checking credentials",
+      error: error.message
+    });
+  }
+};
+
+module.exports = { requireRole };
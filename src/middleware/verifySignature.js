@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+const SIGNATURE_HEADER = 'x-growcify-signature';
+const TIMESTAMP_HEADER = 'x-growcify-timestamp';
+
+/**
+ * Compute the expected HMAC-SHA256 signature for a request body
+ * @param {string} secret - Shared webhook secret
+ * @param {string} timestamp - Timestamp sent with the request
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex encoded signature
+ */
+const computeSignature = (secret, timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+};
+
+/**
+ * Constant-time comparison of two hex signatures
+ * @param {string} expected - Signature we computed
+ * @param {string} received - Signature from the request
+ * @returns {boolean} Whether the signatures match
+ */
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Parse the timestamp header into milliseconds (accepts seconds or milliseconds)
+ * @param {string} timestamp - Timestamp header value
+ * @returns {number} Timestamp in milliseconds, or NaN if invalid
+ */
+const parseTimestamp = (timestamp) => {
+  if (!/^\d+$/.test(timestamp || '')) return NaN;
+
+  const value = Number(timestamp);
+  return value < 1e12 ? value * 1000 : value;
+};
+
+const reject = (res, message) => {
+  console.warn(`🔒 Webhook signature rejected: ${message}`);
+  return res.status(401).json({ success: false, message });
+};
+
+/**
+ * Express middleware verifying Growcify webhook signatures.
+ * Requires `req.rawBody` to be captured by the JSON body parser.
+ */
+const verifySignature = (req, res, next) => {
+  const signatureHeader = req.get(SIGNATURE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+
+  if (!signatureHeader) {
+    return reject(res, `Missing ${SIGNATURE_HEADER} header`);
+  }
+
+  if (!timestamp) {
+    return reject(res, `Missing ${TIMESTAMP_HEADER} header`);
+  }
+
+  const timestampMs = parseTimestamp(timestamp);
+  if (Number.isNaN(timestampMs)) {
+    return reject(res, 'Invalid webhook timestamp');
+  }
+
+  const toleranceMs = config.webhookToleranceSeconds * 1000;
+  if (Math.abs(Date.now() - timestampMs) > toleranceMs) {
+    return reject(res, 'Webhook timestamp outside of tolerance window');
+  }
+
+  if (!req.rawBody) {
+    return reject(res, 'Missing request body');
+  }
+
+  // Accept both "sha256=<hex>" and plain "<hex>" formats
+  const received = signatureHeader.replace(/^sha256=/, '').trim();
+  if (!/^[0-9a-f]+$/i.test(received)) {
+    return reject(res, 'Malformed webhook signature');
+  }
+
+  // Secondary secret allows rotating keys without downtime
+  const secrets = [config.webhookSecret, config.webhookSecretSecondary].filter(Boolean);
+  const isValid = secrets.some((secret) =>
+    signaturesMatch(computeSignature(secret, timestamp, req.rawBody), received.toLowerCase())
+  );
+
+  if (!isValid) {
+    return reject(res, 'Invalid webhook signature');
+  }
+
+  next();
+};
+
+module.exports = {
+  verifySignature,
+  computeSignature
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  productId: String,
+  name: String,
+  qty: Number,
+  price: Number
+}, { _id: false });
+
+const abandonedCartSchema = new mongoose.Schema({
+  cartId: { type: String, index: true },
+  user: {
+    userId: { type: String, index: true },
+    name: String,
+    mobile: String,
+    callingCode: String
+  },
+  items: [cartItemSchema],
+  amount: Number,
+  abandonedAt: Date,
+  convertedAt: Date,
+  convertedOrderId: String,
+  rawPayload: Object,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+abandonedCartSchema.index({ convertedAt: 1, abandonedAt: 1 });
+
+module.exports = mongoose.model('AbandonedCart', abandonedCartSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['admin', 'analyst', 'ops'],
+    required: true
+  },
+  // SHA-256 of the key; the key itself is only shown once, when created
+  keyHash: { type: String, unique: true },
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: String,
+  createdBy: String,
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const topProductSchema = new mongoose.Schema({
+  productId: String,
+  name: String,
+  quantity: Number,
+  revenue: Number
+}, { _id: false });
+
+const whatsappDeliverySchema = new mongoose.Schema({
+  mobileNumber: String,
+  whatsappNumber: String,
+  outboundMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+  // Status when queued: pending, rejected or suppressed
+  status: String
+}, { _id: false });
+
+// A business summary generated by a business-summary scheduled job
+const businessReportSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledJob', index: true },
+  jobRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobRun' },
+  jobName: String,
+  period: {
+    type: { type: String, enum: ['day', 'week'] },
+    from: Date,
+    to: Date,
+    label: String
+  },
+  metrics: {
+    orders: Number,
+    revenue: Number,
+    averageOrderValue: Number,
+    cancellations: Number,
+    cancelledRevenue: Number,
+    newUsers: Number,
+    messagesSent: Number,
+    messagesDelivered: Number,
+    messagesFailed: Number,
+    deadLettered: Number,
+    rejectedContacts: Number,
+    deliveryFailures: Number
+  },
+  // Percentage change from the previous day/week (null when there's nothing to compare against)
+  comparison: {
+    orders: Number,
+    revenue: Number,
+    newUsers: Number
+  },
+  topProducts: [topProductSchema],
+  whatsapp: [whatsappDeliverySchema],
+  email: {
+    to: [String],
+    status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+    messageId: String,
+    error: String,
+    sentAt: Date
+  },
+  dryRun: { type: Boolean, default: false },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+businessReportSchema.index({ 'period.type': 1, 'period.from': -1 });
+businessReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BusinessReport', businessReportSchema);
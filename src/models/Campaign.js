@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const parameterMappingSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  path: String,
+  formatter: { type: String, default: 'text' },
+  default: String
+}, { _id: false });
+
+const campaignSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment', required: true },
+  // Filters as they were when the campaign started
+  segmentFilters: Object,
+  templateName: { type: String, required: true },
+  // Campaigns are always sent as marketing messages
+  category: {
+    type: String,
+    enum: ['marketing'],
+    default: 'marketing'
+  },
+  parameters: [parameterMappingSchema],
+  broadcastName: String,
+  throttlePerMinute: { type: Number, default: 30 },
+  status: {
+    type: String,
+    enum: ['draft', 'starting', 'running', 'paused', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  recipientCount: { type: Number, default: 0 },
+  // Last DRY_RUN start, which only counted recipients
+  dryRunAt: Date,
+  // Why the last start failed; the campaign went back to draft
+  lastError: {
+    message: String,
+    at: Date
+  },
+  lastDispatchAt: Date,
+  startedAt: Date,
+  pausedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+campaignSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const campaignEnrollmentSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledJob', required: true },
+  jobRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobRun' },
+  whatsappNumber: { type: String, required: true },
+  userId: String,
+  orderId: String,
+  cartId: String,
+  outboundMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+  messageStatus: String,
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A customer enters each campaign at most once
+campaignEnrollmentSchema.index({ jobId: 1, whatsappNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('CampaignEnrollment', campaignEnrollmentSchema);
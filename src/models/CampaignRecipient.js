@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const campaignRecipientSchema = new mongoose.Schema({
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  userId: String,
+  name: String,
+  mobileNumber: String,
+  callingCode: String,
+  whatsappNumber: String,
+  // Segment member data used to render the template parameters
+  data: Object,
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  skipReason: String,
+  // Why queueing the recipient's message failed
+  failureReason: String,
+  outboundMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+  queuedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+campaignRecipientSchema.index({ campaignId: 1, status: 1 });
+campaignRecipientSchema.index({ campaignId: 1, whatsappNumber: 1 });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
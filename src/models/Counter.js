@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
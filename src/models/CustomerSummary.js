@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Per-customer order history rolled up from users and orders (cancelled orders excluded).
+// Rebuilt by customerAnalyticsService.refreshCustomerSummaries; not written anywhere else.
+const customerSummarySchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  name: String,
+  mobile: String,
+  whatsappNumber: String,
+  signedUpAt: Date,
+  // Start of the IST month the customer signed up in (their first order's month without a User record)
+  cohortMonth: Date,
+  orderCount: { type: Number, default: 0 },
+  totalSpent: { type: Number, default: 0 },
+  averageOrderValue: Number,
+  firstOrderAt: Date,
+  lastOrderAt: Date,
+  averageDaysBetweenOrders: Number,
+  // Start of each IST month with at least one order
+  orderMonths: [Date],
+  rfm: {
+    recencyDays: Number,
+    // 1–5 quintile scores, 5 being the most recent, most frequent and highest spending
+    recency: Number,
+    frequency: Number,
+    monetary: Number,
+    segment: String
+  },
+  estimatedClv: Number,
+  computedAt: Date
+});
+
+customerSummarySchema.index({ cohortMonth: 1 });
+customerSummarySchema.index({ 'rfm.segment': 1, totalSpent: -1 });
+customerSummarySchema.index({ estimatedClv: -1 });
+
+module.exports = mongoose.model('CustomerSummary', customerSummarySchema);
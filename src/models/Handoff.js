@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const handoffSchema = new mongoose.Schema({
+  whatsappNumber: { type: String, index: true },
+  senderName: String,
+  reason: {
+    type: String,
+    enum: ['requested', 'unrecognized', 'cancel-request']
+  },
+  orderId: String,
+  lastMessage: String,
+  messageCount: { type: Number, default: 1 },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  requestedAt: Date,
+  lastMessageAt: Date,
+  resolvedAt: Date,
+  resolvedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+handoffSchema.index({ status: 1, requestedAt: -1 });
+
+module.exports = mongoose.model('Handoff', handoffSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const inboundMessageSchema = new mongoose.Schema({
+  whatsappNumber: { type: String, index: true },
+  senderName: String,
+  providerMessageId: { type: String, index: true },
+  type: String,
+  text: String,
+  handledBy: String,
+  reply: String,
+  replySentAt: Date,
+  replyError: String,
+  rawPayload: Object,
+  // When the customer sent it; starts the 24-hour session window
+  sentAt: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inboundMessageSchema.index({ whatsappNumber: 1, sentAt: -1 });
+
+module.exports = mongoose.model('InboundMessage', inboundMessageSchema);
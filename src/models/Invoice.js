@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  orderId: { type: String, unique: true },
+  externalOrderId: Number,
+  // Set right after the invoice is claimed for its order
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  financialYear: String,
+  invoiceDate: Date,
+  fileName: String,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  total: Number,
+  generatedAt: Date,
+  generationCount: { type: Number, default: 0 },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
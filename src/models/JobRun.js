@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledJob', index: true },
+  jobName: String,
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  dryRun: { type: Boolean, default: false },
+  candidates: { type: Number, default: 0 },
+  enrolled: { type: Number, default: 0 },
+  alreadyEnrolled: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  // business-summary runs: the report they generated
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessReport' },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const messageStatusSchema = new mongoose.Schema({
+  status: String,
+  rawPayload: Object,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  outboundMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+  provider: String,
+  providerMessageId: { type: String, index: true },
+  whatsappMessageId: { type: String, index: true },
+  event: String,
+  templateName: String,
+  parameters: [{ _id: false, name: String, value: String }],
+  mobileNumber: String,
+  orderId: String,
+  userId: String,
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read', 'failed'],
+    default: 'sent'
+  },
+  statusHistory: [messageStatusSchema],
+  failureReason: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date,
+  updatedAt: Date
+});
+
+messageSchema.index({ sentAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const mockMessageSchema = new mongoose.Schema({
+  messageId: { type: String, index: true },
+  type: {
+    type: String,
+    enum: ['template', 'session'],
+    default: 'template'
+  },
+  whatsappNumber: String,
+  templateName: String,
+  parameters: [{ _id: false, name: String, value: String }],
+  broadcastName: String,
+  text: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('MockMessage', mockMessageSchema);
@@ -13,9 +13,36 @@ const orderItemSchema = new mongoose.Schema({
   isCombo: { type: Boolean, default: false }
 });
 
+const statusHistorySchema = new mongoose.Schema({
+  status: String,
+  previousStatus: String,
+  event: String,
+  changedBy: String,
+  reason: String,
+  refundStatus: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentHistorySchema = new mongoose.Schema({
+  status: String,
+  event: String,
+  amount: Number,
+  method: String,
+  transactionId: String,
+  failureReason: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
-  orderId: String,
-  externalOrderId: Number,
+  // Unique so that concurrent events for a new order can't insert it twice (see webhook.storeOrderData)
+  orderId: { type: String, unique: true, sparse: true },
+  externalOrderId: { type: Number, index: true },
   orderType: {
     type: String,
     enum: ['regular', 'pos', 'pickup-drop'],
@@ -23,7 +50,7 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'accepted', 'shipped', 'delivered', 'cancelled'],
+    enum: ['new', 'accepted', 'shipped', 'out-for-delivery', 'delivered', 'cancelled'],
     default: 'new'
   },
   paymentMethod: {
@@ -47,11 +74,42 @@ const orderSchema = new mongoose.Schema({
     mobile: String,
     email: String
   },
+  cancellationReason: String,
+  refundStatus: String,
+  refundAmount: Number,
+  refundedAt: Date,
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'failed']
+  },
+  paymentHistory: [paymentHistorySchema],
+  delivery: {
+    agentName: String,
+    agentMobile: String,
+    trackingUrl: String,
+    eta: Date
+  },
+  feedback: {
+    rating: { type: Number, min: 1, max: 5 },
+    comment: String,
+    whatsappNumber: String,
+    inboundMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'InboundMessage' },
+    receivedAt: Date,
+    updatedAt: Date
+  },
+  statusHistory: [statusHistorySchema],
   rawPayload: Object,
   createdAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  updatedAt: Date
 });
 
+orderSchema.index({ 'feedback.receivedAt': -1 });
+// Analytics: date ranges, optionally narrowed by status, and per-customer totals
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'user.userId': 1, createdAt: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
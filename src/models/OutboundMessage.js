@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const attemptErrorSchema = new mongoose.Schema({
+  message: String,
+  statusCode: Number,
+  provider: String,
+  providerMessageId: String,
+  response: Object,
+  retryable: Boolean,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const outboundMessageSchema = new mongoose.Schema({
+  event: String,
+  tenant: String,
+  mobileNumber: String,
+  callingCode: String,
+  whatsappNumber: String,
+  templateName: String,
+  category: {
+    type: String,
+    enum: ['transactional', 'marketing'],
+    default: 'transactional'
+  },
+  parameters: [{ _id: false, name: String, value: String }],
+  orderId: String,
+  userId: String,
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+  broadcastName: String,
+  routingRule: {
+    ruleId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    action: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'dead-lettered', 'rejected', 'suppressed', 'deferred'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: Number,
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  rejectionReason: String,
+  suppressionReason: String,
+  deferralReason: String,
+  deferredUntil: Date,
+  deferCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: attemptErrorSchema,
+  errorHistory: [attemptErrorSchema],
+  response: Object,
+  sentAt: Date,
+  deadLetteredAt: Date,
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
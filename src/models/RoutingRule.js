@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  operator: { type: String, enum: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'], default: 'eq' },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const recipientSchema = new mongoose.Schema({
+  mobileNumber: String,
+  callingCode: String,
+  path: String,
+  callingCodePath: String
+}, { _id: false });
+
+const routingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  events: [String],
+  conditions: [conditionSchema],
+  action: {
+    type: String,
+    enum: ['skip', 'template', 'delay', 'fanout'],
+    required: true
+  },
+  templateName: String,
+  templateEvent: String,
+  delayMinutes: Number,
+  recipients: [recipientSchema],
+  priority: { type: Number, default: 100 },
+  enabled: { type: Boolean, default: true },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const parameterMappingSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  path: String,
+  formatter: { type: String, default: 'text' },
+  default: String
+}, { _id: false });
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  type: {
+    type: String,
+    enum: ['inactive-customers', 'first-order-follow-up', 'abandoned-cart', 'business-summary'],
+    required: true
+  },
+  templateName: { type: String, required: true },
+  category: {
+    type: String,
+    enum: ['transactional', 'marketing'],
+    default: 'marketing'
+  },
+  parameters: [parameterMappingSchema],
+  // Type-specific settings, e.g. { inactiveDays: 30 } or { abandonedAfterHours: 2 }.
+  // { runAt: "08:00", runOnDay: "monday" } runs the job at a set IST time instead of every intervalMinutes.
+  options: { type: Object, default: {} },
+  intervalMinutes: { type: Number, default: 60 },
+  batchSize: { type: Number, default: 200 },
+  enabled: { type: Boolean, default: false },
+  nextRunAt: { type: Date, default: Date.now },
+  lastRunAt: Date,
+  lockedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const segmentSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  // See segmentService for the supported filters
+  filters: { type: Object, default: {} },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('Segment', segmentSchema);
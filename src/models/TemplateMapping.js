@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const parameterMappingSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  path: String,
+  formatter: { type: String, default: 'text' },
+  default: String,
+  // An empty required value makes the previous enabled version send instead
+  required: Boolean
+}, { _id: false });
+
+const templateMappingSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  templateName: { type: String, required: true },
+  version: { type: Number, default: 1 },
+  category: {
+    type: String,
+    enum: ['transactional', 'marketing'],
+    default: 'transactional'
+  },
+  parameters: [parameterMappingSchema],
+  enabled: { type: Boolean, default: true },
+  description: String,
+  // Hash of the templateConfig.js definition this mapping was seeded from; unset once edited
+  seedHash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+templateMappingSchema.index({ event: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('TemplateMapping', templateMappingSchema);
@@ -1,12 +1,41 @@
 const mongoose = require('mongoose');
 
+const consentStateSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['opted-in', 'opted-out']
+  },
+  source: String,
+  reason: String,
+  updatedBy: String,
+  updatedAt: Date
+}, { _id: false });
+
+const consentHistorySchema = new mongoose.Schema({
+  category: String,
+  status: String,
+  source: String,
+  reason: String,
+  updatedBy: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   userId: String,
   name: String,
   mobile: String,
+  whatsappNumber: { type: String, index: true },
   email: String,
   callingCode: String,
   referralCode: String,
+  consent: {
+    transactional: consentStateSchema,
+    marketing: consentStateSchema
+  },
+  consentHistory: [consentHistorySchema],
   rawPayload: Object,
   createdAt: {
     type: Date,
@@ -15,4 +44,4 @@ const userSchema = new mongoose.Schema({
   lastActivity: Date
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  // Unique so that concurrent deliveries can't both be recorded; released (unset)
+  // when the event fails or leaves the dedupe window, see eventLog.claimEvent
+  dedupeKey: { type: String, unique: true, sparse: true },
+  event: String,
+  payload: Object,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  error: {
+    message: String,
+    response: Object,
+    stack: String
+  },
+  messageIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' }],
+  result: Object,
+  matchedRule: {
+    ruleId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    action: String
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Start of the current processing attempt; a claim older than the processing timeout can be taken again
+  processingStartedAt: Date,
+  processedAt: Date
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,37 @@
+const { config } = require('../config');
+const watiProvider = require('./watiProvider');
+const metaCloudProvider = require('./metaCloudProvider');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Messaging providers. Each implements:
+ * - sendTemplate({ whatsappNumber, templateName, parameters, broadcastName }) → { provider, messageId, response }
+ * - sendSessionText({ whatsappNumber, text }) → { provider, messageId, response }
+ * - fetchStatus(messageId, { whatsappNumber }) → { status, raw }
+ */
+const providers = {
+  wati: watiProvider,
+  meta: metaCloudProvider,
+  mock: mockProvider
+};
+
+/**
+ * Get the messaging provider for a tenant, falling back to MESSAGING_PROVIDER
+ * @param {string} [tenant] - Tenant identifier
+ * @returns {object} Provider implementation
+ */
+const getProvider = (tenant) => {
+  const name = (tenant && config.tenantProviders[tenant]) || config.messagingProvider;
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  providers,
+  getProvider
+};
@@ -0,0 +1,94 @@
+const axios = require('axios');
+const { config } = require('../config');
+
+const getApiUrl = () =>
+  `${config.meta.apiBaseUrl}/${config.meta.apiVersion}/${config.meta.phoneNumberId}/messages`;
+
+const getHeaders = () => ({
+  Authorization: `Bearer ${config.meta.accessToken}`,
+  "Content-Type": "application/json",
+});
+
+/**
+ * Send a template message using the Meta WhatsApp Cloud API.
+ * Parameters are sent as named body parameters, matching WATI's named parameters.
+ * @param {object} message - Message details
+ * @param {string} message.whatsappNumber - Recipient in E.164 digits
+ * @param {string} message.templateName - Name of the template to use
+ * @param {Array} message.parameters - Template parameters
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendTemplate = async ({ whatsappNumber, templateName, parameters }) => {
+  const payload = {
+    messaging_product: "whatsapp",
+    to: whatsappNumber,
+    type: "template",
+    template: {
+      name: templateName,
+      language: { code: config.meta.templateLanguage },
+      components: [
+        {
+          type: "body",
+          parameters: (parameters || []).map((parameter) => ({
+            type: "text",
+            parameter_name: parameter.name,
+            text: parameter.value,
+          })),
+        },
+      ],
+    },
+  };
+
+  console.log("📤 Sending request to Meta Cloud API:", {
+    template: templateName,
+    to: whatsappNumber,
+  });
+
+  const response = await axios.post(getApiUrl(), payload, { headers: getHeaders() });
+
+  console.log("✅ Meta Cloud API Response:", response.data);
+  return {
+    provider: 'meta',
+    messageId: response.data?.messages?.[0]?.id,
+    response: response.data
+  };
+};
+
+/**
+ * Send a free-form text message inside the 24-hour session window
+ * @param {object} message - Message details
+ * @param {string} message.whatsappNumber - Recipient in E.164 digits
+ * @param {string} message.text - Message text
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendSessionText = async ({ whatsappNumber, text }) => {
+  const payload = {
+    messaging_product: "whatsapp",
+    to: whatsappNumber,
+    type: "text",
+    text: { body: text },
+  };
+
+  const response = await axios.post(getApiUrl(), payload, { headers: getHeaders() });
+
+  return {
+    provider: 'meta',
+    messageId: response.data?.messages?.[0]?.id,
+    response: response.data
+  };
+};
+
+/**
+ * The Cloud API only reports statuses through webhooks; there is no lookup endpoint
+ * @returns {Promise} { status, raw }
+ */
+const fetchStatus = async () => {
+  return { status: 'unknown', raw: null };
+};
+
+module.exports = {
+  name: 'meta',
+  sendTemplate,
+  sendSessionText,
+  fetchStatus
+};
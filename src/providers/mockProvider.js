@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const MockMessage = require('../models/MockMessage');
+
+// In-memory store, used unless MOCK_PROVIDER_STORE=mongo
+let sentMessages = [];
+
+const useMongo = () => config.mockProviderStore === 'mongo';
+
+/**
+ * Record a send in the configured store
+ * @param {object} record - Message record
+ * @returns {Promise} { provider, messageId, response }
+ */
+const record = async (record) => {
+  const entry = {
+    messageId: `mock-${crypto.randomUUID()}`,
+    createdAt: new Date(),
+    ...record
+  };
+
+  if (useMongo()) {
+    await MockMessage.create(entry);
+  } else {
+    sentMessages.push(entry);
+  }
+
+  console.log(`🧪 Mock provider recorded ${entry.type} message to ${entry.whatsappNumber}`);
+  return {
+    provider: 'mock',
+    messageId: entry.messageId,
+    response: { result: true, mock: true, messageId: entry.messageId }
+  };
+};
+
+/**
+ * Record a template message instead of sending it
+ * @param {object} message - Message details
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendTemplate = async ({ whatsappNumber, templateName, parameters, broadcastName }) => {
+  return record({ type: 'template', whatsappNumber, templateName, parameters, broadcastName });
+};
+
+/**
+ * Record a session text message instead of sending it
+ * @param {object} message - Message details
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendSessionText = async ({ whatsappNumber, text }) => {
+  return record({ type: 'session', whatsappNumber, text });
+};
+
+/**
+ * Recorded messages are reported as delivered
+ * @param {string} messageId - Mock message ID
+ * @returns {Promise} { status, raw }
+ */
+const fetchStatus = async (messageId) => {
+  const entry = useMongo()
+    ? await MockMessage.findOne({ messageId }).lean()
+    : sentMessages.find((message) => message.messageId === messageId);
+
+  return { status: entry ? 'delivered' : 'unknown', raw: entry || null };
+};
+
+/**
+ * Get everything the mock provider has recorded, oldest first
+ * @returns {Promise<Array>} Recorded messages
+ */
+const getSentMessages = async () => {
+  if (useMongo()) {
+    return MockMessage.find().sort({ createdAt: 1 }).lean();
+  }
+  return [...sentMessages];
+};
+
+/**
+ * Forget everything the mock provider has recorded
+ * @returns {Promise}
+ */
+const clearSentMessages = async () => {
+  if (useMongo()) {
+    await MockMessage.deleteMany({});
+  }
+  sentMessages = [];
+};
+
+module.exports = {
+  name: 'mock',
+  sendTemplate,
+  sendSessionText,
+  fetchStatus,
+  getSentMessages,
+  clearSentMessages
+};
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { config } = require('../config');
+
+// WATI statusString values mapped to our message status
+const WATI_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+const getHeaders = () => ({
+  Authorization: `Bearer ${config.watiApiKey}`,
+  "Content-Type": "application/json",
+});
+
+const getApiUrl = (path) => `${config.watiApiBaseUrl}/${config.tenantId}/api/v1/${path}`;
+
+/**
+ * Extract the message ID from a WATI send response
+ * @param {object} data - WATI API response body
+ * @returns {string|undefined} WATI message ID
+ */
+const extractMessageId = (data) => {
+  if (!data) return undefined;
+
+  return data.model?.ids?.[0] ||
+    data.receivers?.[0]?.localMessageId ||
+    data.message?.id ||
+    data.localMessageId ||
+    data.id;
+};
+
+/**
+ * Send a template message using WATI API
+ * @param {object} message - Message details
+ * @param {string} message.whatsappNumber - Recipient in E.164 digits
+ * @param {string} message.templateName - Name of the template to use
+ * @param {Array} message.parameters - Template parameters
+ * @param {string} [message.broadcastName] - WATI broadcast name
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendTemplate = async ({ whatsappNumber, templateName, parameters, broadcastName }) => {
+  const watiApiUrl = `${getApiUrl("sendTemplateMessage")}?whatsappNumber=${whatsappNumber}`;
+
+  const payload = {
+    template_name: templateName,
+    broadcast_name: broadcastName || config.watiBroadcastName,
+    parameters: parameters,
+  };
+
+  console.log("📤 Sending request to WATI API:", {
+    url: watiApiUrl,
+    payload: JSON.stringify(payload, null, 2),
+  });
+
+  const response = await axios.post(watiApiUrl, payload, { headers: getHeaders() });
+
+  console.log("✅ WATI API Response:", response.data);
+  return {
+    provider: 'wati',
+    messageId: extractMessageId(response.data),
+    response: response.data
+  };
+};
+
+/**
+ * Send a free-form text message inside the 24-hour session window
+ * @param {object} message - Message details
+ * @param {string} message.whatsappNumber - Recipient in E.164 digits
+ * @param {string} message.text - Message text
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendSessionText = async ({ whatsappNumber, text }) => {
+  const watiApiUrl = `${getApiUrl(`sendSessionMessage/${whatsappNumber}`)}?messageText=${encodeURIComponent(text)}`;
+
+  const response = await axios.post(watiApiUrl, null, { headers: getHeaders() });
+
+  console.log("✅ WATI session message response:", response.data);
+  return {
+    provider: 'wati',
+    messageId: extractMessageId(response.data),
+    response: response.data
+  };
+};
+
+/**
+ * Look up a message status. WATI has no lookup by message ID, so the
+ * recipient's message history is fetched and searched.
+ * @param {string} messageId - WATI message ID
+ * @param {object} options - Lookup options
+ * @param {string} options.whatsappNumber - Recipient in E.164 digits
+ * @returns {Promise} { status, raw }
+ */
+const fetchStatus = async (messageId, { whatsappNumber } = {}) => {
+  if (!whatsappNumber) {
+    throw new Error("WATI status lookup requires the recipient's WhatsApp number");
+  }
+
+  const response = await axios.get(getApiUrl(`getMessages/${whatsappNumber}`), {
+    headers: getHeaders(),
+  });
+
+  const items = response.data?.messages?.items || [];
+  const item = items.find((entry) =>
+    [entry.id, entry.localMessageId, entry.whatsappMessageId].includes(messageId)
+  );
+
+  if (!item) return { status: 'unknown', raw: null };
+
+  return {
+    status: WATI_STATUS[(item.statusString || '').toUpperCase()] || 'unknown',
+    raw: item
+  };
+};
+
+module.exports = {
+  name: 'wati',
+  sendTemplate,
+  sendSessionText,
+  fetchStatus,
+  extractMessageId
+};
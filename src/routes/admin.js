@@ -0,0 +1,208 @@
+// src/routes/admin.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const OutboundMessage = require('../models/OutboundMessage');
+const messageQueue = require('../services/messageQueue');
+const consentService = require('../services/consentService');
+const handoffService = require('../services/handoffService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['ops'], write: ['ops'] }));
+
+// List dead-lettered messages
+router.get('/messages/dead-letter', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { messages, total } = await messageQueue.listDeadLetters({ limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total,
+        limit,
+        offset,
+        messages
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching dead-lettered messages",
+      error: error.message
+    });
+  }
+});
+
+// Inspect a queued message
+router.get('/messages/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid message ID" });
+    }
+
+    const message = await OutboundMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ success: false, message: "Message not found" });
+    }
+
+    res.status(200).json({ success: true, data: message });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching message",
+      error: error.message
+    });
+  }
+});
+
+// Replay a dead-lettered message
+router.post('/messages/:id/replay', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid message ID" });
+    }
+
+    const message = await messageQueue.replayMessage(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Dead-lettered message not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Message requeued",
+      data: message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error replaying message",
+      error: error.message
+    });
+  }
+});
+
+// Look up consent for a phone number
+router.get('/consent/:phone', async (req, res) => {
+  try {
+    const found = await consentService.findByPhone(req.params.phone);
+
+    if (!found) {
+      return res.status(400).json({ success: false, message: "Invalid phone number" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: consentService.describeConsent(found.whatsappNumber, found.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching consent",
+      error: error.message
+    });
+  }
+});
+
+// Override consent for a phone number
+router.put('/consent/:phone', async (req, res) => {
+  try {
+    const { category = 'all', status, reason, updatedBy } = req.body || {};
+
+    if (!['opted-in', 'opted-out'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be 'opted-in' or 'opted-out'"
+      });
+    }
+
+    if (category !== 'all' && !consentService.CONSENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be 'all' or one of: ${consentService.CONSENT_CATEGORIES.join(", ")}`
+      });
+    }
+
+    const found = await consentService.findByPhone(req.params.phone);
+
+    if (!found) {
+      return res.status(400).json({ success: false, message: "Invalid phone number" });
+    }
+
+    const user = await consentService.setConsent(found.whatsappNumber, {
+      categories: category === 'all' ? consentService.CONSENT_CATEGORIES : [category],
+      status,
+      source: 'admin',
+      reason,
+      updatedBy: updatedBy || req.auth.subject
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Consent updated",
+      data: consentService.describeConsent(found.whatsappNumber, user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating consent",
+      error: error.message
+    });
+  }
+});
+
+// Conversations handed to the team (?status=open)
+router.get('/handoffs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ success: false, message: "status must be 'open' or 'resolved'" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { handoffs, total } = await handoffService.listHandoffs({ status, limit, offset });
+
+    res.status(200).json({ success: true, data: { total, limit, offset, handoffs } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching handoffs",
+      error: error.message
+    });
+  }
+});
+
+// Hand a conversation back to the bot
+router.post('/handoffs/:id/resolve', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid handoff ID" });
+    }
+
+    const handoff = await handoffService.resolveHandoff(req.params.id, {
+      resolvedBy: req.body?.resolvedBy || req.auth.subject
+    });
+
+    if (!handoff) {
+      return res.status(404).json({ success: false, message: "Open handoff not found" });
+    }
+
+    res.status(200).json({ success: true, data: handoff });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error resolving handoff",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
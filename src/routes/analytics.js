@@ -1,184 +1,87 @@
 // src/routes/analytics.js
 const express = require('express');
 const router = express.Router();
-const Order = require('../models/Order');
-const User = require('../models/User');
+const analyticsService = require('../services/analyticsService');
+const customerAnalyticsService = require('../services/customerAnalyticsService');
+const { requireRole } = require('../middleware/auth');
 
-// Get overall stats dashboard 
-router.get('/dashboard', async (req, res) => {
-  try {
-    // Get counts
-    const [
-      totalOrders,
-      totalUsers,
-      totalEvents,
-      totalRevenue,
-      recentOrders
-    ] = await Promise.all([
-      Order.countDocuments(),
-      User.countDocuments(),
-      Order.aggregate([
-        { $group: { _id: null, total: { $sum: "$amount" } } }
-      ]),
-      Order.find().sort({ createdAt: -1 }).limit(5)
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        totalOrders,
-        totalUsers,
-        totalEvents,
-        totalRevenue: totalRevenue.length ? totalRevenue[0].total : 0,
-        recentOrders
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching analytics",
-      error: error.message
-    });
-  }
-});
+router.use(requireRole({ read: ['analyst', 'ops'] }));
 
-// Get order analytics
-router.get('/orders', async (req, res) => {
+/**
+ * Route handler that parses the shared analytics query and returns the report
+ * @param {Function} getReport - analyticsService report function taking the parsed options
+ * @param {string} errorMessage - Message for unexpected errors
+ * @param {Function} [parseQuery] - Query parser returning { options, errors }
+ * @returns {Function} Express handler
+ */
+const analyticsHandler = (getReport, errorMessage, parseQuery = analyticsService.parseAnalyticsQuery) => async (req, res) => {
   try {
-    // Get order stats
-    const [
-      ordersByStatus,
-      ordersByDeliveryMode,
-      ordersByPaymentMethod,
-      salesByDay
-    ] = await Promise.all([
-      Order.aggregate([
-        { $group: { _id: "$status", count: { $sum: 1 } } }
-      ]),
-      Order.aggregate([
-        { $group: { _id: "$deliveryMode", count: { $sum: 1 } } }
-      ]),
-      Order.aggregate([
-        { $group: { _id: "$paymentMethod", count: { $sum: 1 } } }
-      ]),
-      Order.aggregate([
-        {
-          $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-            sales: { $sum: "$amount" },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { _id: 1 } }
-      ])
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        ordersByStatus,
-        ordersByDeliveryMode,
-        ordersByPaymentMethod,
-        salesByDay
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching order analytics",
-      error: error.message
-    });
-  }
-});
+    const { options, errors } = parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid analytics query", errors });
+    }
 
-// Get product analytics
-router.get('/products', async (req, res) => {
-  try {
-    // Get top selling products
-    const topProducts = await Order.aggregate([
-      { $unwind: "$items" },
-      {
-        $group: {
-          _id: {
-            productId: "$items.productId",
-            name: "$items.name"
-          },
-          totalSold: { $sum: "$items.qty" },
-          totalRevenue: { $sum: { $multiply: ["$items.price", "$items.qty"] } },
-          avgPrice: { $avg: "$items.price" },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { totalRevenue: -1 } },
-      { $limit: 10 }
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        topProducts
-      }
-    });
+    const data = await getReport(options);
+    res.status(200).json({ success: true, data });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching product analytics",
+      message: errorMessage,
       error: error.message
     });
   }
-});
+};
+
+// Every endpoint accepts ?from&to (IST dates, default last 30 days), orderType, paymentMethod,
+// deliveryMode, status (comma-separated), granularity (day/week/month) and limit/offset
+
+// Overall stats dashboard
+router.get('/dashboard', analyticsHandler(analyticsService.getDashboard, "Error fetching analytics"));
+
+// Orders by status, delivery mode and payment method, and sales over time
+router.get('/orders', analyticsHandler(analyticsService.getOrderAnalytics, "Error fetching order analytics"));
+
+// Top selling products
+router.get('/products', analyticsHandler(analyticsService.getProductAnalytics, "Error fetching product analytics"));
+
+// New users and top customers
+router.get('/users', analyticsHandler(analyticsService.getUserAnalytics, "Error fetching user analytics"));
 
-// Get user analytics
-router.get('/users', async (req, res) => {
+// Delivery feedback ratings
+router.get('/feedback', analyticsHandler(analyticsService.getFeedbackAnalytics, "Error fetching feedback analytics"));
+
+// Message delivery and read rates
+router.get('/messages', analyticsHandler(analyticsService.getMessageAnalytics, "Error fetching message analytics"));
+
+// Customer retention, RFM and lifetime value, read from the precomputed customer summaries.
+// These take ?cohorts, limit/offset and segment rather than a date range and order filters.
+const customerHandler = (getReport, errorMessage) =>
+  analyticsHandler(getReport, errorMessage, customerAnalyticsService.parseCustomerQuery);
+
+// Monthly signup cohorts and the share that ordered N months later
+router.get('/customers/retention', customerHandler(customerAnalyticsService.getCohortRetention, "Error fetching cohort retention"));
+
+// Repeat purchase rate and average days between orders
+router.get('/customers/repeat-purchases', customerHandler(customerAnalyticsService.getRepeatPurchases, "Error fetching repeat purchases"));
+
+// Recency/frequency/monetary segments
+router.get('/customers/rfm', customerHandler(customerAnalyticsService.getRfmAnalytics, "Error fetching RFM segments"));
+
+// Estimated customer lifetime value
+router.get('/customers/clv', customerHandler(customerAnalyticsService.getClvAnalytics, "Error fetching customer lifetime value"));
+
+// Recompute the customer summaries now instead of waiting for the next refresh (admin)
+router.post('/customers/refresh', async (req, res) => {
   try {
-    // Get users stats
-    const [
-      newUsersByDay,
-      userOrderStats
-    ] = await Promise.all([
-      User.aggregate([
-        {
-          $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { _id: 1 } }
-      ]),
-      Order.aggregate([
-        {
-          $match: { status: { $ne: "cancelled" } }  // Exclude canceled orders
-        },
-        {
-          $group: {
-            _id: "$user.userId",
-            userName: { $first: "$user.name" },
-            userEmail: { $first: "$user.email" },
-            userMobile: { $first: "$user.mobile" },
-            orderCount: { $sum: 1 },
-            totalSpent: { $sum: "$amount" },   // Now only sums non-canceled orders
-            avgOrderValue: { $avg: "$amount" }
-          }
-        },
-        { $sort: { totalSpent: -1 } },
-        { $limit: 10 }
-      ])      
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        newUsersByDay,
-        topCustomers: userOrderStats
-      }
-    });
+    const data = await customerAnalyticsService.refreshCustomerSummaries();
+    res.status(200).json({ success: true, data });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching user analytics",
+      message: "Error refreshing customer summaries",
       error: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,109 @@
+// src/routes/auth.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { config } = require('../config');
+const authService = require('../services/authService');
+const { requireRole } = require('../middleware/auth');
+
+// Every role may see who it is and exchange its key for a token; only admins manage keys
+const anyRole = requireRole({ read: ['analyst', 'ops'], write: ['analyst', 'ops'] });
+const adminOnly = requireRole();
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid API key ID" });
+  }
+  next();
+});
+
+// The authenticated caller
+router.get('/me', anyRole, (req, res) => {
+  res.status(200).json({ success: true, data: req.auth });
+});
+
+// Exchange an API key for a short-lived JWT carrying the same role
+router.post('/token', anyRole, (req, res) => {
+  try {
+    if (!config.jwt.secret) {
+      return res.status(403).json({
+        success: false,
+        message: "Tokens are disabled. Set JWT_SECRET to enable them."
+      });
+    }
+
+    if (req.auth.type !== 'api-key') {
+      return res.status(400).json({ success: false, message: "Tokens can only be issued for an API key" });
+    }
+
+    const { token, expiresAt } = authService.issueToken(req.auth);
+    res.status(201).json({ success: true, data: { token, expiresAt, role: req.auth.role } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error issuing token",
+      error: error.message
+    });
+  }
+});
+
+// List API keys (hashes are never returned)
+router.get('/keys', adminOnly, async (req, res) => {
+  try {
+    const keys = await authService.listApiKeys();
+    res.status(200).json({ success: true, data: keys });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching API keys",
+      error: error.message
+    });
+  }
+});
+
+// Create an API key: { "name": "metabase", "role": "analyst", "expiresAt": "2027-01-01" }
+router.post('/keys', adminOnly, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = authService.validateApiKey(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid API key", errors });
+    }
+
+    const { apiKey, key } = await authService.createApiKey(body, req.auth.subject);
+    const { keyHash, ...data } = apiKey.toObject();
+
+    res.status(201).json({
+      success: true,
+      message: "Store this key now; it can't be shown again",
+      data: { ...data, key }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating API key",
+      error: error.message
+    });
+  }
+});
+
+// Revoke an API key; tokens already issued for it stay valid until they expire
+router.post('/keys/:id/revoke', adminOnly, async (req, res) => {
+  try {
+    const apiKey = await authService.revokeApiKey(req.params.id, req.auth.subject);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" });
+    }
+
+    const { keyHash, ...data } = apiKey.toObject();
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error revoking API key",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// src/routes/campaigns.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const campaignService = require('../services/campaignService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed campaign IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid campaign ID" });
+  }
+  next();
+});
+
+// Recipient, outbound queue and delivery statuses a recipient's result can take
+const RESULTS = [
+  'pending', 'skipped', 'processing', 'deferred', 'suppressed', 'rejected', 'dead-lettered',
+  'sent', 'delivered', 'read', 'failed'
+];
+
+/**
+ * Build a handler for a status transition (start, pause, resume, cancel).
+ * Responds 404 for unknown campaigns and 409 when the campaign's status
+ * doesn't allow the transition.
+ * @param {Function} transition - campaignService function taking a campaign ID
+ * @param {string} action - Action name used in messages
+ * @returns {Function} Express handler
+ */
+const transitionHandler = (transition, action) => async (req, res) => {
+  try {
+    const existing = await Campaign.findById(req.params.id).select('status');
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+
+    const campaign = await transition(req.params.id);
+
+    if (!campaign) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} a campaign that is ${existing.status}`
+      });
+    }
+
+    res.status(200).json({ success: true, data: campaign });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error trying to ${action} campaign`,
+      error: error.message
+    });
+  }
+};
+
+// List campaigns, newest first
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const campaigns = await Campaign.find(filter).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: campaigns });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaigns",
+      error: error.message
+    });
+  }
+});
+
+// Get a campaign with its progress
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+
+    const progress = await campaignService.getProgress(campaign);
+    res.status(200).json({ success: true, data: { ...campaign.toObject(), progress } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaign",
+      error: error.message
+    });
+  }
+});
+
+// Per-recipient results: ?result=failed&limit=50&offset=0
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const { result } = req.query;
+    if (result && !RESULTS.includes(result)) {
+      return res.status(400).json({
+        success: false,
+        message: `result must be one of: ${RESULTS.join(", ")}`
+      });
+    }
+
+    if (!(await Campaign.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { recipients, total } = await campaignService.listRecipientResults(req.params.id, { result, limit, offset });
+
+    res.status(200).json({ success: true, data: { total, limit, offset, recipients } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaign recipients",
+      error: error.message
+    });
+  }
+});
+
+// Create a draft campaign
+router.post('/', async (req, res) => {
+  try {
+    const errors = campaignService.validateCampaign(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid campaign", errors });
+    }
+
+    const campaign = await campaignService.createCampaign(req.body);
+
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: "Segment not found" });
+    }
+
+    res.status(201).json({ success: true, data: campaign });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating campaign",
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/start', transitionHandler(campaignService.startCampaign, 'start'));
+router.post('/:id/pause', transitionHandler(campaignService.pauseCampaign, 'pause'));
+router.post('/:id/resume', transitionHandler(campaignService.resumeCampaign, 'resume'));
+router.post('/:id/cancel', transitionHandler(campaignService.cancelCampaign, 'cancel'));
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// src/routes/exports.js
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+const exportService = require('../services/exportService');
+const { FORMATS } = require('../utils/exportWriters');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Download a report, e.g. /api/exports/orders.csv?from=2026-01-01&to=2026-01-31&status=delivered.
+// Takes the analytics filters; limit/offset don't apply, exports contain every row.
+router.get('/:report.:format', async (req, res) => {
+  const { report, format } = req.params;
+
+  if (!exportService.REPORTS[report]) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown export '${report}'. Available exports: ${Object.keys(exportService.REPORTS).join(", ")}`
+    });
+  }
+  if (!FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(FORMATS).join(", ")}`
+    });
+  }
+
+  const { options, errors } = analyticsService.parseAnalyticsQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: "Invalid export query", errors });
+  }
+
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="${exportService.exportFileName(report, options, format)}"`
+  });
+
+  try {
+    const rows = await exportService.streamExport(report, format, options, res);
+    console.log(`📤 Exported ${rows} ${report} row(s) as ${format.toUpperCase()} for ${req.auth.subject}`);
+  } catch (error) {
+    console.error(`❌ Error exporting ${report}: ${error.message}`);
+
+    // Once rows have been sent the status can't change, so cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: "Error exporting report",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
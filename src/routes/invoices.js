@@ -0,0 +1,135 @@
+// src/routes/invoices.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const publicRouter = express.Router();
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const invoiceService = require('../services/invoiceService');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Send an invoice PDF, regenerating it from the order if the file is missing
+ * @param {object} res - Express response
+ * @param {object} invoice - Invoice document
+ * @param {string} disposition - "inline" or "attachment"
+ */
+const sendInvoicePdf = async (res, invoice, disposition) => {
+  const pdf = await invoiceService.readInvoicePdf(invoice, () => Order.findOne({ orderId: invoice.orderId }));
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${disposition}; filename="${invoice.fileName}"`,
+    'Content-Length': pdf.length
+  });
+  res.status(200).send(pdf);
+};
+
+// Customer download link from the order.delivered message: /invoices/:id?expires=...&signature=...
+publicRouter.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expires, signature } = req.query;
+
+    const rejected = mongoose.isValidObjectId(id) ? invoiceService.verifySignedUrl(id, expires, signature) : 'invalid-link';
+    if (rejected) {
+      return res.status(403).json({
+        success: false,
+        message: rejected === 'link-expired' ? "This invoice link has expired" : "Invalid invoice link"
+      });
+    }
+
+    const invoice = await Invoice.findById(id);
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: "Invoice not found" });
+    }
+
+    await sendInvoicePdf(res, invoice, 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error downloading invoice",
+      error: error.message
+    });
+  }
+});
+
+router.use(requireRole({ read: ['analyst', 'ops'], write: ['ops'] }));
+
+// Load the order by Growcify order ID or order number
+router.param('orderId', async (req, res, next, orderId) => {
+  try {
+    const refs = [{ orderId }];
+    if (/^\d+$/.test(orderId)) refs.push({ externalOrderId: Number(orderId) });
+
+    const order = await Order.findOne({ $or: refs });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    req.order = order;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invoice details with a fresh download link
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const invoice = await invoiceService.findOrderInvoice(req.order.orderId);
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: "No invoice for this order" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...invoice.toObject(), link: invoiceService.getSignedUrl(invoice) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoice",
+      error: error.message
+    });
+  }
+});
+
+// Generate the invoice, or regenerate it after the order changed (keeps its number)
+router.post('/orders/:orderId', async (req, res) => {
+  try {
+    const invoice = await invoiceService.generateInvoice(req.order);
+
+    res.status(invoice.generationCount === 1 ? 201 : 200).json({
+      success: true,
+      data: { ...invoice.toObject(), link: invoiceService.getSignedUrl(invoice) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating invoice",
+      error: error.message
+    });
+  }
+});
+
+// Download the invoice PDF
+router.get('/orders/:orderId/pdf', async (req, res) => {
+  try {
+    const invoice = await invoiceService.findOrderInvoice(req.order.orderId);
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: "No invoice for this order" });
+    }
+
+    await sendInvoicePdf(res, invoice, 'attachment');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error downloading invoice",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
@@ -0,0 +1,74 @@
+// src/routes/reports.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const BusinessReport = require('../models/BusinessReport');
+const reportService = require('../services/reportService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed report IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid report ID" });
+  }
+  next();
+});
+
+const getPagination = (query) => ({
+  limit: Math.min(parseInt(query.limit, 10) || 50, 200),
+  offset: parseInt(query.offset, 10) || 0
+});
+
+// Business summaries sent so far, newest first (?period=day|week)
+router.get('/', async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const filter = {};
+
+    if (req.query.period) {
+      if (!reportService.PERIODS.includes(req.query.period)) {
+        return res.status(400).json({
+          success: false,
+          message: `period must be one of: ${reportService.PERIODS.join(", ")}`
+        });
+      }
+      filter['period.type'] = req.query.period;
+    }
+
+    const [reports, total] = await Promise.all([
+      BusinessReport.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      BusinessReport.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ success: true, data: { total, limit, offset, reports } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching business reports",
+      error: error.message
+    });
+  }
+});
+
+// Get a single report
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await BusinessReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, message: "Business report not found" });
+    }
+
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching business report",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// src/routes/rules.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const RoutingRule = require('../models/RoutingRule');
+const routingRules = require('../services/routingRules');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed rule IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid routing rule ID" });
+  }
+  next();
+});
+
+// List routing rules in priority order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await routingRules.listRules();
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching routing rules",
+      error: error.message
+    });
+  }
+});
+
+// Show which rule an event payload would match
+router.post('/match', async (req, res) => {
+  try {
+    const { event, data } = req.body || {};
+
+    if (!event || !data) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields: event and data are required"
+      });
+    }
+
+    const rule = await routingRules.findMatchingRule(event, data);
+    res.status(200).json({ success: true, data: { event, matchedRule: rule } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error matching routing rules",
+      error: error.message
+    });
+  }
+});
+
+// Get a single rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await RoutingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Routing rule not found" });
+    }
+
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching routing rule",
+      error: error.message
+    });
+  }
+});
+
+// Create a rule
+router.post('/', async (req, res) => {
+  try {
+    const errors = routingRules.validateRule(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid routing rule", errors });
+    }
+
+    if (await RoutingRule.exists({ name: req.body.name })) {
+      return res.status(409).json({ success: false, message: `Routing rule '${req.body.name}' already exists` });
+    }
+
+    const rule = await routingRules.createRule(req.body);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating routing rule",
+      error: error.message
+    });
+  }
+});
+
+// Update a rule (e.g. { "enabled": false } to turn it off)
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await RoutingRule.findById(req.params.id).lean();
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Routing rule not found" });
+    }
+
+    // Validate the rule as it will be after the change, so action-specific fields are checked
+    const errors = routingRules.validateRule({ ...existing, ...req.body });
+    if (req.body?.name !== undefined && req.body.name !== existing.name) {
+      errors.push("name cannot be changed; create a new rule instead");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid routing rule", errors });
+    }
+
+    const rule = await routingRules.updateRule(req.params.id, req.body);
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating routing rule",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+// src/routes/scheduler.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const CampaignEnrollment = require('../models/CampaignEnrollment');
+const scheduler = require('../services/scheduler');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed job IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid job ID" });
+  }
+  next();
+});
+
+const getPagination = (query) => ({
+  limit: Math.min(parseInt(query.limit, 10) || 50, 200),
+  offset: parseInt(query.offset, 10) || 0
+});
+
+// List scheduled jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.find().sort({ name: 1 });
+    res.status(200).json({ success: true, data: jobs });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching scheduled jobs",
+      error: error.message
+    });
+  }
+});
+
+// Get a single job
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await ScheduledJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Scheduled job not found" });
+    }
+
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching scheduled job",
+      error: error.message
+    });
+  }
+});
+
+// Create a job
+router.post('/jobs', async (req, res) => {
+  try {
+    const errors = scheduler.validateJob(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid scheduled job", errors });
+    }
+
+    if (await ScheduledJob.exists({ name: req.body.name })) {
+      return res.status(409).json({ success: false, message: `Scheduled job '${req.body.name}' already exists` });
+    }
+
+    const job = await scheduler.createJob(req.body);
+    res.status(201).json({ success: true, data: job });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating scheduled job",
+      error: error.message
+    });
+  }
+});
+
+// Update a job (e.g. { "enabled": true } once its WATI template is approved)
+router.put('/jobs/:id', async (req, res) => {
+  try {
+    const errors = scheduler.validateJob(req.body || {}, { partial: true });
+    if (req.body?.name !== undefined || req.body?.type !== undefined) {
+      errors.push("name and type cannot be changed; create a new job instead");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid scheduled job", errors });
+    }
+
+    const job = await scheduler.updateJob(req.params.id, req.body);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Scheduled job not found" });
+    }
+
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating scheduled job",
+      error: error.message
+    });
+  }
+});
+
+// Run a job now, whether or not it is enabled or due
+router.post('/jobs/:id/run', async (req, res) => {
+  try {
+    const job = await ScheduledJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Scheduled job not found" });
+    }
+
+    const jobRun = await scheduler.runJob(job, { trigger: 'manual' });
+    res.status(200).json({ success: true, data: jobRun });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error running scheduled job",
+      error: error.message
+    });
+  }
+});
+
+// Run history for a job, newest first
+router.get('/jobs/:id/runs', async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const filter = { jobId: req.params.id };
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter).sort({ startedAt: -1 }).skip(offset).limit(limit),
+      JobRun.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ success: true, data: { total, limit, offset, runs } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching job runs",
+      error: error.message
+    });
+  }
+});
+
+// Customers entered into a job's campaign, newest first
+router.get('/jobs/:id/enrollments', async (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const filter = { jobId: req.params.id };
+
+    const [enrollments, total] = await Promise.all([
+      CampaignEnrollment.find(filter).sort({ enrolledAt: -1 }).skip(offset).limit(limit),
+      CampaignEnrollment.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ success: true, data: { total, limit, offset, enrollments } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaign enrollments",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// src/routes/segments.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Segment = require('../models/Segment');
+const segmentService = require('../services/segmentService');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed segment IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid segment ID" });
+  }
+  next();
+});
+
+const SAMPLE_SIZE = 10;
+
+const getLimit = (query) => Math.min(parseInt(query.limit, 10) || 100, 1000);
+
+// List segments
+router.get('/', async (req, res) => {
+  try {
+    const segments = await Segment.find().sort({ name: 1 });
+    res.status(200).json({ success: true, data: segments });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching segments",
+      error: error.message
+    });
+  }
+});
+
+// Evaluate filters without saving them: { "filters": { "minOrders": 3 } }
+router.post('/preview', async (req, res) => {
+  try {
+    const filters = req.body?.filters || {};
+    const errors = segmentService.validateFilters(filters);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid segment filters", errors });
+    }
+
+    const members = await segmentService.evaluateSegment(filters);
+    res.status(200).json({
+      success: true,
+      data: { count: members.length, sample: members.slice(0, SAMPLE_SIZE) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error previewing segment",
+      error: error.message
+    });
+  }
+});
+
+// Get a single segment
+router.get('/:id', async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({ success: false, message: "Segment not found" });
+    }
+
+    res.status(200).json({ success: true, data: segment });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching segment",
+      error: error.message
+    });
+  }
+});
+
+// Customers currently matching a segment
+router.get('/:id/members', async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({ success: false, message: "Segment not found" });
+    }
+
+    const members = await segmentService.evaluateSegment(segment.filters || {}, { limit: getLimit(req.query) });
+    res.status(200).json({ success: true, data: { count: members.length, members } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error evaluating segment",
+      error: error.message
+    });
+  }
+});
+
+// Create a segment
+router.post('/', async (req, res) => {
+  try {
+    const errors = segmentService.validateSegment(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid segment", errors });
+    }
+
+    if (await Segment.exists({ name: req.body.name })) {
+      return res.status(409).json({ success: false, message: `Segment '${req.body.name}' already exists` });
+    }
+
+    const segment = await segmentService.createSegment(req.body);
+    res.status(201).json({ success: true, data: segment });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating segment",
+      error: error.message
+    });
+  }
+});
+
+// Update a segment; campaigns already started keep the filters they snapshotted
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = segmentService.validateSegment(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid segment", errors });
+    }
+
+    if (req.body.name !== undefined &&
+        await Segment.exists({ name: req.body.name, _id: { $ne: req.params.id } })) {
+      return res.status(409).json({ success: false, message: `Segment '${req.body.name}' already exists` });
+    }
+
+    const segment = await segmentService.updateSegment(req.params.id, req.body);
+
+    if (!segment) {
+      return res.status(404).json({ success: false, message: "Segment not found" });
+    }
+
+    res.status(200).json({ success: true, data: segment });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating segment",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// src/routes/templates.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const TemplateMapping = require('../models/TemplateMapping');
+const templateService = require('../services/templateService');
+const messageBuilder = require('../services/messageBuilder');
+const { formatters } = require('../templates/formatters');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole({ read: ['analyst', 'ops'] }));
+
+// Reject malformed mapping IDs before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid template mapping ID" });
+  }
+  next();
+});
+
+// List template mappings (optionally for one event)
+router.get('/', async (req, res) => {
+  try {
+    const mappings = await templateService.listMappings({ event: req.query.event });
+    res.status(200).json({ success: true, data: mappings });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching template mappings",
+      error: error.message
+    });
+  }
+});
+
+// List available parameter formatters
+router.get('/formatters', (req, res) => {
+  res.status(200).json({ success: true, data: Object.keys(formatters) });
+});
+
+// Dry-run an event payload: resolve template, parameters and phone without calling WATI
+router.post('/preview', async (req, res) => {
+  try {
+    const { event, data } = req.body || {};
+
+    if (!event || !data) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields: event and data are required"
+      });
+    }
+
+    if (!(await templateService.isKnownEvent(event))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unhandled event type: ${event}`
+      });
+    }
+
+    const preview = await messageBuilder.previewMessage({ event, data });
+    res.status(200).json({ success: true, data: preview });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error previewing event",
+      error: error.message
+    });
+  }
+});
+
+// Get a single mapping
+router.get('/:id', async (req, res) => {
+  try {
+    const mapping = await TemplateMapping.findById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({ success: false, message: "Template mapping not found" });
+    }
+
+    res.status(200).json({ success: true, data: mapping });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching template mapping",
+      error: error.message
+    });
+  }
+});
+
+// Create a mapping (becomes the next version if the event already has one)
+router.post('/', async (req, res) => {
+  try {
+    const errors = templateService.validateMapping(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid template mapping", errors });
+    }
+
+    const mapping = await templateService.createMapping(req.body);
+    res.status(201).json({ success: true, data: mapping });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating template mapping",
+      error: error.message
+    });
+  }
+});
+
+// Update a mapping in place
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = templateService.validateMapping(req.body || {}, { partial: true });
+    if (req.body?.event !== undefined) {
+      errors.push("event cannot be changed; create a new mapping instead");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid template mapping", errors });
+    }
+
+    const mapping = await templateService.updateMapping(req.params.id, req.body);
+
+    if (!mapping) {
+      return res.status(404).json({ success: false, message: "Template mapping not found" });
+    }
+
+    res.status(200).json({ success: true, data: mapping });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating template mapping",
+      error: error.message
+    });
+  }
+});
+
+// Create a new version of a mapping (e.g. bo_order_placed2 → bo_order_placed3)
+router.post('/:id/versions', async (req, res) => {
+  try {
+    const errors = templateService.validateMapping(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid template mapping", errors });
+    }
+
+    const mapping = await templateService.createVersion(req.params.id, req.body || {});
+
+    if (!mapping) {
+      return res.status(404).json({ success: false, message: "Template mapping not found" });
+    }
+
+    res.status(201).json({ success: true, data: mapping });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating template version",
+      error: error.message
+    });
+  }
+});
+
+// Render a mapping against a sample payload without sending anything
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const mapping = await TemplateMapping.findById(req.params.id).lean();
+
+    if (!mapping) {
+      return res.status(404).json({ success: false, message: "Template mapping not found" });
+    }
+
+    const data = req.body?.data || {};
+    res.status(200).json({
+      success: true,
+      data: templateService.renderTemplate(mapping, data)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error previewing template mapping",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
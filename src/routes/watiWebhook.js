@@ -0,0 +1,70 @@
+// src/routes/watiWebhook.js
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { config } = require('../config');
+const deliveryTracking = require('../services/deliveryTracking');
+const inbound = require('../services/inbound');
+
+/**
+ * Compare the ?token= of a webhook request with WATI_WEBHOOK_TOKEN
+ * @param {string} token - Token from the request
+ * @returns {boolean} True when a token is configured and matches
+ */
+const isValidToken = (token) => {
+  if (!config.watiWebhookToken || typeof token !== 'string') return false;
+
+  const expected = Buffer.from(config.watiWebhookToken);
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// WATI webhooks are unsigned, so every request must carry the shared token from the webhook URL
+router.use((req, res, next) => {
+  if (!isValidToken(req.query.token)) {
+    return res.status(401).json({ success: false, message: "Invalid or missing webhook token" });
+  }
+  next();
+});
+
+// Message status callbacks (sent / delivered / read / failed)
+router.post('/status', async (req, res) => {
+  try {
+    const message = await deliveryTracking.handleStatusWebhook(req.body || {});
+
+    res.status(200).json({
+      success: true,
+      updated: Boolean(message),
+      messageId: message?._id
+    });
+  } catch (error) {
+    console.error(`❌ Error handling WATI status webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: "Error processing status webhook",
+      error: error.message
+    });
+  }
+});
+
+// Inbound customer messages (STOP/START consent replies, ...).
+// Only the outcome is returned: handler details and replies can hold a customer's order data.
+router.post('/messages', async (req, res) => {
+  if (!config.inboundMessagesEnabled) {
+    return res.status(404).json({ success: false, message: "Inbound message handling is disabled" });
+  }
+
+  try {
+    const { handled, handler, replied } = await inbound.handleInboundMessage(req.body || {});
+    res.status(200).json({ success: true, handled, handler, replied });
+  } catch (error) {
+    console.error(`❌ Error handling WATI inbound message: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: "Error processing inbound message",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,585 @@
+const { config } = require('../config');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const Message = require('../models/Message');
+const OutboundMessage = require('../models/OutboundMessage');
+
+// Reports follow the store's calendar, not UTC
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET = '+05:30';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m' };
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const RECENT_ORDERS_LIMIT = 5;
+const LOW_RATING_LIMIT = 20;
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Cancelled orders are counted but left out of revenue
+const IS_CANCELLED = { $eq: ["$status", "cancelled"] };
+const REVENUE = { $cond: [IS_CANCELLED, 0, "$amount"] };
+
+// Order fields that can be filtered on, with comma-separated values (e.g. ?paymentMethod=UPI,CARD)
+const ORDER_FILTERS = ['orderType', 'paymentMethod', 'deliveryMode', 'status'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a from/to query value. Plain dates are whole IST days, so `to` runs to the end of that day.
+ * @param {string} value - "2026-01-31" or an ISO date-time
+ * @param {boolean} [endOfDay=false] - Return the start of the following IST day for plain dates
+ * @returns {Date} Parsed date (invalid if the value isn't a date)
+ */
+const parseDate = (value, endOfDay = false) => {
+  if (!DATE_ONLY.test(value)) return new Date(value);
+
+  const start = new Date(`${value}T00:00:00${IST_OFFSET}`);
+  return endOfDay ? new Date(start.getTime() + DAY_MS) : start;
+};
+
+/**
+ * Start of the IST day containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Midnight IST
+ */
+const startOfIstDay = (date) =>
+  parseDate(date.toLocaleDateString('en-CA', { timeZone: TIMEZONE }));
+
+/**
+ * Parse and validate the query parameters shared by the analytics endpoints
+ * @param {object} query - Request query
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {object} { options, errors } where options is
+ *   { from, to, previous: { from, to }, granularity, limit, offset, filters }
+ */
+const parseAnalyticsQuery = (query = {}, now = new Date()) => {
+  const errors = [];
+
+  let from = query.from ? parseDate(query.from) : undefined;
+  let to = query.to ? parseDate(query.to, true) : undefined;
+
+  if (from && isNaN(from.getTime())) errors.push("from must be a date");
+  if (to && isNaN(to.getTime())) errors.push("to must be a date");
+
+  // Default to the last 30 IST days, ending now (or at `to`)
+  if (!to) to = now;
+  if (!from) from = new Date(startOfIstDay(new Date(to.getTime() - 1)).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (from >= to) errors.push("from must be before to");
+
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) errors.push("offset must be a non-negative whole number");
+
+  const filters = {};
+  ORDER_FILTERS.forEach((field) => {
+    if (!query[field]) return;
+
+    const values = `${query[field]}`.split(',').map((value) => value.trim()).filter(Boolean);
+    const allowed = Order.schema.path(field).enumValues;
+    const unknown = values.filter((value) => !allowed.includes(value));
+
+    if (unknown.length > 0) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+    } else {
+      filters[field] = values;
+    }
+  });
+
+  // The previous period has the same length and ends where this one starts
+  const length = to - from;
+
+  return {
+    errors,
+    options: {
+      from,
+      to,
+      previous: { from: new Date(from.getTime() - length), to: from },
+      granularity,
+      limit,
+      offset,
+      filters
+    }
+  };
+};
+
+/**
+ * Describe the reported period for responses
+ * @param {object} options - Parsed analytics options
+ * @returns {object} { from, to, previousFrom, timezone, granularity }
+ */
+const describePeriod = ({ from, to, previous, granularity }) => ({
+  from,
+  to,
+  previousFrom: previous.from,
+  timezone: TIMEZONE,
+  granularity
+});
+
+/**
+ * Build a $match for orders in a date range with the requested filters
+ * @param {object} options - Parsed analytics options
+ * @param {object} [matchOptions] - Match options
+ * @param {string} [matchOptions.dateField='createdAt'] - Date field the range applies to
+ * @param {boolean} [matchOptions.previous=false] - Use the previous period
+ * @returns {object} Order filter
+ */
+const orderMatch = (options, { dateField = 'createdAt', previous = false } = {}) => {
+  const { from, to } = previous ? options.previous : options;
+  const match = { [dateField]: { $gte: from, $lt: to } };
+
+  Object.entries(options.filters).forEach(([field, values]) => {
+    match[field] = { $in: values };
+  });
+
+  return match;
+};
+
+/**
+ * Group key for a date field at the given granularity in IST, e.g. "2026-01-05" (weeks start on Monday) or "2026-01"
+ * @param {string} dateField - Field path, e.g. "$createdAt"
+ * @param {string} granularity - day, week or month
+ * @returns {object} Aggregation expression
+ */
+const periodKey = (dateField, granularity) => ({
+  $dateToString: {
+    format: PERIOD_FORMATS[granularity],
+    timezone: TIMEZONE,
+    date: { $dateTrunc: { date: dateField, unit: granularity, timezone: TIMEZONE, startOfWeek: 'monday' } }
+  }
+});
+
+/**
+ * Percentage change from the previous period
+ * @param {number} current - This period's value
+ * @param {number} previous - Previous period's value
+ * @returns {number|null} Change in percent, or null when there's nothing to compare against
+ */
+const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+};
+
+/**
+ * Compare this period's totals with the previous period's
+ * @param {object} current - Totals for this period
+ * @param {object} previous - Totals for the previous period
+ * @returns {object} { previous, change } with a percentage change per total
+ */
+const compareTotals = (current, previous) => ({
+  previous,
+  change: Object.keys(current).reduce((change, key) => {
+    change[key] = percentChange(current[key], previous[key]);
+    return change;
+  }, {})
+});
+
+/**
+ * Order count, revenue and average order value for a filter. Revenue and the
+ * average leave out cancelled orders, which are reported separately.
+ * @param {object} match - Order filter
+ * @returns {Promise} { orders, revenue, averageOrderValue, cancelledOrders, cancelledRevenue }
+ */
+const orderTotals = async (match) => {
+  const [totals] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        revenue: { $sum: REVENUE },
+        cancelledOrders: { $sum: { $cond: [IS_CANCELLED, 1, 0] } },
+        cancelledRevenue: { $sum: { $cond: [IS_CANCELLED, "$amount", 0] } }
+      }
+    }
+  ]);
+
+  if (!totals) return { orders: 0, revenue: 0, averageOrderValue: 0, cancelledOrders: 0, cancelledRevenue: 0 };
+
+  const paidOrders = totals.orders - totals.cancelledOrders;
+  return {
+    orders: totals.orders,
+    revenue: totals.revenue,
+    averageOrderValue: paidOrders ? Math.round((totals.revenue / paidOrders) * 100) / 100 : 0,
+    cancelledOrders: totals.cancelledOrders,
+    cancelledRevenue: totals.cancelledRevenue
+  };
+};
+
+/**
+ * Orders and sales per day/week/month in the period (sales leave out cancelled orders)
+ * @param {object} options - Parsed analytics options
+ * @returns {Array} Aggregation pipeline producing { _id: period, sales, count, cancelled } sorted by period
+ */
+const salesPipeline = (options) => [
+  { $match: orderMatch(options) },
+  {
+    $group: {
+      _id: periodKey("$createdAt", options.granularity),
+      sales: { $sum: REVENUE },
+      count: { $sum: 1 },
+      cancelled: { $sum: { $cond: [IS_CANCELLED, 1, 0] } }
+    }
+  },
+  { $sort: { _id: 1 } }
+];
+
+// Products ranked by revenue, most first
+const PRODUCT_SORT = { totalRevenue: -1, _id: 1 };
+
+/**
+ * Quantity sold and revenue per product in the period, leaving out cancelled orders
+ * @param {object} options - Parsed analytics options
+ * @returns {Array} Aggregation pipeline, unsorted
+ */
+const productStatsPipeline = (options) => [
+  { $match: { $and: [orderMatch(options), { status: { $ne: "cancelled" } }] } },
+  { $unwind: "$items" },
+  {
+    $group: {
+      _id: {
+        productId: "$items.productId",
+        name: "$items.name"
+      },
+      totalSold: { $sum: "$items.qty" },
+      totalRevenue: { $sum: { $multiply: ["$items.price", "$items.qty"] } },
+      avgPrice: { $avg: "$items.price" },
+      count: { $sum: 1 }
+    }
+  }
+];
+
+// Customers ranked by spend, most first
+const CUSTOMER_SORT = { totalSpent: -1, _id: 1 };
+
+/**
+ * Orders and spend per customer in the period, leaving out cancelled orders
+ * @param {object} options - Parsed analytics options
+ * @returns {Array} Aggregation pipeline, unsorted
+ */
+const customerStatsPipeline = (options) => [
+  { $match: { $and: [orderMatch(options), { status: { $ne: "cancelled" } }] } },
+  {
+    $group: {
+      _id: "$user.userId",
+      userName: { $first: "$user.name" },
+      userEmail: { $first: "$user.email" },
+      userMobile: { $first: "$user.mobile" },
+      orderCount: { $sum: 1 },
+      totalSpent: { $sum: "$amount" },
+      avgOrderValue: { $avg: "$amount" }
+    }
+  }
+];
+
+/**
+ * Run a grouped aggregation with pagination
+ * @param {object} model - Mongoose model
+ * @param {Array} pipeline - Stages up to and including the $group
+ * @param {object} sort - Sort for the grouped rows
+ * @param {object} options - Parsed analytics options (limit, offset)
+ * @returns {Promise} { rows, pagination: { limit, offset, total } }
+ */
+const paginatedAggregate = async (model, pipeline, sort, { limit, offset }) => {
+  const [result] = await model.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        rows: [{ $sort: sort }, { $skip: offset }, { $limit: limit }],
+        total: [{ $count: "count" }]
+      }
+    }
+  ]);
+
+  return { rows: result.rows, pagination: { limit, offset, total: result.total[0]?.count || 0 } };
+};
+
+/**
+ * Headline numbers for the period, compared with the previous period
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} Dashboard data
+ */
+const getDashboard = async (options) => {
+  const range = (previous) => {
+    const { from, to } = previous ? options.previous : options;
+    return { $gte: from, $lt: to };
+  };
+
+  const [current, previous, totalUsers, newUsers, previousNewUsers, totalEvents, recentOrders] = await Promise.all([
+    orderTotals(orderMatch(options)),
+    orderTotals(orderMatch(options, { previous: true })),
+    User.countDocuments(),
+    User.countDocuments({ createdAt: range(false) }),
+    User.countDocuments({ createdAt: range(true) }),
+    WebhookEvent.countDocuments({ receivedAt: range(false) }),
+    Order.find(orderMatch(options)).sort({ createdAt: -1 }).limit(RECENT_ORDERS_LIMIT)
+  ]);
+
+  return {
+    period: describePeriod(options),
+    totalOrders: current.orders,
+    totalRevenue: current.revenue,
+    averageOrderValue: current.averageOrderValue,
+    cancelledOrders: current.cancelledOrders,
+    cancelledRevenue: current.cancelledRevenue,
+    totalUsers,
+    newUsers,
+    totalEvents,
+    recentOrders,
+    comparison: compareTotals(
+      { totalOrders: current.orders, totalRevenue: current.revenue, averageOrderValue: current.averageOrderValue, newUsers },
+      { totalOrders: previous.orders, totalRevenue: previous.revenue, averageOrderValue: previous.averageOrderValue, newUsers: previousNewUsers }
+    )
+  };
+};
+
+/**
+ * Orders by status, delivery mode and payment method, and sales over time
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} Order analytics
+ */
+const getOrderAnalytics = async (options) => {
+  const match = orderMatch(options);
+  const countBy = (field) => Order.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const [ordersByStatus, ordersByDeliveryMode, ordersByPaymentMethod, salesByPeriod, current, previous] = await Promise.all([
+    countBy('status'),
+    countBy('deliveryMode'),
+    countBy('paymentMethod'),
+    Order.aggregate(salesPipeline(options)),
+    orderTotals(match),
+    orderTotals(orderMatch(options, { previous: true }))
+  ]);
+
+  return {
+    period: describePeriod(options),
+    totals: current,
+    comparison: compareTotals(current, previous),
+    ordersByStatus,
+    ordersByDeliveryMode,
+    ordersByPaymentMethod,
+    salesByPeriod,
+    // Name before granularity was added; kept for existing consumers
+    salesByDay: salesByPeriod
+  };
+};
+
+/**
+ * Products ranked by revenue, paginated
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} { period, topProducts, pagination }
+ */
+const getProductAnalytics = async (options) => {
+  const { rows, pagination } = await paginatedAggregate(Order, productStatsPipeline(options), PRODUCT_SORT, options);
+
+  return { period: describePeriod(options), topProducts: rows, pagination };
+};
+
+/**
+ * New users over time and customers ranked by spend (cancelled orders excluded), paginated
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} { period, newUsersByPeriod, topCustomers, pagination, comparison }
+ */
+const getUserAnalytics = async (options) => {
+  const [newUsersByPeriod, customers, newUsers, previousNewUsers] = await Promise.all([
+    User.aggregate([
+      { $match: { createdAt: { $gte: options.from, $lt: options.to } } },
+      { $group: { _id: periodKey("$createdAt", options.granularity), count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    paginatedAggregate(Order, customerStatsPipeline(options), CUSTOMER_SORT, options),
+    User.countDocuments({ createdAt: { $gte: options.from, $lt: options.to } }),
+    User.countDocuments({ createdAt: { $gte: options.previous.from, $lt: options.previous.to } })
+  ]);
+
+  return {
+    period: describePeriod(options),
+    newUsersByPeriod,
+    // Name before granularity was added; kept for existing consumers
+    newUsersByDay: newUsersByPeriod,
+    topCustomers: customers.rows,
+    pagination: customers.pagination,
+    comparison: compareTotals({ newUsers }, { newUsers: previousNewUsers })
+  };
+};
+
+// Rating count, average and 1–5 distribution for grouped feedback
+const ratingSummaryGroup = (groupField) => ({
+  $group: {
+    _id: groupField,
+    count: { $sum: 1 },
+    averageRating: { $avg: "$feedback.rating" },
+    ...RATINGS.reduce((counts, rating) => {
+      counts[`rating${rating}`] = { $sum: { $cond: [{ $eq: ["$feedback.rating", rating] }, 1, 0] } };
+      return counts;
+    }, {})
+  }
+});
+
+// Reshape a ratingSummaryGroup result into { count, averageRating, distribution }
+const formatRatingSummary = ({ _id, count, averageRating, ...ratings }) => ({
+  count,
+  averageRating: Math.round(averageRating * 100) / 100,
+  distribution: RATINGS.reduce((distribution, rating) => {
+    distribution[rating] = ratings[`rating${rating}`];
+    return distribution;
+  }, {})
+});
+
+const EMPTY_RATING_SUMMARY = { count: 0, averageRating: null, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+
+/**
+ * Delivery ratings received in the period, over time, with the latest low ratings
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} Feedback analytics
+ */
+const getFeedbackAnalytics = async (options) => {
+  const match = { ...orderMatch(options, { dateField: 'feedback.receivedAt' }), "feedback.rating": { $exists: true } };
+  const previousMatch = {
+    ...orderMatch(options, { dateField: 'feedback.receivedAt', previous: true }),
+    "feedback.rating": { $exists: true }
+  };
+
+  const [overall, previous, byPeriod, lowRatings] = await Promise.all([
+    Order.aggregate([{ $match: match }, ratingSummaryGroup(null)]),
+    Order.aggregate([{ $match: previousMatch }, ratingSummaryGroup(null)]),
+    Order.aggregate([
+      { $match: match },
+      ratingSummaryGroup(periodKey("$feedback.receivedAt", options.granularity)),
+      { $sort: { _id: 1 } }
+    ]),
+    Order.find({
+      ...match,
+      "feedback.rating": { $lte: config.feedback.lowRatingThreshold }
+    })
+      .sort({ "feedback.receivedAt": -1 })
+      .limit(LOW_RATING_LIMIT)
+      .select("orderId externalOrderId user amount feedback")
+  ]);
+
+  const current = overall.length ? formatRatingSummary(overall[0]) : EMPTY_RATING_SUMMARY;
+  const before = previous.length ? formatRatingSummary(previous[0]) : EMPTY_RATING_SUMMARY;
+
+  return {
+    period: describePeriod(options),
+    overall: current,
+    comparison: compareTotals(
+      { count: current.count, averageRating: current.averageRating },
+      { count: before.count, averageRating: before.averageRating }
+    ),
+    byPeriod: byPeriod.map((period) => ({ period: period._id, ...formatRatingSummary(period) })),
+    lowRatings: {
+      threshold: config.feedback.lowRatingThreshold,
+      orders: lowRatings
+    }
+  };
+};
+
+// Delivery and read counts/rates for messages grouped by the given field
+const messageRatesPipeline = (match, groupField) => [
+  { $match: match },
+  {
+    $group: {
+      _id: groupField,
+      total: { $sum: 1 },
+      delivered: { $sum: { $cond: [{ $in: ["$status", ["delivered", "read"]] }, 1, 0] } },
+      read: { $sum: { $cond: [{ $eq: ["$status", "read"] }, 1, 0] } },
+      failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } }
+    }
+  },
+  {
+    $addFields: {
+      deliveryRate: { $round: [{ $divide: ["$delivered", "$total"] }, 4] },
+      readRate: { $round: [{ $divide: ["$read", "$total"] }, 4] }
+    }
+  },
+  { $sort: { total: -1, _id: 1 } }
+];
+
+const EMPTY_MESSAGE_RATES = { total: 0, delivered: 0, read: 0, failed: 0, deliveryRate: 0, readRate: 0 };
+
+/**
+ * Delivery and read rates for messages sent in the period, plus rejected contacts
+ * @param {object} options - Parsed analytics options
+ * @returns {Promise} Message analytics
+ */
+const getMessageAnalytics = async (options) => {
+  const sentIn = ({ from, to }) => ({ sentAt: { $gte: from, $lt: to } });
+
+  const [overall, previous, byTemplate, byEventType, badContactsByReason] = await Promise.all([
+    Message.aggregate(messageRatesPipeline(sentIn(options), null)),
+    Message.aggregate(messageRatesPipeline(sentIn(options.previous), null)),
+    Message.aggregate(messageRatesPipeline(sentIn(options), "$templateName")),
+    Message.aggregate(messageRatesPipeline(sentIn(options), "$event")),
+    OutboundMessage.aggregate([
+      { $match: { status: "rejected", createdAt: { $gte: options.from, $lt: options.to } } },
+      {
+        $group: {
+          _id: "$rejectionReason",
+          count: { $sum: 1 },
+          contacts: { $addToSet: "$mobileNumber" }
+        }
+      },
+      { $project: { count: 1, uniqueContacts: { $size: "$contacts" } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const { _id, ...current } = overall[0] || EMPTY_MESSAGE_RATES;
+  const { _id: previousId, ...before } = previous[0] || EMPTY_MESSAGE_RATES;
+
+  return {
+    period: describePeriod(options),
+    overall: current,
+    comparison: compareTotals(
+      { total: current.total, deliveryRate: current.deliveryRate, readRate: current.readRate },
+      { total: before.total, deliveryRate: before.deliveryRate, readRate: before.readRate }
+    ),
+    byTemplate,
+    byEventType,
+    badContacts: {
+      total: badContactsByReason.reduce((sum, reason) => sum + reason.count, 0),
+      byReason: badContactsByReason
+    }
+  };
+};
+
+module.exports = {
+  TIMEZONE,
+  IST_OFFSET,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  GRANULARITIES,
+  PRODUCT_SORT,
+  CUSTOMER_SORT,
+  parseAnalyticsQuery,
+  describePeriod,
+  orderMatch,
+  salesPipeline,
+  productStatsPipeline,
+  customerStatsPipeline,
+  percentChange,
+  paginatedAggregate,
+  getDashboard,
+  getOrderAnalytics,
+  getProductAnalytics,
+  getUserAnalytics,
+  getFeedbackAnalytics,
+  getMessageAnalytics
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+const ApiKey = require('../models/ApiKey');
+
+const ROLES = ['admin', 'analyst', 'ops'];
+const KEY_PREFIX = 'wk_';
+// lastUsedAt is only written this often, so busy keys don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Validate an API key body
+ * @param {object} body - { name, role, expiresAt }
+ * @returns {Array<string>} Validation errors
+ */
+const validateApiKey = (body) => {
+  const errors = [];
+
+  if (!body.name || typeof body.name !== 'string') {
+    errors.push("name is required");
+  }
+  if (!ROLES.includes(body.role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (body.expiresAt !== undefined) {
+    const expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      errors.push("expiresAt must be a date");
+    } else if (expiresAt <= new Date()) {
+      errors.push("expiresAt must be in the future");
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Create an API key. The plain key is returned once and only its hash is stored.
+ * @param {object} fields - { name, role, expiresAt }
+ * @param {string} [createdBy] - Who created the key
+ * @returns {Promise} { apiKey, key }
+ */
+const createApiKey = async ({ name, role, expiresAt }, createdBy) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    role,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    createdBy,
+    expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    updatedAt: new Date()
+  });
+
+  console.log(`🔑 API key '${name}' (${role}) created${createdBy ? ` by ${createdBy}` : ''}`);
+  return { apiKey, key };
+};
+
+/**
+ * Revoke an API key
+ * @param {string} id - ApiKey ID
+ * @param {string} [revokedBy] - Who revoked the key
+ * @returns {Promise} Updated key, or null if it doesn't exist
+ */
+const revokeApiKey = async (id, revokedBy) => {
+  const now = new Date();
+  const apiKey = await ApiKey.findByIdAndUpdate(
+    id,
+    { revokedAt: now, revokedBy, updatedAt: now },
+    { new: true }
+  );
+
+  if (apiKey) console.log(`🔒 API key '${apiKey.name}' revoked${revokedBy ? ` by ${revokedBy}` : ''}`);
+  return apiKey;
+};
+
+/**
+ * List API keys without their hashes
+ * @returns {Promise<Array>} API keys
+ */
+const listApiKeys = () => ApiKey.find().select('-keyHash').sort({ createdAt: -1 });
+
+/**
+ * Look up the caller behind an API key: the ADMIN_API_KEY bootstrap key, or a stored key
+ * @param {string} key - Key from the x-api-key header
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} { type, role, subject, keyId } or null if the key isn't valid
+ */
+const authenticateApiKey = async (key, now = new Date()) => {
+  if (!key) return null;
+
+  if (config.adminApiKey) {
+    const expected = Buffer.from(config.adminApiKey);
+    const provided = Buffer.from(key);
+    if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) {
+      return { type: 'api-key', role: 'admin', subject: 'ADMIN_API_KEY' };
+    }
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= now)) return null;
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now }).catch((error) => {
+      console.error(`❌ Error updating API key last use: ${error.message}`);
+    });
+  }
+
+  return { type: 'api-key', role: apiKey.role, subject: apiKey.name, keyId: apiKey._id.toString() };
+};
+
+/**
+ * Issue a JWT for an authenticated caller
+ * @param {object} auth - { role, subject, keyId }
+ * @returns {object} { token, expiresAt }
+ */
+const issueToken = ({ role, subject, keyId }) => {
+  const token = jwt.sign({ role, keyId }, config.jwt.secret, {
+    algorithm: 'HS256',
+    expiresIn: config.jwt.expiresIn,
+    issuer: config.jwt.issuer,
+    subject
+  });
+
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Verify a JWT from the Authorization header
+ * @param {string} token - Bearer token
+ * @returns {object|null} { type, role, subject, keyId } or null if the token isn't valid
+ */
+const authenticateToken = (token) => {
+  if (!token || !config.jwt.secret) return null;
+
+  try {
+    const claims = jwt.verify(token, config.jwt.secret, { algorithms: ['HS256'], issuer: config.jwt.issuer });
+    if (!ROLES.includes(claims.role)) return null;
+    return { type: 'jwt', role: claims.role, subject: claims.sub, keyId: claims.keyId };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ROLES,
+  hashKey,
+  validateApiKey,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  authenticateApiKey,
+  issueToken,
+  authenticateToken
+};
@@ -0,0 +1,485 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+const messageQueue = require('./messageQueue');
+const segmentService = require('./segmentService');
+const { formatters, renderParameters } = require('../templates/formatters');
+const { normalizePhoneNumber } = require('../utils/helpers');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Segment = require('../models/Segment');
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Validate a campaign body
+ * @param {object} body - Campaign fields
+ * @returns {Array<string>} Validation errors
+ */
+const validateCampaign = (body) => {
+  const errors = [];
+
+  if (!body.name || typeof body.name !== 'string') errors.push("name is required");
+  if (!mongoose.isValidObjectId(body.segmentId)) errors.push("segmentId must be a segment ID");
+  if (!body.templateName || typeof body.templateName !== 'string') errors.push("templateName is required");
+
+  // Broadcasts are promotional, so they only reach customers with marketing consent
+  if (body.category !== undefined && body.category !== 'marketing') {
+    errors.push("category must be marketing");
+  }
+
+  if (body.parameters !== undefined) {
+    if (!Array.isArray(body.parameters)) {
+      errors.push("parameters must be an array");
+    } else {
+      body.parameters.forEach((parameter, index) => {
+        if (!parameter || !parameter.name) {
+          errors.push(`parameters[${index}].name is required`);
+        }
+        if (parameter?.formatter && !formatters[parameter.formatter]) {
+          errors.push(`parameters[${index}].formatter '${parameter.formatter}' is not supported`);
+        }
+      });
+    }
+  }
+
+  if (body.throttlePerMinute !== undefined && !(Number(body.throttlePerMinute) >= 1)) {
+    errors.push("throttlePerMinute must be at least 1");
+  }
+
+  return errors;
+};
+
+/**
+ * Create a draft campaign for a segment
+ * @param {object} body - Campaign fields
+ * @returns {Promise} Created campaign, or null if the segment doesn't exist
+ */
+const createCampaign = async (body) => {
+  if (!(await Segment.exists({ _id: body.segmentId }))) return null;
+
+  return Campaign.create({
+    name: body.name,
+    segmentId: body.segmentId,
+    templateName: body.templateName,
+    category: 'marketing',
+    parameters: body.parameters,
+    broadcastName: body.broadcastName || body.name,
+    throttlePerMinute: body.throttlePerMinute,
+    status: 'draft',
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Turn segment members into campaign recipients. Members without a valid number,
+ * or sharing a number with an earlier member, are skipped.
+ * @param {object} campaign - Campaign document
+ * @param {Array} members - Segment members
+ * @returns {Array} CampaignRecipient fields
+ */
+const buildRecipients = (campaign, members) => {
+  const seen = new Set();
+
+  return members.map((member) => {
+    const mobileNumber = member.whatsappNumber ? `+${member.whatsappNumber}` : member.mobile;
+    const phone = normalizePhoneNumber(mobileNumber, { callingCode: member.callingCode });
+
+    let skipReason;
+    if (!phone.valid) skipReason = phone.reason;
+    else if (seen.has(phone.whatsappNumber)) skipReason = 'duplicate-number';
+    if (phone.valid) seen.add(phone.whatsappNumber);
+
+    return {
+      campaignId: campaign._id,
+      userId: member.userId,
+      name: member.name,
+      mobileNumber,
+      callingCode: member.callingCode,
+      whatsappNumber: phone.valid ? phone.whatsappNumber : undefined,
+      data: { customer: member },
+      status: skipReason ? 'skipped' : 'pending',
+      skipReason
+    };
+  });
+};
+
+/**
+ * Start a draft campaign: snapshot the segment into recipients and begin sending.
+ * With DRY_RUN the recipients are only counted and the campaign stays a draft.
+ * If starting fails, the campaign goes back to draft with the error in lastError.
+ * @param {string} id - Campaign ID
+ * @returns {Promise} Started campaign, or null if it isn't a draft
+ */
+const startCampaign = async (id) => {
+  // 'starting' keeps the dispatcher away until every recipient is stored
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: id, status: 'draft' },
+    { $set: { status: 'starting', startedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  try {
+    const segment = await Segment.findById(campaign.segmentId).lean();
+    const members = await segmentService.evaluateSegment(segment?.filters || {});
+    const recipients = buildRecipients(campaign, members);
+
+    if (config.dryRun) {
+      console.log(`🧪 DRY_RUN - campaign ${campaign.name} would start with ${recipients.length} recipient(s)`);
+      return Campaign.findByIdAndUpdate(
+        campaign._id,
+        {
+          $set: { status: 'draft', recipientCount: recipients.length, dryRunAt: new Date(), updatedAt: new Date() },
+          $unset: { startedAt: 1 }
+        },
+        { new: true }
+      );
+    }
+
+    if (recipients.length > 0) {
+      await CampaignRecipient.insertMany(recipients);
+    }
+
+    campaign.status = 'running';
+    campaign.segmentFilters = segment?.filters || {};
+    campaign.recipientCount = recipients.length;
+    campaign.lastError = undefined;
+    // Let the first dispatch send a full minute's worth
+    campaign.lastDispatchAt = new Date(Date.now() - 60 * 1000);
+    await campaign.save();
+
+    console.log(`📣 Campaign ${campaign.name} started with ${recipients.length} recipient(s)`);
+    return campaign;
+  } catch (error) {
+    console.error(`❌ Error starting campaign ${campaign.name}: ${error.message}`);
+
+    // Drop the partial snapshot so the campaign can be started again
+    await CampaignRecipient.deleteMany({ campaignId: campaign._id });
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      {
+        $set: { status: 'draft', lastError: { message: error.message, at: new Date() }, updatedAt: new Date() },
+        $unset: { startedAt: 1 }
+      }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Change a campaign's status if it is currently in one of the given statuses
+ * @param {string} id - Campaign ID
+ * @param {Array<string>} from - Allowed current statuses
+ * @param {object} changes - Fields to set
+ * @returns {Promise} Updated campaign or null
+ */
+const transitionCampaign = async (id, from, changes) => {
+  return Campaign.findOneAndUpdate(
+    { _id: id, status: { $in: from } },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Pause a running campaign. Messages already handed to the queue still go out.
+ * @param {string} id - Campaign ID
+ * @returns {Promise} Paused campaign or null
+ */
+const pauseCampaign = async (id) => {
+  return transitionCampaign(id, ['running'], { status: 'paused', pausedAt: new Date() });
+};
+
+/**
+ * Resume a paused campaign at its normal throttle
+ * @param {string} id - Campaign ID
+ * @returns {Promise} Resumed campaign or null
+ */
+const resumeCampaign = async (id) => {
+  return transitionCampaign(id, ['paused'], { status: 'running', lastDispatchAt: new Date() });
+};
+
+/**
+ * Cancel a campaign; recipients not yet queued are skipped
+ * @param {string} id - Campaign ID
+ * @returns {Promise} Cancelled campaign or null
+ */
+const cancelCampaign = async (id) => {
+  const campaign = await transitionCampaign(id, ['draft', 'starting', 'running', 'paused'], {
+    status: 'cancelled',
+    cancelledAt: new Date()
+  });
+  if (!campaign) return null;
+
+  await CampaignRecipient.updateMany(
+    { campaignId: campaign._id, status: 'pending' },
+    { $set: { status: 'skipped', skipReason: 'cancelled' } }
+  );
+
+  return campaign;
+};
+
+/**
+ * Queue the next batch of a running campaign's recipients, within its throttle
+ * @param {object} campaign - Running Campaign document
+ * @param {Date} [now=new Date()] - Dispatch time
+ * @returns {Promise<number>} Number of recipients queued
+ */
+const dispatchCampaign = async (campaign, now = new Date()) => {
+  // Dry run: running campaigns queue nothing
+  if (config.dryRun) return 0;
+
+  const intervalMs = (60 * 1000) / campaign.throttlePerMinute;
+  const lastDispatchAt = (campaign.lastDispatchAt || campaign.startedAt).getTime();
+  const allowance = Math.min(
+    campaign.throttlePerMinute,
+    Math.floor((now.getTime() - lastDispatchAt) / intervalMs)
+  );
+  if (allowance < 1) return 0;
+
+  let claimed = 0;
+  let queued = 0;
+
+  while (claimed < allowance) {
+    // Claiming each recipient keeps concurrent dispatchers from double-sending
+    const recipient = await CampaignRecipient.findOneAndUpdate(
+      { campaignId: campaign._id, status: 'pending' },
+      { $set: { status: 'queued', queuedAt: new Date() } },
+      { sort: { _id: 1 }, new: true }
+    );
+    if (!recipient) break;
+    claimed++;
+
+    try {
+      const message = await messageQueue.enqueueMessage({
+        event: 'campaign',
+        mobileNumber: recipient.mobileNumber,
+        callingCode: recipient.callingCode,
+        templateName: campaign.templateName,
+        category: 'marketing',
+        parameters: renderParameters(campaign.parameters, recipient.data),
+        userId: recipient.userId,
+        campaignId: campaign._id,
+        broadcastName: campaign.broadcastName
+      });
+
+      recipient.outboundMessageId = message._id;
+      await recipient.save();
+      queued++;
+    } catch (error) {
+      // Without a message the claim would read as queued forever
+      await CampaignRecipient.updateOne(
+        { _id: recipient._id },
+        { $set: { status: 'failed', failureReason: error.message }, $unset: { queuedAt: 1 } }
+      );
+      console.error(`❌ Error queueing campaign ${campaign.name} message for ${recipient.mobileNumber}: ${error.message}`);
+    }
+  }
+
+  const remaining = await CampaignRecipient.exists({ campaignId: campaign._id, status: 'pending' });
+
+  await Campaign.updateOne(
+    { _id: campaign._id, status: 'running' },
+    {
+      $set: {
+        // Carry unused fractions of the allowance forward, but never bank more than a minute
+        lastDispatchAt: new Date(Math.max(lastDispatchAt + claimed * intervalMs, now.getTime() - 60 * 1000)),
+        updatedAt: now,
+        ...(!remaining && { status: 'completed', completedAt: now })
+      }
+    }
+  );
+
+  if (!remaining) {
+    console.log(`✅ Campaign ${campaign.name} finished queueing`);
+  }
+
+  return queued;
+};
+
+/**
+ * Dispatch every running campaign
+ * @returns {Promise<number>} Number of recipients queued
+ */
+const dispatchRunningCampaigns = async () => {
+  const campaigns = await Campaign.find({ status: 'running' });
+  let queued = 0;
+
+  for (const campaign of campaigns) {
+    queued += await dispatchCampaign(campaign);
+  }
+
+  return queued;
+};
+
+/**
+ * Start polling for running campaigns
+ */
+const startCampaignWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+      await dispatchRunningCampaigns();
+    } catch (error) {
+      console.error(`❌ Campaign worker error: ${error.message}`);
+    } finally {
+      workerRunning = false;
+    }
+  }, config.campaigns.pollIntervalMs);
+
+  console.log(`📣 Campaign worker started (polling every ${config.campaigns.pollIntervalMs}ms)`);
+};
+
+/**
+ * Stop polling for running campaigns
+ */
+const stopCampaignWorker = () => {
+  if (!workerTimer) return;
+
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Pipeline resolving each recipient's result: skipped/pending before queueing, then the
+ * queue status (pending, deferred, suppressed, rejected, dead-lettered) and finally the
+ * delivery status (sent, delivered, read, failed)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Array} Aggregation stages
+ */
+const recipientResultsPipeline = (campaignId) => [
+  { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+  {
+    $lookup: {
+      from: 'outboundmessages',
+      localField: 'outboundMessageId',
+      foreignField: '_id',
+      as: 'outboundMessage'
+    }
+  },
+  {
+    $lookup: {
+      from: 'messages',
+      localField: 'outboundMessageId',
+      foreignField: 'outboundMessageId',
+      as: 'message'
+    }
+  },
+  {
+    $addFields: {
+      outboundMessage: { $arrayElemAt: ['$outboundMessage', 0] },
+      message: { $arrayElemAt: ['$message', 0] }
+    }
+  },
+  {
+    $addFields: {
+      result: {
+        $switch: {
+          branches: [
+            { case: { $ne: ['$status', 'queued'] }, then: '$status' },
+            { case: { $ifNull: ['$message.status', false] }, then: '$message.status' }
+          ],
+          default: { $ifNull: ['$outboundMessage.status', 'pending'] }
+        }
+      },
+      reason: {
+        $ifNull: [
+          '$skipReason',
+          {
+            $ifNull: [
+              '$failureReason',
+              { $ifNull: ['$outboundMessage.suppressionReason', { $ifNull: ['$outboundMessage.rejectionReason', '$message.failureReason'] }] }
+            ]
+          }
+        ]
+      }
+    }
+  }
+];
+
+/**
+ * Campaign progress: recipient counts by result
+ * @param {object} campaign - Campaign document
+ * @returns {Promise} { recipients, queued, results }
+ */
+const getProgress = async (campaign) => {
+  const [results, queued] = await Promise.all([
+    CampaignRecipient.aggregate([
+      ...recipientResultsPipeline(campaign._id),
+      { $group: { _id: '$result', count: { $sum: 1 } } }
+    ]),
+    CampaignRecipient.countDocuments({ campaignId: campaign._id, status: 'queued' })
+  ]);
+
+  return {
+    recipients: campaign.recipientCount,
+    queued,
+    results: results.reduce((summary, entry) => {
+      summary[entry._id] = entry.count;
+      return summary;
+    }, {})
+  };
+};
+
+/**
+ * Per-recipient results
+ * @param {string} campaignId - Campaign ID
+ * @param {object} [options] - Listing options
+ * @param {string} [options.result] - Only recipients with this result
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Number of recipients to skip
+ * @returns {Promise} { recipients, total }
+ */
+const listRecipientResults = async (campaignId, { result, limit = 50, offset = 0 } = {}) => {
+  const pipeline = [
+    ...recipientResultsPipeline(campaignId),
+    ...(result ? [{ $match: { result } }] : [])
+  ];
+
+  const [recipients, [count]] = await Promise.all([
+    CampaignRecipient.aggregate([
+      ...pipeline,
+      { $sort: { _id: 1 } },
+      { $skip: offset },
+      { $limit: limit },
+      {
+        $project: {
+          userId: 1,
+          name: 1,
+          whatsappNumber: 1,
+          status: 1,
+          result: 1,
+          reason: 1,
+          outboundMessageId: 1,
+          queuedAt: 1,
+          sentAt: '$outboundMessage.sentAt',
+          deliveredAt: '$message.deliveredAt',
+          readAt: '$message.readAt'
+        }
+      }
+    ]),
+    CampaignRecipient.aggregate([...pipeline, { $count: 'total' }])
+  ]);
+
+  return { recipients, total: count?.total || 0 };
+};
+
+module.exports = {
+  validateCampaign,
+  createCampaign,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  dispatchCampaign,
+  dispatchRunningCampaigns,
+  startCampaignWorker,
+  stopCampaignWorker,
+  getProgress,
+  listRecipientResults
+};
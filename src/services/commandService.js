@@ -0,0 +1,238 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const handoffService = require('./handoffService');
+const { formatDate, normalizePhoneNumber } = require('../utils/helpers');
+const { formatINR, formatItemsList, summarizeOrder } = require('../utils/orderSummary');
+
+const RECENT_ORDERS_LIMIT = 5;
+const CANCELLABLE_STATUSES = ['new', 'accepted'];
+
+const STATUS_LABELS = {
+  new: 'Placed',
+  accepted: 'Accepted',
+  shipped: 'Shipped',
+  'out-for-delivery': 'Out for delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const HELP_TEXT = [
+  "Here's what I can help with:",
+  "• STATUS – status of your latest order",
+  "• Your order number – status of that order",
+  "• ORDERS – your last 5 orders",
+  "• CANCEL <order number> – ask us to cancel an order",
+  "• AGENT – talk to our team",
+  "• STOP – stop WhatsApp updates"
+].join('\n');
+
+const NO_ORDERS_TEXT = "We couldn't find any orders for this number. Reply AGENT to talk to our team.";
+
+// Commands, matched in order against the lowercased message
+const COMMANDS = [
+  { command: 'help', pattern: /^(help|menu|hi|hello|hey|commands)$/ },
+  { command: 'orders', pattern: /^(orders|my orders|order history)$/ },
+  { command: 'cancel', pattern: /^cancel(?:\s+(?:order\s+)?#?(\S+))?$/ },
+  { command: 'status', pattern: /^(?:status|track|order status|where is my order|where's my order)(?:\s+(?:of\s+)?#?(\S+))?$/ },
+  { command: 'status', pattern: /^#?(\d{3,}|order_\w+)$/ },
+  { command: 'agent', pattern: /^(agent|human|support|talk to (an? )?(agent|human|person|someone))$/ }
+];
+
+/**
+ * Recognize a command in an inbound message
+ * @param {string} text - Message text
+ * @returns {object|null} { command, orderRef } or null if no command matched
+ */
+const parseCommand = (text) => {
+  const normalized = (text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[?!.]+$/, '');
+
+  for (const { command, pattern } of COMMANDS) {
+    const match = normalized.match(pattern);
+    if (match) {
+      return { command, orderRef: command === 'status' || command === 'cancel' ? match[1] : undefined };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the Order query matching a customer's orders by user ID or stored mobile number
+ * @param {string} whatsappNumber - Customer in E.164 digits
+ * @returns {Promise<object>} Order filter
+ */
+const customerOrdersFilter = async (whatsappNumber) => {
+  const phone = normalizePhoneNumber(`+${whatsappNumber}`);
+  const userIds = await User.distinct('userId', { whatsappNumber });
+
+  return {
+    $or: [
+      { 'user.userId': { $in: userIds } },
+      { 'user.mobile': { $in: [whatsappNumber, phone.e164, phone.nationalNumber].filter(Boolean) } }
+    ]
+  };
+};
+
+/**
+ * Find one of the customer's orders by order number (or their latest order)
+ * @param {string} whatsappNumber - Customer in E.164 digits
+ * @param {string} [orderRef] - Order number or order ID
+ * @returns {Promise} Order document or null
+ */
+const findCustomerOrder = async (whatsappNumber, orderRef) => {
+  const filter = await customerOrdersFilter(whatsappNumber);
+
+  if (orderRef) {
+    const refs = [{ orderId: orderRef }];
+    if (/^\d+$/.test(orderRef)) refs.push({ externalOrderId: Number(orderRef) });
+    filter.$and = [{ $or: refs }];
+  }
+
+  return Order.findOne(filter).sort({ createdAt: -1 });
+};
+
+/**
+ * Order number shown to customers
+ * @param {object} order - Order document
+ * @returns {string} e.g. "#123456"
+ */
+const orderNumber = (order) => `#${order.externalOrderId || order.orderId}`;
+
+/**
+ * Describe an order's status and items for a status reply
+ * @param {object} order - Order document
+ * @returns {string} Reply text
+ */
+const describeOrder = (order) => {
+  const lines = [
+    `Order ${orderNumber(order)}: ${STATUS_LABELS[order.status] || order.status}`,
+    `Placed on ${formatDate(order.createdAt)}`
+  ];
+
+  const summary = summarizeOrder(order);
+  const items = formatItemsList(order.items);
+  if (items) lines.push(`Items: ${items}`);
+  lines.push(`Delivery: ${summary.deliveryCharge > 0 ? formatINR(summary.deliveryCharge) : 'Free'}`);
+  if (summary.tax > 0) lines.push(`GST included: ${formatINR(summary.tax)}`);
+  if (summary.savings > 0) lines.push(`You saved: ${formatINR(summary.savings)}`);
+  lines.push(`Total: ${formatINR(summary.total)}`);
+
+  if (['shipped', 'out-for-delivery'].includes(order.status) && order.delivery?.agentName) {
+    lines.push(`Delivery partner: ${order.delivery.agentName}${order.delivery.agentMobile ? ` (${order.delivery.agentMobile})` : ''}`);
+  }
+  if (order.delivery?.trackingUrl && order.status !== 'delivered') {
+    lines.push(`Track: ${order.delivery.trackingUrl}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Command implementations; each returns a handler result ({ action, reply, ... })
+ */
+const runners = {
+  help: async () => ({ action: 'help', reply: HELP_TEXT }),
+
+  status: async ({ whatsappNumber, orderRef }) => {
+    const order = await findCustomerOrder(whatsappNumber, orderRef);
+
+    if (!order) {
+      return {
+        action: 'order-not-found',
+        reply: orderRef
+          ? `We couldn't find order #${orderRef} for this number. Reply ORDERS to see your recent orders.`
+          : NO_ORDERS_TEXT
+      };
+    }
+
+    return { action: 'order-status', orderId: order.orderId, reply: describeOrder(order) };
+  },
+
+  orders: async ({ whatsappNumber }) => {
+    const orders = await Order.find(await customerOrdersFilter(whatsappNumber))
+      .sort({ createdAt: -1 })
+      .limit(RECENT_ORDERS_LIMIT);
+
+    if (orders.length === 0) {
+      return { action: 'orders', reply: NO_ORDERS_TEXT };
+    }
+
+    const lines = orders.map((order) =>
+      `${orderNumber(order)} · ${formatDate(order.createdAt)} · ${formatINR(order.amount || 0)} · ${STATUS_LABELS[order.status] || order.status}`
+    );
+
+    return {
+      action: 'orders',
+      reply: [`Your last ${orders.length} order(s):`, ...lines, "Reply with an order number for details."].join('\n')
+    };
+  },
+
+  cancel: async ({ whatsappNumber, orderRef, text, senderName }) => {
+    if (!orderRef) {
+      return { action: 'cancel-missing-order', reply: "Please reply CANCEL followed by your order number, e.g. CANCEL 123456." };
+    }
+
+    const order = await findCustomerOrder(whatsappNumber, orderRef);
+    if (!order) {
+      return { action: 'order-not-found', reply: `We couldn't find order #${orderRef} for this number.` };
+    }
+
+    if (order.status === 'cancelled') {
+      return { action: 'cancel-rejected', orderId: order.orderId, reply: `Order ${orderNumber(order)} is already cancelled.` };
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return {
+        action: 'cancel-rejected',
+        orderId: order.orderId,
+        reply: `Order ${orderNumber(order)} is already ${STATUS_LABELS[order.status].toLowerCase()} and can't be cancelled here. Reply AGENT to talk to our team.`
+      };
+    }
+
+    // Cancellation happens in the store admin; the team confirms it and the
+    // order.cancelled webhook notifies the customer
+    await handoffService.openHandoff(whatsappNumber, { reason: 'cancel-request', orderId: order.orderId, text, senderName });
+
+    return {
+      action: 'cancel-requested',
+      orderId: order.orderId,
+      reply: `We've asked our team to cancel order ${orderNumber(order)}. You'll get a confirmation here once it's cancelled.`
+    };
+  },
+
+  agent: async ({ whatsappNumber, text, senderName }) => {
+    await handoffService.openHandoff(whatsappNumber, { reason: 'requested', text, senderName });
+    return { action: 'handoff', reply: "Thanks! Someone from our team will reply here shortly." };
+  }
+};
+
+/**
+ * Handle an inbound message as a command, handing anything unrecognized to the team
+ * @param {object} message - { whatsappNumber, text, payload }
+ * @returns {Promise} Handler result ({ action, reply, ... })
+ */
+const handleCommand = async ({ whatsappNumber, text, payload }) => {
+  const parsed = parseCommand(text);
+  const context = { whatsappNumber, text, senderName: payload.senderName, orderRef: parsed?.orderRef };
+
+  if (!parsed) {
+    await handoffService.openHandoff(whatsappNumber, { reason: 'unrecognized', text, senderName: payload.senderName });
+    return {
+      action: 'handoff',
+      reply: "Thanks for your message! Someone from our team will reply here shortly. Reply HELP to see what I can do."
+    };
+  }
+
+  return { command: parsed.command, ...(await runners[parsed.command](context)) };
+};
+
+module.exports = {
+  parseCommand,
+  describeOrder,
+  findCustomerOrder,
+  handleCommand
+};
@@ -0,0 +1,150 @@
+const User = require('../models/User');
+const { normalizePhoneNumber } = require('../utils/helpers');
+
+const CONSENT_CATEGORIES = ['transactional', 'marketing'];
+
+// Replies that change consent for every category
+const OPT_OUT_KEYWORDS = ['STOP', 'UNSUBSCRIBE', 'STOP ALL', 'OPT OUT', 'OPTOUT'];
+const OPT_IN_KEYWORDS = ['START', 'SUBSCRIBE', 'UNSTOP', 'OPT IN', 'OPTIN'];
+
+/**
+ * Decide whether a customer may receive a message of the given category.
+ * Transactional messages are allowed unless the customer opted out;
+ * marketing messages require an explicit opt-in.
+ * @param {object|null} user - User document (or null if unknown)
+ * @param {string} category - Message category
+ * @returns {object} { allowed, reason }
+ */
+const evaluateConsent = (user, category) => {
+  const state = user?.consent?.[category];
+
+  if (state?.status === 'opted-out') {
+    return { allowed: false, reason: `opted-out:${category}` };
+  }
+
+  if (category === 'marketing' && state?.status !== 'opted-in') {
+    return { allowed: false, reason: 'no-marketing-opt-in' };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Query on users matching evaluateConsent, so callers can leave out customers
+ * who can't be sent a category before picking a batch
+ * @param {string} category - Message category
+ * @param {string} [prefix=''] - Path to the user document (e.g. 'users.' after a $lookup)
+ * @returns {object} Query conditions
+ */
+const consentFilter = (category, prefix = '') => {
+  const path = `${prefix}consent.${category}.status`;
+  return category === 'marketing' ? { [path]: 'opted-in' } : { [path]: { $ne: 'opted-out' } };
+};
+
+/**
+ * Check consent for a WhatsApp number
+ * @param {string} whatsappNumber - Recipient in E.164 digits
+ * @param {string} [category='transactional'] - Message category
+ * @returns {Promise} { allowed, reason }
+ */
+const checkConsent = async (whatsappNumber, category = 'transactional') => {
+  const user = await User.findOne({ whatsappNumber }).sort({ lastActivity: -1 });
+  return evaluateConsent(user, category);
+};
+
+/**
+ * Find the user for a phone number
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise} { whatsappNumber, user } or null if the number is invalid
+ */
+const findByPhone = async (phone) => {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized.valid) return null;
+
+  const user = await User.findOne({ whatsappNumber: normalized.whatsappNumber }).sort({ lastActivity: -1 });
+  return { whatsappNumber: normalized.whatsappNumber, user };
+};
+
+/**
+ * Set consent for a WhatsApp number, creating a bare user for unknown numbers
+ * @param {string} whatsappNumber - Recipient in E.164 digits
+ * @param {object} change - Consent change
+ * @param {Array<string>} [change.categories] - Categories to change (defaults to all)
+ * @param {string} change.status - 'opted-in' or 'opted-out'
+ * @param {string} change.source - Where the change came from (e.g. whatsapp-reply, admin, signup)
+ * @param {string} [change.reason] - Reason (mainly for opt-outs)
+ * @param {string} [change.updatedBy] - Who made the change
+ * @returns {Promise} Updated user
+ */
+const setConsent = async (whatsappNumber, { categories = CONSENT_CATEGORIES, status, source, reason, updatedBy }) => {
+  let user = await User.findOne({ whatsappNumber }).sort({ lastActivity: -1 });
+
+  if (!user) {
+    user = new User({ whatsappNumber, mobile: whatsappNumber });
+  }
+
+  const now = new Date();
+
+  categories.forEach((category) => {
+    user.set(`consent.${category}`, { status, source, reason, updatedBy, updatedAt: now });
+    user.consentHistory.push({ category, status, source, reason, updatedBy, changedAt: now });
+  });
+
+  await user.save();
+  console.log(`📝 Consent for ${whatsappNumber} set to ${status} (${categories.join(", ")}) via ${source}`);
+  return user;
+};
+
+/**
+ * Apply STOP/START style replies to consent
+ * @param {string} whatsappNumber - Sender in E.164 digits
+ * @param {string} text - Message text
+ * @returns {Promise} { status } if the text was a consent keyword, otherwise null
+ */
+const handleConsentKeyword = async (whatsappNumber, text) => {
+  const keyword = (text || '').trim().toUpperCase();
+
+  let status = null;
+  if (OPT_OUT_KEYWORDS.includes(keyword)) status = 'opted-out';
+  if (OPT_IN_KEYWORDS.includes(keyword)) status = 'opted-in';
+  if (!status) return null;
+
+  await setConsent(whatsappNumber, {
+    status,
+    source: 'whatsapp-reply',
+    reason: `Customer replied "${keyword}"`
+  });
+
+  return { status };
+};
+
+/**
+ * Summarize a user's consent for API responses
+ * @param {string} whatsappNumber - Number looked up
+ * @param {object|null} user - User document
+ * @returns {object} Consent summary
+ */
+const describeConsent = (whatsappNumber, user) => ({
+  whatsappNumber,
+  userId: user?.userId,
+  name: user?.name,
+  consent: CONSENT_CATEGORIES.reduce((summary, category) => {
+    summary[category] = {
+      ...(user?.consent?.[category]?.toObject?.() || user?.consent?.[category] || {}),
+      allowed: evaluateConsent(user, category).allowed
+    };
+    return summary;
+  }, {}),
+  history: user?.consentHistory || []
+});
+
+module.exports = {
+  CONSENT_CATEGORIES,
+  evaluateConsent,
+  consentFilter,
+  checkConsent,
+  findByPhone,
+  setConsent,
+  handleConsentKeyword,
+  describeConsent
+};
@@ -0,0 +1,513 @@
+const { config } = require('../config');
+const analyticsService = require('./analyticsService');
+const CustomerSummary = require('../models/CustomerSummary');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+const { TIMEZONE, IST_OFFSET, DEFAULT_LIMIT, MAX_LIMIT } = analyticsService;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = (365.25 / 12) * DAY_MS;
+const DEFAULT_COHORTS = 12;
+const MAX_COHORTS = 36;
+
+// RFM segments by recency and frequency score ([min, max], 1–5); the first match wins
+// and customers matching none are 'hibernating' (not recent, few orders)
+const RFM_SEGMENTS = [
+  { name: 'champions', recency: [4, 5], frequency: [4, 5] },
+  { name: 'loyal', recency: [3, 5], frequency: [3, 5] },
+  { name: 'at-risk', recency: [1, 2], frequency: [3, 5] },
+  { name: 'new', recency: [4, 5], frequency: [1, 1] },
+  { name: 'promising', recency: [4, 5], frequency: [1, 5] },
+  { name: 'needs-attention', recency: [3, 3], frequency: [1, 5] }
+];
+const SEGMENTS = [...RFM_SEGMENTS.map((segment) => segment.name), 'hibernating'];
+
+// Customer fields returned in customer lists
+const CUSTOMER_FIELDS = {
+  _id: 0,
+  userId: 1,
+  name: 1,
+  mobile: 1,
+  orderCount: 1,
+  totalSpent: 1,
+  averageOrderValue: 1,
+  firstOrderAt: 1,
+  lastOrderAt: 1,
+  averageDaysBetweenOrders: 1,
+  rfm: 1,
+  estimatedClv: 1
+};
+
+let refreshTimer = null;
+let refreshInProgress = null;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Start of the IST month containing a date field
+const monthStart = (dateField) => ({ $dateTrunc: { date: dateField, unit: 'month', timezone: TIMEZONE } });
+
+// 1–5 quintile score from a 1-based rank among `total` customers
+const quintile = (rankField) => ({
+  $add: [{ $floor: { $multiply: [{ $divide: [{ $subtract: [rankField, 1] }, '$total'] }, 5] } }, 1]
+});
+
+const inRange = (field, [min, max]) => ({ $and: [{ $gte: [field, min] }, { $lte: [field, max] }] });
+
+const segmentExpression = {
+  $switch: {
+    branches: RFM_SEGMENTS.map(({ name, recency, frequency }) => ({
+      case: { $and: [inRange('$recency', recency), inRange('$frequency', frequency)] },
+      then: name
+    })),
+    default: 'hibernating'
+  }
+};
+
+/**
+ * Write the customer summaries into an empty staging collection
+ * @param {object} staging - Staging collection (MongoDB driver collection)
+ * @param {Date} now - Refresh time, stamped on every summary
+ */
+const buildSummaries = async (staging, now) => {
+  const into = staging.collectionName;
+  const computedAt = { $literal: now };
+
+  // Users, with no orders yet
+  await User.aggregate([
+    { $match: { userId: { $exists: true, $ne: null } } },
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        name: 1,
+        mobile: 1,
+        whatsappNumber: 1,
+        signedUpAt: '$createdAt',
+        cohortMonth: monthStart('$createdAt'),
+        orderCount: { $literal: 0 },
+        totalSpent: { $literal: 0 },
+        orderMonths: { $literal: [] },
+        computedAt
+      }
+    },
+    { $merge: { into, on: 'userId', whenMatched: 'replace', whenNotMatched: 'insert' } }
+  ]).allowDiskUse(true);
+
+  // Order history, leaving out cancelled orders
+  await Order.aggregate([
+    { $match: { 'user.userId': { $exists: true, $ne: null }, status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: '$user.userId',
+        orderCount: { $sum: 1 },
+        totalSpent: { $sum: '$amount' },
+        firstOrderAt: { $min: '$createdAt' },
+        lastOrderAt: { $max: '$createdAt' },
+        orderMonths: { $addToSet: monthStart('$createdAt') }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        orderCount: 1,
+        totalSpent: 1,
+        averageOrderValue: { $round: [{ $divide: ['$totalSpent', '$orderCount'] }, 2] },
+        firstOrderAt: 1,
+        lastOrderAt: 1,
+        averageDaysBetweenOrders: {
+          $cond: [
+            { $gt: ['$orderCount', 1] },
+            {
+              $round: [{
+                $divide: [
+                  { $subtract: ['$lastOrderAt', '$firstOrderAt'] },
+                  { $multiply: [{ $subtract: ['$orderCount', 1] }, DAY_MS] }
+                ]
+              }, 1]
+            },
+            null
+          ]
+        },
+        orderMonths: 1,
+        computedAt
+      }
+    },
+    { $merge: { into, on: 'userId', whenMatched: 'merge', whenNotMatched: 'insert' } }
+  ]).allowDiskUse(true);
+
+  // Customers without a user record join the cohort of their first order
+  await staging.updateMany(
+    { signedUpAt: null, firstOrderAt: { $ne: null } },
+    [{ $set: { signedUpAt: '$firstOrderAt', cohortMonth: monthStart('$firstOrderAt') } }]
+  );
+
+  // RFM quintiles and lifetime value, for customers with orders
+  await staging.aggregate([
+    { $match: { orderCount: { $gt: 0 } } },
+    {
+      $setWindowFields: {
+        sortBy: { lastOrderAt: 1 },
+        output: {
+          recencyRank: { $rank: {} },
+          total: { $count: {}, window: { documents: ['unbounded', 'unbounded'] } }
+        }
+      }
+    },
+    { $setWindowFields: { sortBy: { orderCount: 1 }, output: { frequencyRank: { $rank: {} } } } },
+    { $setWindowFields: { sortBy: { totalSpent: 1 }, output: { monetaryRank: { $rank: {} } } } },
+    {
+      $set: {
+        recency: quintile('$recencyRank'),
+        frequency: quintile('$frequencyRank'),
+        monetary: quintile('$monetaryRank'),
+        monthsActive: { $max: [1, { $divide: [{ $subtract: [now, '$firstOrderAt'] }, MONTH_MS] }] }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        rfm: {
+          recencyDays: { $floor: { $divide: [{ $subtract: [now, '$lastOrderAt'] }, DAY_MS] } },
+          recency: '$recency',
+          frequency: '$frequency',
+          monetary: '$monetary',
+          segment: segmentExpression
+        },
+        // Average order value × orders per month so far × expected lifespan
+        estimatedClv: {
+          $round: [{
+            $multiply: [
+              '$averageOrderValue',
+              { $divide: ['$orderCount', '$monthsActive'] },
+              config.customerSummaries.clvLifespanMonths
+            ]
+          }, 2]
+        }
+      }
+    },
+    { $merge: { into, on: 'userId', whenMatched: 'merge', whenNotMatched: 'discard' } }
+  ], { allowDiskUse: true }).toArray();
+};
+
+/**
+ * Rebuild every customer summary: one per user, plus customers who ordered without a user record.
+ * The summaries are built in a staging collection that then replaces customersummaries, so
+ * readers never see a half-built one. Needs MongoDB 5.0 or later ($merge, $setWindowFields, $dateTrunc).
+ * @param {Date} now - Refresh time, stamped on every summary
+ * @returns {Promise} { customers, computedAt }
+ */
+const rebuildSummaries = async (now) => {
+  const target = CustomerSummary.collection.name;
+  // Named per refresh so instances refreshing at the same time don't share one
+  const into = `${target}_rebuild_${now.getTime()}`;
+  const staging = CustomerSummary.db.db.collection(into);
+
+  // The model's indexes, including the unique userId index $merge needs
+  await staging.createIndexes(CustomerSummary.schema.indexes().map(([key, options]) => ({ key, ...options })));
+
+  try {
+    await buildSummaries(staging, now);
+    await staging.rename(target, { dropTarget: true });
+  } catch (error) {
+    await staging.drop().catch(() => {});
+    throw error;
+  }
+
+  const customers = await CustomerSummary.countDocuments();
+  console.log(`📈 Refreshed ${customers} customer summaries`);
+
+  return { customers, computedAt: now };
+};
+
+/**
+ * Recompute the customersummaries collection from users and orders.
+ * A refresh already running in this process is shared rather than started twice.
+ * @param {Date} [now=new Date()] - Refresh time
+ * @returns {Promise} { customers, computedAt }
+ */
+const refreshCustomerSummaries = (now = new Date()) => {
+  if (!refreshInProgress) {
+    refreshInProgress = rebuildSummaries(now).finally(() => {
+      refreshInProgress = null;
+    });
+  }
+
+  return refreshInProgress;
+};
+
+/**
+ * Refresh the customer summaries now and then every CUSTOMER_SUMMARY_REFRESH_MINUTES
+ */
+const startCustomerSummaryWorker = () => {
+  if (refreshTimer || !config.customerSummaries.refreshEnabled) return;
+
+  const refresh = () => refreshCustomerSummaries().catch((error) => {
+    console.error(`❌ Customer summary refresh error: ${error.message}`);
+  });
+
+  const intervalMs = config.customerSummaries.refreshIntervalMinutes * 60 * 1000;
+  refreshTimer = setInterval(refresh, intervalMs);
+  refresh();
+
+  console.log(`📈 Customer summary worker started (refreshing every ${config.customerSummaries.refreshIntervalMinutes} min)`);
+};
+
+/**
+ * Stop refreshing the customer summaries
+ */
+const stopCustomerSummaryWorker = () => {
+  if (!refreshTimer) return;
+
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+/**
+ * Parse and validate the query parameters of the customer analytics endpoints
+ * @param {object} query - Request query
+ * @returns {object} { options: { cohorts, limit, offset, segment }, errors }
+ */
+const parseCustomerQuery = (query = {}) => {
+  const errors = [];
+
+  const cohorts = query.cohorts === undefined ? DEFAULT_COHORTS : Number(query.cohorts);
+  if (!Number.isInteger(cohorts) || cohorts < 1 || cohorts > MAX_COHORTS) {
+    errors.push(`cohorts must be a whole number from 1 to ${MAX_COHORTS}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) errors.push("offset must be a non-negative whole number");
+
+  if (query.segment !== undefined && !SEGMENTS.includes(query.segment)) {
+    errors.push(`segment must be one of: ${SEGMENTS.join(', ')}`);
+  }
+
+  return { errors, options: { cohorts, limit, offset, segment: query.segment } };
+};
+
+/**
+ * When the summaries were last refreshed
+ * @returns {Promise<Date|null>} Refresh time, or null before the first refresh
+ */
+const getComputedAt = async () => {
+  const latest = await CustomerSummary.findOne().sort({ computedAt: -1 }).select('computedAt').lean();
+  return latest?.computedAt || null;
+};
+
+// IST month of a date as "2026-01"
+const monthLabel = (date) => date.toLocaleDateString('en-CA', { timeZone: TIMEZONE }).slice(0, 7);
+
+// Months from one "2026-01" label to another
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+/**
+ * Monthly signup cohorts and the share of each that ordered in month 0 (the signup month), 1, 2, ...
+ * @param {object} options - Parsed customer options (cohorts)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} { computedAt, cohorts: [{ cohort, customers, retention: [{ month, customers, rate }] }] }
+ */
+const getCohortRetention = async (options, now = new Date()) => {
+  const thisMonth = monthLabel(now);
+  const [year, month] = thisMonth.split('-').map(Number);
+  const firstMonth = new Date(Date.UTC(year, month - options.cohorts, 1)).toISOString().slice(0, 7);
+  const since = new Date(`${firstMonth}-01T00:00:00${IST_OFFSET}`);
+
+  const [[result], computedAt] = await Promise.all([
+    CustomerSummary.aggregate([
+      { $match: { cohortMonth: { $gte: since } } },
+      {
+        $project: {
+          cohortMonth: 1,
+          offsets: {
+            $map: {
+              input: '$orderMonths',
+              as: 'orderMonth',
+              in: { $dateDiff: { startDate: '$cohortMonth', endDate: '$$orderMonth', unit: 'month', timezone: TIMEZONE } }
+            }
+          }
+        }
+      },
+      {
+        $facet: {
+          sizes: [
+            { $group: { _id: '$cohortMonth', customers: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          active: [
+            { $unwind: '$offsets' },
+            // Orders placed before signing up don't count towards retention
+            { $match: { offsets: { $gte: 0 } } },
+            { $group: { _id: { cohortMonth: '$cohortMonth', month: '$offsets' }, customers: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]),
+    getComputedAt()
+  ]);
+
+  const active = new Map(result.active.map(({ _id, customers }) =>
+    [`${monthLabel(_id.cohortMonth)}:${_id.month}`, customers]));
+
+  const cohorts = result.sizes.map(({ _id, customers }) => {
+    const cohort = monthLabel(_id);
+    const retention = Array.from({ length: monthsBetween(cohort, thisMonth) + 1 }, (_, n) => {
+      const ordered = active.get(`${cohort}:${n}`) || 0;
+      return { month: n, customers: ordered, rate: round(ordered / customers, 4) };
+    });
+
+    return { cohort, customers, retention };
+  });
+
+  return { computedAt, timezone: TIMEZONE, cohorts };
+};
+
+/**
+ * Repeat purchase rate, orders per customer and average days between orders
+ * @returns {Promise} Repeat purchase figures for customers with at least one order
+ */
+const getRepeatPurchases = async () => {
+  const [[result], computedAt] = await Promise.all([
+    CustomerSummary.aggregate([
+      { $match: { orderCount: { $gt: 0 } } },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              customers: { $sum: 1 },
+              repeatCustomers: { $sum: { $cond: [{ $gte: ['$orderCount', 2] }, 1, 0] } },
+              orders: { $sum: '$orderCount' },
+              // Days between consecutive orders, summed over every customer
+              daysBetween: { $sum: { $divide: [{ $subtract: ['$lastOrderAt', '$firstOrderAt'] }, DAY_MS] } },
+              gaps: { $sum: { $subtract: ['$orderCount', 1] } }
+            }
+          }],
+          distribution: [
+            { $group: { _id: { $min: ['$orderCount', 5] }, customers: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]),
+    getComputedAt()
+  ]);
+
+  const totals = result.totals[0] || { customers: 0, repeatCustomers: 0, orders: 0, daysBetween: 0, gaps: 0 };
+
+  return {
+    computedAt,
+    customers: totals.customers,
+    repeatCustomers: totals.repeatCustomers,
+    repeatPurchaseRate: totals.customers ? round(totals.repeatCustomers / totals.customers, 4) : 0,
+    ordersPerCustomer: totals.customers ? round(totals.orders / totals.customers, 2) : 0,
+    averageDaysBetweenOrders: totals.gaps ? round(totals.daysBetween / totals.gaps, 1) : null,
+    orderCountDistribution: result.distribution.map(({ _id, customers }) => ({
+      orders: _id === 5 ? '5+' : _id,
+      customers
+    }))
+  };
+};
+
+/**
+ * Customers per RFM segment, and the customers in a segment ranked by spend
+ * @param {object} options - Parsed customer options (segment, limit, offset)
+ * @returns {Promise} { computedAt, segments, customers, pagination }
+ */
+const getRfmAnalytics = async (options) => {
+  const [segments, customers, computedAt] = await Promise.all([
+    CustomerSummary.aggregate([
+      { $match: { 'rfm.segment': { $exists: true } } },
+      {
+        $group: {
+          _id: '$rfm.segment',
+          customers: { $sum: 1 },
+          revenue: { $sum: '$totalSpent' },
+          averageRecencyDays: { $avg: '$rfm.recencyDays' },
+          averageOrders: { $avg: '$orderCount' },
+          averageSpent: { $avg: '$totalSpent' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          segment: '$_id',
+          customers: 1,
+          revenue: 1,
+          averageRecencyDays: { $round: ['$averageRecencyDays', 1] },
+          averageOrders: { $round: ['$averageOrders', 2] },
+          averageSpent: { $round: ['$averageSpent', 2] }
+        }
+      },
+      { $sort: { revenue: -1, segment: 1 } }
+    ]),
+    analyticsService.paginatedAggregate(CustomerSummary, [
+      { $match: { 'rfm.segment': options.segment || { $exists: true } } },
+      { $project: CUSTOMER_FIELDS }
+    ], { totalSpent: -1, userId: 1 }, options),
+    getComputedAt()
+  ]);
+
+  return { computedAt, segments, customers: customers.rows, pagination: customers.pagination };
+};
+
+/**
+ * Estimated customer lifetime value: average order value × orders per month so far × CLV_LIFESPAN_MONTHS
+ * @param {object} options - Parsed customer options (limit, offset)
+ * @returns {Promise} { computedAt, assumptions, customers, averageClv, topCustomers, pagination }
+ */
+const getClvAnalytics = async (options) => {
+  const match = { $match: { estimatedClv: { $ne: null } } };
+
+  const [[totals], customers, computedAt] = await Promise.all([
+    CustomerSummary.aggregate([
+      match,
+      {
+        $group: {
+          _id: null,
+          customers: { $sum: 1 },
+          averageClv: { $avg: '$estimatedClv' },
+          averageSpentSoFar: { $avg: '$totalSpent' },
+          orders: { $sum: '$orderCount' },
+          revenue: { $sum: '$totalSpent' }
+        }
+      }
+    ]),
+    analyticsService.paginatedAggregate(CustomerSummary, [match, { $project: CUSTOMER_FIELDS }],
+      { estimatedClv: -1, userId: 1 }, options),
+    getComputedAt()
+  ]);
+
+  return {
+    computedAt,
+    assumptions: { lifespanMonths: config.customerSummaries.clvLifespanMonths },
+    customers: totals?.customers || 0,
+    averageClv: totals ? round(totals.averageClv, 2) : 0,
+    averageSpentSoFar: totals ? round(totals.averageSpentSoFar, 2) : 0,
+    averageOrderValue: totals?.orders ? round(totals.revenue / totals.orders, 2) : 0,
+    topCustomers: customers.rows,
+    pagination: customers.pagination
+  };
+};
+
+module.exports = {
+  SEGMENTS,
+  refreshCustomerSummaries,
+  startCustomerSummaryWorker,
+  stopCustomerSummaryWorker,
+  parseCustomerQuery,
+  getCohortRetention,
+  getRepeatPurchases,
+  getRfmAnalytics,
+  getClvAnalytics
+};
@@ -0,0 +1,121 @@
+const Message = require('../models/Message');
+
+// WATI webhook event types mapped to our message status
+const WATI_EVENT_STATUS = {
+  templateMessageSent: 'sent',
+  sentMessageSENT: 'sent',
+  sentMessageDELIVERED: 'delivered',
+  sentMessageREAD: 'read',
+  templateMessageFailed: 'failed',
+  sentMessageFAILED: 'failed'
+};
+
+// Later statuses never move a message back to an earlier one
+const STATUS_RANK = {
+  sent: 0,
+  failed: 1,
+  delivered: 2,
+  read: 3
+};
+
+/**
+ * Record a message that the provider accepted for sending
+ * @param {object} outboundMessage - Sent OutboundMessage document
+ * @param {object} result - Provider send result ({ provider, messageId })
+ * @returns {Promise} Created Message document
+ */
+const recordSentMessage = async (outboundMessage, result) => {
+  return Message.create({
+    outboundMessageId: outboundMessage._id,
+    provider: result.provider,
+    providerMessageId: result.messageId,
+    event: outboundMessage.event,
+    templateName: outboundMessage.templateName,
+    parameters: outboundMessage.parameters,
+    mobileNumber: outboundMessage.mobileNumber,
+    orderId: outboundMessage.orderId,
+    userId: outboundMessage.userId,
+    status: 'sent',
+    statusHistory: [{ status: 'sent', receivedAt: new Date() }],
+    sentAt: new Date(),
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Resolve our status from a WATI status webhook payload
+ * @param {object} payload - WATI webhook payload
+ * @returns {string|undefined} Message status
+ */
+const resolveStatus = (payload) => {
+  if (WATI_EVENT_STATUS[payload.eventType]) {
+    return WATI_EVENT_STATUS[payload.eventType];
+  }
+
+  const statusString = (payload.statusString || payload.status || '').toLowerCase();
+  return STATUS_RANK[statusString] !== undefined ? statusString : undefined;
+};
+
+/**
+ * Apply a WATI sent/delivered/read/failed status webhook to the matching Message
+ * @param {object} payload - WATI webhook payload
+ * @returns {Promise} Updated Message document, or null if ignored
+ */
+const handleStatusWebhook = async (payload) => {
+  const status = resolveStatus(payload);
+  if (!status) {
+    console.log(`ℹ️ Ignoring WATI webhook event: ${payload.eventType}`);
+    return null;
+  }
+
+  const ids = [payload.localMessageId, payload.id, payload.whatsappMessageId].filter(Boolean);
+  if (ids.length === 0) {
+    console.warn("⚠️ WATI status webhook without a message ID");
+    return null;
+  }
+
+  const message = await Message.findOne({
+    $or: [
+      { providerMessageId: { $in: ids } },
+      { whatsappMessageId: { $in: ids } }
+    ]
+  });
+
+  if (!message) {
+    console.warn(`⚠️ No message found for WATI status webhook (${ids.join(", ")})`);
+    return null;
+  }
+
+  const now = new Date();
+
+  if (payload.whatsappMessageId && !message.whatsappMessageId) {
+    message.whatsappMessageId = payload.whatsappMessageId;
+  }
+
+  message.statusHistory.push({ status, rawPayload: payload, receivedAt: now });
+
+  if (status === 'delivered') message.deliveredAt = message.deliveredAt || now;
+  if (status === 'read') {
+    message.readAt = message.readAt || now;
+    message.deliveredAt = message.deliveredAt || now;
+  }
+  if (status === 'failed') {
+    message.failedAt = now;
+    message.failureReason = payload.failedDetail || payload.failedCode || payload.statusString;
+  }
+
+  if (STATUS_RANK[status] > STATUS_RANK[message.status]) {
+    message.status = status;
+  }
+
+  message.updatedAt = now;
+  await message.save();
+
+  console.log(`📬 Message ${message._id} status: ${message.status}`);
+  return message;
+};
+
+module.exports = {
+  recordSentMessage,
+  handleStatusWebhook
+};
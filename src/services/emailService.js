@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+const { config } = require('../config');
+
+let transporter = null;
+
+/**
+ * Whether outgoing email is set up
+ * @returns {boolean} True when SMTP_HOST is configured
+ */
+const isEmailConfigured = () => Boolean(config.smtp.host);
+
+/**
+ * SMTP transport, created on first use
+ * @returns {object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = config.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email through the configured SMTP server
+ * @param {object} email - Message
+ * @param {Array<string>|string} email.to - Recipients
+ * @param {string} email.subject - Subject
+ * @param {string} email.text - Plain text body
+ * @param {string} [email.html] - HTML body
+ * @returns {Promise} Nodemailer result ({ messageId, accepted, rejected })
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  if (!isEmailConfigured()) {
+    throw new Error("SMTP is not configured (set SMTP_HOST)");
+  }
+
+  return getTransporter().sendMail({ from: config.smtp.from, to, subject, text, html });
+};
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail
+};
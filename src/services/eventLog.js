@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const WebhookEvent = require('../models/WebhookEvent');
+
+/**
+ * Build the dedupe key for an incoming webhook.
+ * Prefers an explicit delivery/event ID and falls back to a hash of the payload,
+ * since Growcify retries resend the exact same body.
+ * @param {object} webhookData - Webhook payload
+ * @param {string} [deliveryId] - Delivery ID from the request headers
+ * @returns {string} Dedupe key
+ */
+const computeDedupeKey = (webhookData, deliveryId) => {
+  const explicitId = deliveryId || webhookData.id || webhookData.eventId;
+  if (explicitId) {
+    return `${webhookData.event}:${explicitId}`;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ event: webhookData.event, data: webhookData.data }))
+    .digest('hex');
+
+  return `${webhookData.event}:${hash}`;
+};
+
+const getWindowStart = () => new Date(Date.now() - config.webhookDedupeWindowSeconds * 1000);
+const getLeaseStart = () => new Date(Date.now() - config.webhookProcessingTimeoutSeconds * 1000);
+
+/**
+ * Look for an earlier delivery of the same event inside the dedupe window.
+ * Failed events, and events stuck in processing past the processing timeout (the process
+ * crashed or never marked them), are not considered so that Growcify retries can reprocess them.
+ * A match has its duplicate counter incremented.
+ * @param {string} dedupeKey - Dedupe key of the incoming event
+ * @returns {Promise} Original event or null
+ */
+const findDuplicate = async (dedupeKey) => {
+  const windowStart = getWindowStart();
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      dedupeKey,
+      receivedAt: { $gte: windowStart },
+      $or: [
+        { status: { $in: ['processed', 'ignored'] } },
+        { status: 'processing', processingStartedAt: { $gte: getLeaseStart() } }
+      ]
+    },
+    {
+      $inc: { duplicateCount: 1 },
+      $set: { lastDuplicateAt: new Date() }
+    },
+    { sort: { receivedAt: -1 }, new: true }
+  );
+};
+
+/**
+ * Record a newly received event
+ * @param {object} webhookData - Webhook payload
+ * @param {string} dedupeKey - Dedupe key of the event
+ * @returns {Promise} Created event document
+ */
+const recordEvent = async (webhookData, dedupeKey) => {
+  return WebhookEvent.create({
+    dedupeKey,
+    event: webhookData.event,
+    payload: webhookData,
+    status: 'processing',
+    receivedAt: new Date(),
+    processingStartedAt: new Date()
+  });
+};
+
+/**
+ * Record an incoming event unless it is a duplicate. Inserting claims the dedupe key
+ * atomically (it is unique), so of two concurrent deliveries only one is recorded.
+ * An earlier event holding the key that failed, left the dedupe window or stayed in
+ * processing past the processing timeout releases it; a timed-out event is marked failed.
+ * @param {object} webhookData - Webhook payload
+ * @param {string} dedupeKey - Dedupe key of the event
+ * @returns {Promise} { webhookEvent } when recorded, or { original } for a duplicate
+ */
+const claimEvent = async (webhookData, dedupeKey) => {
+  // A second round only happens after an earlier event released the key
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return { webhookEvent: await recordEvent(webhookData, dedupeKey) };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const original = await findDuplicate(dedupeKey);
+    if (original) return { original };
+
+    await WebhookEvent.updateOne(
+      { dedupeKey, status: 'processing', processingStartedAt: { $not: { $gte: getLeaseStart() } } },
+      {
+        $set: { status: 'failed', error: { message: "Processing timed out" }, processedAt: new Date() },
+        $unset: { dedupeKey: 1 }
+      }
+    );
+    await WebhookEvent.updateOne(
+      { dedupeKey, $or: [{ status: 'failed' }, { receivedAt: { $lt: getWindowStart() } }] },
+      { $unset: { dedupeKey: 1 } }
+    );
+  }
+
+  throw new Error(`Webhook event ${dedupeKey} is already being processed`);
+};
+
+/**
+ * Mark an event as processed (or ignored, for event types we don't handle)
+ * @param {object} webhookEvent - WebhookEvent document
+ * @param {object} result - Processing result
+ * @returns {Promise} Updated event document
+ */
+const markProcessed = async (webhookEvent, result) => {
+  webhookEvent.status = result.ignored ? 'ignored' : 'processed';
+  webhookEvent.result = result;
+  webhookEvent.messageIds = result.messageIds || (result.messageId ? [result.messageId] : []);
+  webhookEvent.matchedRule = result.matchedRule;
+  webhookEvent.processedAt = new Date();
+  return webhookEvent.save();
+};
+
+/**
+ * Mark an event as failed
+ * @param {object} webhookEvent - WebhookEvent document
+ * @param {Error} error - Error raised while processing
+ * @returns {Promise} Updated event document
+ */
+const markFailed = async (webhookEvent, error) => {
+  webhookEvent.status = 'failed';
+  webhookEvent.error = {
+    message: error.message,
+    response: error.response?.data,
+    stack: error.stack
+  };
+  webhookEvent.processedAt = new Date();
+  return webhookEvent.save();
+};
+
+module.exports = {
+  computeDedupeKey,
+  findDuplicate,
+  recordEvent,
+  claimEvent,
+  markProcessed,
+  markFailed
+};
@@ -0,0 +1,233 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const analyticsService = require('./analyticsService');
+const { normalizeItem } = require('../utils/orderSummary');
+const { createExportWriter } = require('../utils/exportWriters');
+
+// Dates are written as IST wall-clock time, e.g. "2026-01-31 18:05:00"
+const istDateTime = (date) => (date
+  ? new Date(date).toLocaleString('sv-SE', { timeZone: analyticsService.TIMEZONE })
+  : '');
+
+const ORDER_COLUMNS = [
+  { header: 'Order ID', key: 'orderId', width: 28 },
+  { header: 'Order number', key: 'externalOrderId' },
+  { header: 'Created (IST)', key: 'createdAt', width: 20 },
+  { header: 'Status', key: 'status' },
+  { header: 'Order type', key: 'orderType' },
+  { header: 'Payment method', key: 'paymentMethod' },
+  { header: 'Payment status', key: 'paymentStatus' },
+  { header: 'Delivery mode', key: 'deliveryMode' },
+  { header: 'Customer ID', key: 'customerId', width: 28 },
+  { header: 'Customer name', key: 'customerName', width: 24 },
+  { header: 'Customer mobile', key: 'customerMobile' },
+  { header: 'Customer email', key: 'customerEmail', width: 28 },
+  { header: 'Item', key: 'itemName', width: 32 },
+  { header: 'Unit', key: 'itemUnit' },
+  { header: 'Qty', key: 'itemQty' },
+  { header: 'Price', key: 'itemPrice' },
+  { header: 'GST %', key: 'itemGst' },
+  { header: 'Line total', key: 'itemTotal' },
+  { header: 'Discount', key: 'discount' },
+  { header: 'Delivery charge', key: 'deliveryCharge' },
+  { header: 'Order amount', key: 'amount' }
+];
+
+const USER_COLUMNS = [
+  { header: 'User ID', key: 'userId', width: 28 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Mobile', key: 'mobile' },
+  { header: 'WhatsApp number', key: 'whatsappNumber' },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Signed up (IST)', key: 'createdAt', width: 20 },
+  { header: 'Last activity (IST)', key: 'lastActivity', width: 20 },
+  { header: 'Marketing consent', key: 'marketingConsent' }
+];
+
+const PRODUCT_COLUMNS = [
+  { header: 'Product ID', key: 'productId', width: 28 },
+  { header: 'Product', key: 'name', width: 32 },
+  { header: 'Quantity sold', key: 'totalSold' },
+  { header: 'Revenue', key: 'totalRevenue' },
+  { header: 'Average price', key: 'avgPrice' },
+  { header: 'Order lines', key: 'count' }
+];
+
+const CUSTOMER_COLUMNS = [
+  { header: 'Customer ID', key: 'userId', width: 28 },
+  { header: 'Name', key: 'userName', width: 24 },
+  { header: 'Mobile', key: 'userMobile' },
+  { header: 'Email', key: 'userEmail', width: 28 },
+  { header: 'Orders', key: 'orderCount' },
+  { header: 'Total spent', key: 'totalSpent' },
+  { header: 'Average order value', key: 'avgOrderValue' }
+];
+
+const SALES_COLUMNS = [
+  { header: 'Period', key: 'period' },
+  { header: 'Orders', key: 'count' },
+  { header: 'Cancelled', key: 'cancelled' },
+  { header: 'Sales', key: 'sales' }
+];
+
+const round = (amount) => (typeof amount === 'number' ? Math.round(amount * 100) / 100 : amount);
+
+/**
+ * One row per order line item; orders without items get a single row
+ * @param {object} order - Lean Order document
+ * @returns {Array<object>} Export rows
+ */
+const orderRows = (order) => {
+  const base = {
+    orderId: order.orderId,
+    externalOrderId: order.externalOrderId,
+    createdAt: istDateTime(order.createdAt),
+    status: order.status,
+    orderType: order.orderType,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    deliveryMode: order.deliveryMode,
+    customerId: order.user?.userId,
+    customerName: order.user?.name,
+    customerMobile: order.user?.mobile,
+    customerEmail: order.user?.email,
+    discount: order.discount,
+    deliveryCharge: order.deliveryCharge,
+    amount: order.amount
+  };
+
+  if (!order.items?.length) return [base];
+
+  return order.items.map((rawItem) => {
+    const item = normalizeItem(rawItem);
+    return {
+      ...base,
+      itemName: item.name,
+      itemUnit: item.unit,
+      itemQty: item.qty,
+      itemPrice: item.price,
+      itemGst: item.gst,
+      itemTotal: item.lineTotal
+    };
+  });
+};
+
+/**
+ * Export reports: columns, and a cursor over the source documents with a row mapper.
+ * Everything is read through Mongo cursors so large exports aren't held in memory.
+ */
+const REPORTS = {
+  orders: {
+    sheetName: 'Orders',
+    columns: ORDER_COLUMNS,
+    cursor: (options) => Order.find(analyticsService.orderMatch(options))
+      .sort({ createdAt: 1 })
+      .select('-rawPayload -statusHistory -paymentHistory')
+      .lean()
+      .cursor(),
+    toRows: orderRows
+  },
+  users: {
+    sheetName: 'Users',
+    columns: USER_COLUMNS,
+    cursor: (options) => User.find({ createdAt: { $gte: options.from, $lt: options.to } })
+      .sort({ createdAt: 1 })
+      .select('-rawPayload -consentHistory')
+      .lean()
+      .cursor(),
+    toRows: (user) => [{
+      userId: user.userId,
+      name: user.name,
+      mobile: user.mobile,
+      whatsappNumber: user.whatsappNumber,
+      email: user.email,
+      createdAt: istDateTime(user.createdAt),
+      lastActivity: istDateTime(user.lastActivity),
+      marketingConsent: user.consent?.marketing?.status
+    }]
+  },
+  products: {
+    sheetName: 'Top products',
+    columns: PRODUCT_COLUMNS,
+    cursor: (options) => Order.aggregate([
+      ...analyticsService.productStatsPipeline(options),
+      { $sort: analyticsService.PRODUCT_SORT }
+    ]).allowDiskUse(true).cursor(),
+    toRows: (product) => [{
+      productId: product._id.productId,
+      name: product._id.name,
+      totalSold: product.totalSold,
+      totalRevenue: round(product.totalRevenue),
+      avgPrice: round(product.avgPrice),
+      count: product.count
+    }]
+  },
+  customers: {
+    sheetName: 'Top customers',
+    columns: CUSTOMER_COLUMNS,
+    cursor: (options) => Order.aggregate([
+      ...analyticsService.customerStatsPipeline(options),
+      { $sort: analyticsService.CUSTOMER_SORT }
+    ]).allowDiskUse(true).cursor(),
+    toRows: (customer) => [{
+      userId: customer._id,
+      userName: customer.userName,
+      userMobile: customer.userMobile,
+      userEmail: customer.userEmail,
+      orderCount: customer.orderCount,
+      totalSpent: round(customer.totalSpent),
+      avgOrderValue: round(customer.avgOrderValue)
+    }]
+  },
+  sales: {
+    sheetName: 'Sales',
+    columns: SALES_COLUMNS,
+    cursor: (options) => Order.aggregate(analyticsService.salesPipeline(options)).cursor(),
+    toRows: (period) => [{ period: period._id, count: period.count, cancelled: period.cancelled, sales: round(period.sales) }]
+  }
+};
+
+/**
+ * File name for an export, e.g. "orders-2026-01-01-to-2026-01-31.csv"
+ * @param {string} report - Report name
+ * @param {object} options - Parsed analytics options
+ * @param {string} format - csv or xlsx
+ * @returns {string} File name
+ */
+const exportFileName = (report, { from, to }, format) => {
+  const day = (date) => date.toLocaleDateString('en-CA', { timeZone: analyticsService.TIMEZONE });
+  return `${report}-${day(from)}-to-${day(new Date(to.getTime() - 1))}.${format}`;
+};
+
+/**
+ * Stream a report to a writable stream, row by row
+ * @param {string} report - Key of REPORTS
+ * @param {string} format - csv or xlsx
+ * @param {object} options - Parsed analytics options
+ * @param {object} stream - Writable stream (the Express response)
+ * @returns {Promise<number>} Rows written
+ */
+const streamExport = async (report, format, options, stream) => {
+  const { sheetName, columns, cursor, toRows } = REPORTS[report];
+  const writer = createExportWriter(format, stream, columns, sheetName);
+  let rows = 0;
+
+  for await (const doc of cursor(options)) {
+    // Client went away; leaving the loop closes the cursor
+    if (stream.destroyed) break;
+
+    for (const row of toRows(doc)) {
+      await writer.writeRow(row);
+      rows++;
+    }
+  }
+
+  await writer.end();
+  return rows;
+};
+
+module.exports = {
+  REPORTS,
+  exportFileName,
+  streamExport
+};
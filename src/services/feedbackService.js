@@ -0,0 +1,155 @@
+const { config } = require('../config');
+const Order = require('../models/Order');
+const Message = require('../models/Message');
+const OutboundMessage = require('../models/OutboundMessage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEEDBACK_EVENT = 'order.delivered';
+
+// Quick-reply button labels that don't start with a digit
+const RATING_WORDS = {
+  terrible: 1,
+  poor: 2,
+  bad: 2,
+  okay: 3,
+  ok: 3,
+  average: 3,
+  good: 4,
+  great: 5,
+  excellent: 5
+};
+
+/**
+ * Parse a rating reply such as "4", "5 - on time!", "⭐⭐⭐" or "Excellent"
+ * @param {string} text - Reply text
+ * @returns {object|null} { rating, comment } or null if the text isn't a rating
+ */
+const parseFeedback = (text) => {
+  const trimmed = (text || '').trim();
+
+  const digit = trimmed.match(/^([1-5])(?:\s*(?:\/\s*5|stars?|⭐+))?(?:$|[\s.,:!\-–]+(.*)$)/i);
+  if (digit) {
+    return { rating: Number(digit[1]), comment: digit[2]?.trim() || undefined };
+  }
+
+  const stars = trimmed.match(/^(⭐{1,5})\s*(.*)$/u);
+  if (stars) {
+    return { rating: [...stars[1]].length, comment: stars[2]?.trim() || undefined };
+  }
+
+  const word = trimmed.match(/^([a-z]+)(?:$|[\s.,:!\-–]+(.*)$)/i);
+  if (word && RATING_WORDS[word[1].toLowerCase()]) {
+    return { rating: RATING_WORDS[word[1].toLowerCase()], comment: word[2]?.trim() || undefined };
+  }
+
+  return null;
+};
+
+/**
+ * Find the order a feedback reply is about: the order.delivered message the customer
+ * replied to, otherwise the last one sent to them within the feedback window
+ * @param {string} whatsappNumber - Sender in E.164 digits
+ * @param {object} [options] - Lookup options
+ * @param {string} [options.replyContextId] - ID of the message being replied to
+ * @param {Date} [options.now=new Date()] - Reply time
+ * @returns {Promise} Order document or null
+ */
+const findFeedbackOrder = async (whatsappNumber, { replyContextId, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - config.feedback.windowDays * DAY_MS);
+  let orderId;
+
+  if (replyContextId) {
+    const repliedTo = await Message.findOne({
+      $or: [{ whatsappMessageId: replyContextId }, { providerMessageId: replyContextId }],
+      event: FEEDBACK_EVENT,
+      sentAt: { $gte: since }
+    });
+    orderId = repliedTo?.orderId;
+  }
+
+  if (!orderId) {
+    const lastRequest = await OutboundMessage.findOne({
+      whatsappNumber,
+      event: FEEDBACK_EVENT,
+      status: 'sent',
+      sentAt: { $gte: since }
+    }).sort({ sentAt: -1 });
+    orderId = lastRequest?.orderId;
+  }
+
+  if (!orderId) return null;
+  return Order.findOne({ orderId });
+};
+
+/**
+ * Store a rating on the order; a later reply replaces the earlier rating
+ * @param {object} order - Order document
+ * @param {object} feedback - { rating, comment, whatsappNumber, inboundMessageId }
+ * @returns {Promise} Updated order
+ */
+const recordFeedback = async (order, { rating, comment, whatsappNumber, inboundMessageId }) => {
+  const now = new Date();
+
+  order.feedback = {
+    rating,
+    comment,
+    whatsappNumber,
+    inboundMessageId,
+    receivedAt: order.feedback?.receivedAt || now,
+    updatedAt: now
+  };
+  order.updatedAt = now;
+  await order.save();
+
+  if (rating <= config.feedback.lowRatingThreshold) {
+    console.warn(`⚠️ Low rating ${rating}/5 for order ${order.orderId}${comment ? `: ${comment}` : ''}`);
+  } else {
+    console.log(`⭐ Rating ${rating}/5 for order ${order.orderId}`);
+  }
+
+  return order;
+};
+
+/**
+ * Reply text thanking the customer for their rating
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {string} Reply text
+ */
+const thankYouMessage = (rating) => {
+  if (rating <= config.feedback.lowRatingThreshold) {
+    return "We're sorry your order didn't go well. Our team will look into it and get back to you.";
+  }
+  return `Thank you for rating us ${rating}/5! We hope to serve you again soon.`;
+};
+
+/**
+ * Handle an inbound reply as delivery feedback
+ * @param {object} message - { whatsappNumber, text, inboundMessage, payload }
+ * @returns {Promise} { action, orderId, rating, reply } or null if it isn't feedback
+ */
+const handleFeedbackReply = async ({ whatsappNumber, text, inboundMessage, payload }) => {
+  const feedback = parseFeedback(text);
+  if (!feedback) return null;
+
+  const order = await findFeedbackOrder(whatsappNumber, {
+    replyContextId: payload.replyContextId || payload.context?.id,
+    now: inboundMessage.receivedAt
+  });
+  if (!order) return null;
+
+  await recordFeedback(order, { ...feedback, whatsappNumber, inboundMessageId: inboundMessage._id });
+
+  return {
+    action: 'feedback-recorded',
+    orderId: order.orderId,
+    rating: feedback.rating,
+    reply: thankYouMessage(feedback.rating)
+  };
+};
+
+module.exports = {
+  parseFeedback,
+  findFeedbackOrder,
+  recordFeedback,
+  handleFeedbackReply
+};
@@ -0,0 +1,105 @@
+const { config } = require('../config');
+const Handoff = require('../models/Handoff');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Find the customer's open handoff, if it hasn't timed out
+ * @param {string} whatsappNumber - Customer in E.164 digits
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} Handoff document or null
+ */
+const findActiveHandoff = async (whatsappNumber, now = new Date()) => {
+  return Handoff.findOne({
+    whatsappNumber,
+    status: 'open',
+    requestedAt: { $gt: new Date(now.getTime() - config.handoffTimeoutHours * HOUR_MS) }
+  }).sort({ requestedAt: -1 });
+};
+
+/**
+ * Hand a conversation to the team, reusing the customer's active handoff
+ * @param {string} whatsappNumber - Customer in E.164 digits
+ * @param {object} details - Handoff details
+ * @param {string} details.reason - requested, unrecognized or cancel-request
+ * @param {string} [details.text] - Customer's message
+ * @param {string} [details.senderName] - Customer's WhatsApp profile name
+ * @param {string} [details.orderId] - Order the conversation is about
+ * @param {Date} [details.now=new Date()] - Current time
+ * @returns {Promise} Handoff document
+ */
+const openHandoff = async (whatsappNumber, { reason, text, senderName, orderId, now = new Date() }) => {
+  const active = await findActiveHandoff(whatsappNumber, now);
+  if (active) return recordHandoffMessage(active, text, now);
+
+  const handoff = await Handoff.create({
+    whatsappNumber,
+    senderName,
+    reason,
+    orderId,
+    lastMessage: text,
+    requestedAt: now,
+    lastMessageAt: now,
+    updatedAt: now
+  });
+
+  console.log(`🙋 Handed ${whatsappNumber} to the team (${reason})`);
+  return handoff;
+};
+
+/**
+ * Record a customer message on an active handoff
+ * @param {object} handoff - Handoff document
+ * @param {string} text - Customer's message
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} Updated handoff
+ */
+const recordHandoffMessage = async (handoff, text, now = new Date()) => {
+  handoff.lastMessage = text;
+  handoff.lastMessageAt = now;
+  handoff.messageCount += 1;
+  handoff.updatedAt = now;
+  return handoff.save();
+};
+
+/**
+ * Mark a handoff resolved so the bot answers the customer again
+ * @param {string} id - Handoff ID
+ * @param {object} [options] - Resolution details
+ * @param {string} [options.resolvedBy] - Who resolved it
+ * @returns {Promise} Resolved handoff, or null if it isn't open
+ */
+const resolveHandoff = async (id, { resolvedBy } = {}) => {
+  return Handoff.findOneAndUpdate(
+    { _id: id, status: 'open' },
+    { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy, updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * List handoffs, newest first
+ * @param {object} [options] - Listing options
+ * @param {string} [options.status] - Only handoffs with this status
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Number of handoffs to skip
+ * @returns {Promise} { handoffs, total }
+ */
+const listHandoffs = async ({ status, limit = 50, offset = 0 } = {}) => {
+  const filter = status ? { status } : {};
+
+  const [handoffs, total] = await Promise.all([
+    Handoff.find(filter).sort({ requestedAt: -1 }).skip(offset).limit(limit),
+    Handoff.countDocuments(filter)
+  ]);
+
+  return { handoffs, total };
+};
+
+module.exports = {
+  findActiveHandoff,
+  openHandoff,
+  recordHandoffMessage,
+  resolveHandoff,
+  listHandoffs
+};
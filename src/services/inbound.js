@@ -0,0 +1,179 @@
+const InboundMessage = require('../models/InboundMessage');
+const consentService = require('./consentService');
+const feedbackService = require('./feedbackService');
+const handoffService = require('./handoffService');
+const commandService = require('./commandService');
+const watiService = require('./watiService');
+const { normalizePhoneNumber } = require('../utils/helpers');
+
+// WhatsApp only allows free-form replies within 24 hours of the customer's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Inbound message handlers, tried in order until one handles the message.
+ * Each receives { whatsappNumber, text, inboundMessage, payload } and returns
+ * a result object when it handled the message, or null to pass it on.
+ * A `reply` in the result is sent back as a session message.
+ */
+const handlers = [
+  {
+    name: 'consent',
+    handle: async ({ whatsappNumber, text }) => {
+      const result = await consentService.handleConsentKeyword(whatsappNumber, text);
+      if (!result) return null;
+
+      return { action: `consent-${result.status}` };
+    }
+  },
+  {
+    // The team is talking to the customer, so the bot stays quiet (a "5" is part of
+    // that conversation, not a delivery rating)
+    name: 'handoff',
+    handle: async ({ whatsappNumber, text, inboundMessage }) => {
+      const handoff = await handoffService.findActiveHandoff(whatsappNumber, inboundMessage.receivedAt);
+      if (!handoff) return null;
+
+      await handoffService.recordHandoffMessage(handoff, text, inboundMessage.receivedAt);
+      return { action: 'handoff-active', handoffId: handoff._id };
+    }
+  },
+  {
+    name: 'feedback',
+    handle: feedbackService.handleFeedbackReply
+  },
+  {
+    name: 'command',
+    handle: commandService.handleCommand
+  }
+];
+
+/**
+ * Check whether the customer's 24-hour session window is still open
+ * @param {string} whatsappNumber - Customer in E.164 digits
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<boolean>} Whether a session message may be sent
+ */
+const isSessionOpen = async (whatsappNumber, now = new Date()) => {
+  const lastMessage = await InboundMessage.findOne({ whatsappNumber }).sort({ sentAt: -1 });
+  if (!lastMessage) return false;
+
+  return now.getTime() - (lastMessage.sentAt || lastMessage.receivedAt).getTime() < SESSION_WINDOW_MS;
+};
+
+/**
+ * Send a handler's reply; the customer just messaged us, so the session window is open
+ * @param {string} whatsappNumber - Recipient in E.164 digits
+ * @param {object} inboundMessage - InboundMessage document being answered
+ * @param {string} reply - Reply text
+ * @returns {Promise<boolean>} Whether the reply was sent
+ */
+const sendReply = async (whatsappNumber, inboundMessage, reply) => {
+  // A late or redelivered webhook may arrive after the window has closed
+  if (!(await isSessionOpen(whatsappNumber))) {
+    console.warn(`⏰ Not replying to ${whatsappNumber}: session window closed`);
+    inboundMessage.replyError = 'session-window-closed';
+    return false;
+  }
+
+  try {
+    await watiService.sendSessionMessage(`+${whatsappNumber}`, reply);
+    inboundMessage.replySentAt = new Date();
+    return true;
+  } catch (error) {
+    console.error(`❌ Error replying to ${whatsappNumber}: ${error.message}`);
+    inboundMessage.replyError = error.message;
+    return false;
+  }
+};
+
+/**
+ * When the customer sent the message (WATI's `timestamp` is in Unix seconds)
+ * @param {object} payload - WATI message webhook payload
+ * @param {Date} receivedAt - When the webhook arrived
+ * @returns {Date} Send time
+ */
+const getSentAt = (payload, receivedAt) => {
+  const timestamp = Number(payload.timestamp);
+  if (!timestamp) return receivedAt;
+
+  const sentAt = new Date(timestamp * 1000);
+  return sentAt > receivedAt ? receivedAt : sentAt;
+};
+
+/**
+ * Get the text of an inbound WATI message (plain text or button reply)
+ * @param {object} payload - WATI message webhook payload
+ * @returns {string} Message text
+ */
+const getMessageText = (payload) => {
+  return payload.buttonReply?.text ||
+    payload.listReply?.title ||
+    payload.text ||
+    '';
+};
+
+/**
+ * Handle an inbound WhatsApp message from the WATI message webhook
+ * @param {object} payload - WATI message webhook payload
+ * @returns {Promise} Handling result
+ */
+const handleInboundMessage = async (payload) => {
+  // WATI also reports messages we sent ourselves
+  if (payload.owner === true) {
+    return { handled: false, reason: 'outbound-message' };
+  }
+
+  const phone = normalizePhoneNumber(payload.waId);
+  if (!phone.valid) {
+    console.warn(`⚠️ Inbound message from invalid number: ${payload.waId}`);
+    return { handled: false, reason: 'invalid-sender' };
+  }
+
+  // WATI retries webhooks; answer each message once
+  const providerMessageId = payload.whatsappMessageId || payload.id;
+  if (providerMessageId && await InboundMessage.exists({ providerMessageId })) {
+    return { handled: false, reason: 'duplicate' };
+  }
+
+  const text = getMessageText(payload);
+  const receivedAt = new Date();
+  const inboundMessage = await InboundMessage.create({
+    whatsappNumber: phone.whatsappNumber,
+    senderName: payload.senderName,
+    providerMessageId,
+    type: payload.type,
+    text,
+    rawPayload: payload,
+    sentAt: getSentAt(payload, receivedAt),
+    receivedAt
+  });
+
+  console.log(`💬 Inbound message from ${phone.whatsappNumber}: ${text}`);
+
+  for (const handler of handlers) {
+    const result = await handler.handle({
+      whatsappNumber: phone.whatsappNumber,
+      text,
+      inboundMessage,
+      payload
+    });
+
+    if (result) {
+      inboundMessage.handledBy = handler.name;
+      inboundMessage.reply = result.reply;
+      const replied = result.reply ? await sendReply(phone.whatsappNumber, inboundMessage, result.reply) : false;
+      await inboundMessage.save();
+
+      // The reply text can hold order details, so it stays out of the result
+      const { reply, ...details } = result;
+      return { handled: true, handler: handler.name, ...details, replied };
+    }
+  }
+
+  return { handled: false, reason: 'no-handler' };
+};
+
+module.exports = {
+  handleInboundMessage,
+  isSessionOpen
+};
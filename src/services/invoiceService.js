@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { config } = require('../config');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const { buildInvoiceLines, renderInvoicePdf } = require('../utils/invoicePdf');
+
+const HOUR_MS = 60 * 60 * 1000;
+// An invoice claimed but still unnumbered after this long was abandoned (e.g. by a crash)
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Indian financial year (April–March) of a date, e.g. "2026-27"
+ * @param {Date} date - Invoice date
+ * @returns {string} Financial year
+ */
+const getFinancialYear = (date) => {
+  const [year, month] = date
+    .toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+    .split('-')
+    .map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Take the next invoice number. Numbers are consecutive within each financial year,
+ * as GST requires, e.g. INV/2026-27/000042.
+ * @param {Date} date - Invoice date
+ * @returns {Promise} { invoiceNumber, financialYear }
+ */
+const nextInvoiceNumber = async (date) => {
+  const financialYear = getFinancialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice-${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return {
+    invoiceNumber: `${config.invoices.numberPrefix}/${financialYear}/${String(counter.seq).padStart(6, '0')}`,
+    financialYear
+  };
+};
+
+/**
+ * Find an order's numbered invoice
+ * @param {string} orderId - Growcify order ID
+ * @returns {Promise} Invoice document or null
+ */
+const findOrderInvoice = (orderId) => Invoice.findOne({ orderId, invoiceNumber: { $exists: true } });
+
+/**
+ * Claim an order's invoice and number it. The claim is an upsert on orderId, so concurrent
+ * requests for one order share a document and only the one that created it takes a number;
+ * a number taken is never thrown away.
+ * @param {object} order - Order document
+ * @returns {Promise} Numbered Invoice document
+ */
+const claimInvoice = async (order) => {
+  const now = new Date();
+  let invoice;
+  let created = false;
+
+  try {
+    const result = await Invoice.findOneAndUpdate(
+      { orderId: order.orderId },
+      { $setOnInsert: { externalOrderId: order.externalOrderId, invoiceDate: now, createdAt: now } },
+      { upsert: true, new: true, rawResult: true }
+    );
+    invoice = result.value;
+    created = !result.lastErrorObject.updatedExisting;
+  } catch (error) {
+    // Another request's upsert inserted it first
+    if (error.code !== 11000) throw error;
+    invoice = await Invoice.findOne({ orderId: order.orderId });
+  }
+
+  if (invoice.invoiceNumber) return invoice;
+
+  if (!created && now - invoice.createdAt < CLAIM_TIMEOUT_MS) {
+    throw new Error(`Invoice for order ${order.orderId} is already being generated`);
+  }
+
+  const { invoiceNumber, financialYear } = await nextInvoiceNumber(invoice.invoiceDate);
+  invoice.set({
+    invoiceNumber,
+    financialYear,
+    fileName: `${invoiceNumber.replace(/[^\w-]+/g, '_')}.pdf`
+  });
+  await invoice.save();
+
+  return invoice;
+};
+
+/**
+ * Path of an invoice's PDF on disk
+ * @param {object} invoice - Invoice document
+ * @returns {string} Absolute file path
+ */
+const getInvoicePath = (invoice) => path.resolve(config.invoices.storageDir, invoice.fileName);
+
+/**
+ * Generate (or regenerate) the invoice PDF for a stored order. A regenerated
+ * invoice keeps its number and date, and reflects the order's current items.
+ * @param {object} order - Order document
+ * @returns {Promise} Invoice document
+ */
+const generateInvoice = async (order) => {
+  const invoice = await claimInvoice(order);
+
+  const pdf = await renderInvoicePdf(invoice, order, config.invoices.seller);
+  await fs.mkdir(config.invoices.storageDir, { recursive: true });
+  await fs.writeFile(getInvoicePath(invoice), pdf);
+
+  const totals = buildInvoiceLines(order);
+  invoice.set({
+    taxableValue: totals.taxableValue,
+    cgst: totals.cgst,
+    sgst: totals.sgst,
+    total: totals.total,
+    generatedAt: new Date(),
+    generationCount: invoice.generationCount + 1,
+    updatedAt: new Date()
+  });
+
+  await invoice.save();
+
+  console.log(`🧾 Invoice ${invoice.invoiceNumber} generated for order ${order.orderId}`);
+  return invoice;
+};
+
+const sign = (invoiceId, expires) =>
+  crypto.createHmac('sha256', config.invoices.urlSecret).update(`${invoiceId}.${expires}`).digest('hex');
+
+/**
+ * Build an expiring download link for an invoice
+ * @param {object} invoice - Invoice document
+ * @param {object} [options] - Link options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {object} { url, expiresAt }
+ */
+const getSignedUrl = (invoice, { now = new Date() } = {}) => {
+  const expires = Math.floor((now.getTime() + config.invoices.urlTtlHours * HOUR_MS) / 1000);
+  const signature = sign(invoice._id.toString(), expires);
+
+  return {
+    url: `${config.publicBaseUrl}/invoices/${invoice._id}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check an invoice download link's signature and expiry
+ * @param {string} invoiceId - Invoice ID from the URL
+ * @param {string} expires - Expiry (Unix seconds) from the URL
+ * @param {string} signature - Signature from the URL
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Reason the link is rejected, or null if it is valid
+ */
+const verifySignedUrl = (invoiceId, expires, signature, now = new Date()) => {
+  if (!/^\d+$/.test(expires || '') || !/^[0-9a-f]{64}$/.test(signature || '')) return 'invalid-link';
+
+  const expected = Buffer.from(sign(invoiceId, expires), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return 'invalid-link';
+
+  if (Number(expires) * 1000 < now.getTime()) return 'link-expired';
+  return null;
+};
+
+/**
+ * Read an invoice's PDF, regenerating it if the file is missing (e.g. on a new host)
+ * @param {object} invoice - Invoice document
+ * @param {Function} loadOrder - Returns the invoice's Order document
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const readInvoicePdf = async (invoice, loadOrder) => {
+  try {
+    return await fs.readFile(getInvoicePath(invoice));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    const order = await loadOrder();
+    if (!order) throw error;
+
+    await generateInvoice(order);
+    return fs.readFile(getInvoicePath(invoice));
+  }
+};
+
+/**
+ * Create the invoice for a delivered order and describe it for the message template
+ * @param {object} order - Delivered Order document
+ * @returns {Promise} { number, url, expiresAt } (url is empty without PUBLIC_BASE_URL)
+ */
+const prepareDeliveryInvoice = async (order) => {
+  const invoice = await findOrderInvoice(order.orderId) || await generateInvoice(order);
+
+  if (!config.publicBaseUrl) {
+    console.warn("⚠️ PUBLIC_BASE_URL is not set - invoice link left out of the delivery message");
+    return { number: invoice.invoiceNumber };
+  }
+
+  const { url, expiresAt } = getSignedUrl(invoice);
+  return { number: invoice.invoiceNumber, url, expiresAt };
+};
+
+module.exports = {
+  getFinancialYear,
+  findOrderInvoice,
+  generateInvoice,
+  getInvoicePath,
+  getSignedUrl,
+  verifySignedUrl,
+  readInvoicePdf,
+  prepareDeliveryInvoice
+};
@@ -0,0 +1,147 @@
+const templateService = require('./templateService');
+const User = require('../models/User');
+const { normalizePhoneNumber, getValueByPath } = require('../utils/helpers');
+
+// WhatsApp rejects template parameters longer than this
+const MAX_PARAMETER_LENGTH = 1024;
+
+/**
+ * Check whether an event carries an order (order.* and payment.* events)
+ * @param {string} event - Event type
+ * @returns {boolean} Whether data.order holds the event's order
+ */
+const isOrderEvent = (event) => event.startsWith("order.") || event.startsWith("payment.");
+
+/**
+ * Get the recipient's mobile number for an event
+ * @param {string} event - Event type
+ * @param {object} data - Event data from the webhook
+ * @returns {string|undefined} Mobile number as received
+ */
+const getRecipientMobile = (event, data) => {
+  if (event.startsWith("user.")) return data.user?.mobile;
+  if (isOrderEvent(event)) return data.order?.user?.mobile;
+  return undefined;
+};
+
+/**
+ * Get the recipient's country calling code, falling back to the stored User
+ * since order payloads don't carry it
+ * @param {string} event - Event type
+ * @param {object} data - Event data from the webhook
+ * @returns {Promise<string|undefined>} Calling code
+ */
+const getRecipientCallingCode = async (event, data) => {
+  const recipient = event.startsWith("user.") ? data.user : data.order?.user;
+  if (!recipient) return undefined;
+  if (recipient.callingCode) return recipient.callingCode;
+  if (!recipient._id) return undefined;
+
+  const user = await User.findOne({ userId: recipient._id }, { callingCode: 1 }).lean();
+  return user?.callingCode;
+};
+
+/**
+ * Resolve the template and parameters for an event without sending anything
+ * @param {string} event - Event type
+ * @param {object} data - Event data from the webhook
+ * @param {object} [overrides] - Template overrides from a routing rule
+ * @param {string} [overrides.templateEvent] - Render this event's mapping instead
+ * @param {string} [overrides.templateName] - Send this template with the same parameters
+ * @returns {Promise} { templateMapping, templateName, parameters, mobileNumber, callingCode } or null if disabled
+ */
+const buildMessage = async (event, data, { templateEvent, templateName: templateOverride } = {}) => {
+  const templateMapping = await templateService.getTemplateForEvent(templateEvent || event, data);
+  if (!templateMapping) return null;
+
+  const { templateName, parameters } = templateService.renderTemplate(templateMapping, data);
+
+  return {
+    templateMapping,
+    templateName: templateOverride || templateName,
+    parameters,
+    mobileNumber: getRecipientMobile(event, data),
+    callingCode: await getRecipientCallingCode(event, data)
+  };
+};
+
+/**
+ * Check rendered parameters for problems WATI/WhatsApp would reject or that look wrong
+ * @param {object} templateMapping - Mapping used for rendering
+ * @param {Array} parameters - Rendered parameters
+ * @param {object} data - Event data from the webhook
+ * @returns {Array<string>} Warnings
+ */
+const collectWarnings = (templateMapping, parameters, data) => {
+  const warnings = [];
+
+  templateMapping.parameters.forEach((mapping, index) => {
+    const { value } = parameters[index];
+
+    if (mapping.path && getValueByPath(data, mapping.path) === undefined) {
+      warnings.push(`Parameter '${mapping.name}': field '${mapping.path}' is missing from the payload`);
+    }
+
+    if (value === "") {
+      warnings.push(`Parameter '${mapping.name}' is empty`);
+    }
+
+    if (value.length > MAX_PARAMETER_LENGTH) {
+      warnings.push(`Parameter '${mapping.name}' is ${value.length} characters; WhatsApp allows ${MAX_PARAMETER_LENGTH}`);
+    }
+
+    if (/[\n\t]| {5,}/.test(value)) {
+      warnings.push(`Parameter '${mapping.name}' contains newlines, tabs or more than 4 consecutive spaces, which WhatsApp rejects`);
+    }
+  });
+
+  return warnings;
+};
+
+/**
+ * Render the message an event would send, with warnings, without calling WATI
+ * @param {object} webhookData - Webhook payload ({ event, data })
+ * @param {object} [overrides] - Template overrides from a routing rule (see buildMessage)
+ * @returns {Promise} Preview result
+ */
+const previewMessage = async ({ event, data }, overrides = {}) => {
+  const message = await buildMessage(event, data, overrides);
+
+  if (!message) {
+    return {
+      event,
+      skipped: true,
+      warnings: [`Template mapping for '${overrides.templateEvent || event}' is disabled`]
+    };
+  }
+
+  const phone = normalizePhoneNumber(message.mobileNumber, { callingCode: message.callingCode });
+  const warnings = collectWarnings(message.templateMapping, message.parameters, data);
+
+  if (!phone.valid) {
+    warnings.unshift(`Recipient mobile number rejected: ${phone.reason}`);
+  }
+
+  return {
+    event,
+    templateName: message.templateName,
+    templateVersion: message.templateMapping.version,
+    parameters: message.parameters,
+    phone: {
+      input: message.mobileNumber,
+      callingCode: message.callingCode,
+      whatsappNumber: phone.valid ? phone.whatsappNumber : "",
+      valid: phone.valid,
+      reason: phone.reason
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  isOrderEvent,
+  getRecipientMobile,
+  getRecipientCallingCode,
+  buildMessage,
+  previewMessage
+};
@@ -0,0 +1,115 @@
+const { config } = require('../config');
+const messagePolicies = require('../config/messagePolicies');
+const OutboundMessage = require('../models/OutboundMessage');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert an HH:mm clock time to minutes after midnight
+ * @param {string} value - Clock time (e.g. "22:00")
+ * @returns {number} Minutes after midnight
+ */
+const parseClockTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Minutes after midnight for a moment in the given timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Local minutes after midnight
+ */
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * If an event is inside its quiet hours, work out when they end
+ * @param {string} event - Event type
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date|null} End of the quiet hours, or null if sending is allowed now
+ */
+const getQuietHoursEnd = (event, now = new Date()) => {
+  const window = messagePolicies.quietHours[event];
+  if (!window) return null;
+
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  const current = getLocalMinutes(now, messagePolicies.timeZone);
+
+  // Windows like 22:00-08:00 wrap past midnight
+  const inWindow = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inWindow) return null;
+
+  const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const until = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  until.setSeconds(0, 0);
+  return until;
+};
+
+/**
+ * Check the per-customer frequency cap for a message's event
+ * @param {object} message - OutboundMessage document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} { allowed, reason }
+ */
+const checkFrequencyCap = async (message, now = new Date()) => {
+  const cap = messagePolicies.frequencyCaps[message.event];
+  if (!cap || !message.whatsappNumber) return { allowed: true };
+
+  const since = new Date(now.getTime() - cap.windowHours * 60 * 60 * 1000);
+  const recent = await OutboundMessage.countDocuments({
+    _id: { $ne: message._id },
+    whatsappNumber: message.whatsappNumber,
+    event: message.event,
+    status: 'sent',
+    sentAt: { $gte: since }
+  });
+
+  if (recent >= cap.max) {
+    return { allowed: false, reason: `frequency-cap:${message.event}` };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Apply the sending policies to a message that is about to be sent.
+ * Frequency caps suppress the message; quiet hours defer it until they end.
+ * @param {object} message - OutboundMessage document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise} { action: 'send' } | { action: 'suppress', reason } | { action: 'defer', until, reason }
+ */
+const evaluatePolicies = async (message, now = new Date()) => {
+  const frequency = await checkFrequencyCap(message, now);
+  if (!frequency.allowed) {
+    return { action: 'suppress', reason: frequency.reason };
+  }
+
+  if (config.enforceQuietHours) {
+    const until = getQuietHoursEnd(message.event, now);
+    if (until) {
+      return { action: 'defer', until, reason: 'quiet-hours' };
+    }
+  }
+
+  return { action: 'send' };
+};
+
+module.exports = {
+  getQuietHoursEnd,
+  checkFrequencyCap,
+  evaluatePolicies
+};
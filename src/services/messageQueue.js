@@ -0,0 +1,378 @@
+const { config } = require('../config');
+const watiService = require('./watiService');
+const deliveryTracking = require('./deliveryTracking');
+const consentService = require('./consentService');
+const messagePolicy = require('./messagePolicy');
+const OutboundMessage = require('../models/OutboundMessage');
+const { normalizePhoneNumber } = require('../utils/helpers');
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Global send throughput, shared by every message this process sends
+const sendLimiter = createRateLimiter({
+  limit: config.queue.maxSendsPerMinute,
+  intervalMs: 60 * 1000
+});
+
+/**
+ * Add a template message to the outbound queue.
+ * Numbers that can't receive WhatsApp are stored as rejected, and customers who
+ * haven't consented to the message category are stored as suppressed; neither is sent.
+ * @param {object} message - Message details
+ * @param {string} message.mobileNumber - Recipient's mobile number
+ * @param {string} [message.callingCode] - Recipient's country calling code
+ * @param {string} message.templateName - Name of the template to use
+ * @param {string} [message.category='transactional'] - Message category for consent checks
+ * @param {Array} message.parameters - Template parameters
+ * @param {string} [message.event] - Event that triggered the message
+ * @param {string} [message.tenant] - Tenant used to pick the messaging provider
+ * @param {string} [message.orderId] - Related order ID
+ * @param {string} [message.userId] - Related user ID
+ * @param {object} [message.routingRule] - Routing rule that shaped the message
+ * @param {string} [message.campaignId] - Broadcast campaign the message belongs to
+ * @param {string} [message.broadcastName] - WATI broadcast name (defaults to WATI_BROADCAST_NAME)
+ * @param {Date} [message.sendAt] - Earliest time to send (defaults to now)
+ * @returns {Promise} Queued (or rejected/suppressed) message document
+ */
+const enqueueMessage = async ({ sendAt, ...message }) => {
+  const phone = normalizePhoneNumber(message.mobileNumber, { callingCode: message.callingCode });
+
+  if (!phone.valid) {
+    const rejected = await OutboundMessage.create({
+      ...message,
+      status: 'rejected',
+      rejectionReason: phone.reason,
+      updatedAt: new Date()
+    });
+
+    console.warn(`🚫 Rejected ${rejected.templateName} message to ${message.mobileNumber}: ${phone.reason}`);
+    return rejected;
+  }
+
+  const consent = await consentService.checkConsent(phone.whatsappNumber, message.category);
+
+  if (!consent.allowed) {
+    const suppressed = await OutboundMessage.create({
+      ...message,
+      whatsappNumber: phone.whatsappNumber,
+      status: 'suppressed',
+      suppressionReason: consent.reason,
+      updatedAt: new Date()
+    });
+
+    console.log(`🔕 Suppressed ${suppressed.templateName} message to ${phone.whatsappNumber}: ${consent.reason}`);
+    return suppressed;
+  }
+
+  const queued = await OutboundMessage.create({
+    ...message,
+    whatsappNumber: phone.whatsappNumber,
+    status: 'pending',
+    maxAttempts: config.queue.maxAttempts,
+    nextAttemptAt: sendAt || new Date(),
+    updatedAt: new Date()
+  });
+
+  console.log(`📨 Queued ${queued.templateName} message ${queued._id}`);
+  return queued;
+};
+
+/**
+ * Decide whether a failed send is worth retrying.
+ * Network errors, timeouts, 429 and 5xx responses are transient;
+ * any other 4xx means the provider rejected the request and retrying won't help.
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} Whether the send should be retried
+ */
+const isRetryableError = (error) => {
+  if (error.retryable === false) return false;
+
+  const statusCode = error.response?.status;
+
+  if (!statusCode) return true;
+  if (statusCode === 429) return true;
+
+  return statusCode >= 500;
+};
+
+/**
+ * Exponential backoff delay for the given attempt number
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+  const delay = config.queue.backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, config.queue.backoffMaxMs);
+};
+
+/**
+ * Atomically claim the next message that is due for sending.
+ * Deferred messages become due again at nextAttemptAt, and
+ * messages stuck in processing past the lock timeout are reclaimed.
+ * @returns {Promise} Claimed message or null
+ */
+const claimNextMessage = async () => {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.queue.lockTimeoutMs);
+
+  return OutboundMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['pending', 'deferred'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: staleLock } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Hold a claimed message back until later without counting it as a send attempt
+ * @param {object} message - Claimed OutboundMessage document
+ * @param {Date} until - When the message becomes due again
+ * @param {string} reason - Why it was deferred (quiet-hours, rate-limit)
+ * @returns {Promise} Updated message document
+ */
+const deferMessage = async (message, until, reason) => {
+  message.status = 'deferred';
+  message.nextAttemptAt = until;
+  message.deferredUntil = until;
+  message.deferralReason = reason;
+  message.deferCount += 1;
+  message.attempts = Math.max(message.attempts - 1, 0);
+  message.lockedAt = undefined;
+  message.updatedAt = new Date();
+  await message.save();
+
+  console.log(`⏸️ Deferred message ${message._id} until ${until.toISOString()}: ${reason}`);
+  return message;
+};
+
+/**
+ * Suppress a claimed message that a sending policy does not allow
+ * @param {object} message - Claimed OutboundMessage document
+ * @param {string} reason - Suppression reason
+ * @returns {Promise} Updated message document
+ */
+const suppressMessage = async (message, reason) => {
+  message.status = 'suppressed';
+  message.suppressionReason = reason;
+  message.attempts = Math.max(message.attempts - 1, 0);
+  message.lockedAt = undefined;
+  message.updatedAt = new Date();
+  await message.save();
+
+  console.log(`🔕 Suppressed message ${message._id}: ${reason}`);
+  return message;
+};
+
+/**
+ * Apply consent and sending policies to a claimed message, then send it and record the outcome.
+ * Consent is checked again since deferred and retried messages may go out long after they
+ * were queued, and the customer may have opted out in between.
+ * @param {object} message - Claimed OutboundMessage document
+ * @returns {Promise} Updated message document
+ */
+const processMessage = async (message) => {
+  if (message.whatsappNumber) {
+    const consent = await consentService.checkConsent(message.whatsappNumber, message.category);
+    if (!consent.allowed) return suppressMessage(message, consent.reason);
+  }
+
+  const decision = await messagePolicy.evaluatePolicies(message);
+
+  if (decision.action === 'suppress') {
+    return suppressMessage(message, decision.reason);
+  }
+
+  if (decision.action === 'defer') {
+    return deferMessage(message, decision.until, decision.reason);
+  }
+
+  if (!sendLimiter.tryAcquire()) {
+    const until = new Date(Date.now() + sendLimiter.msUntilAvailable());
+    return deferMessage(message, until, 'rate-limit');
+  }
+
+  let result;
+
+  try {
+    // whatsappNumber is already E.164 digits; the + keeps it from being read as a local number
+    result = await watiService.sendTemplateMessage(
+      message.whatsappNumber ? `+${message.whatsappNumber}` : message.mobileNumber,
+      message.templateName,
+      message.parameters,
+      { tenant: message.tenant, broadcastName: message.broadcastName }
+    );
+  } catch (error) {
+    const retryable = isRetryableError(error);
+    const attemptError = {
+      message: error.message,
+      statusCode: error.response?.status,
+      response: error.response?.data,
+      retryable,
+      occurredAt: new Date()
+    };
+
+    message.lastError = attemptError;
+    message.errorHistory.push(attemptError);
+    message.lockedAt = undefined;
+    message.updatedAt = new Date();
+
+    const maxAttempts = message.maxAttempts || config.queue.maxAttempts;
+
+    if (retryable && message.attempts < maxAttempts) {
+      const delay = getBackoffDelay(message.attempts);
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + delay);
+      console.warn(`⏳ Message ${message._id} failed (attempt ${message.attempts}/${maxAttempts}), retrying in ${delay}ms`);
+    } else {
+      message.status = 'dead-lettered';
+      message.deadLetteredAt = new Date();
+      console.error(`☠️ Message ${message._id} dead-lettered after ${message.attempts} attempt(s): ${error.message}`);
+    }
+
+    await message.save();
+    return message;
+  }
+
+  message.status = 'sent';
+  message.provider = result.provider;
+  message.providerMessageId = result.messageId;
+  message.response = result.response;
+  message.sentAt = new Date();
+  message.lockedAt = undefined;
+  message.updatedAt = new Date();
+  await message.save();
+
+  console.log(`✅ Queued message ${message._id} sent`);
+
+  // Tracking failures must not cause the message to be sent again
+  try {
+    await deliveryTracking.recordSentMessage(message, result);
+  } catch (error) {
+    console.error(`❌ Error recording sent message ${message._id}: ${error.message}`);
+  }
+
+  return message;
+};
+
+/**
+ * Send every message that is currently due
+ * @param {number} [limit=50] - Maximum messages to process in one run
+ * @returns {Promise<number>} Number of messages processed
+ */
+const processPendingMessages = async (limit = 50) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    // Leave due messages queued until the throughput limit frees up
+    if (!sendLimiter.hasCapacity()) {
+      console.log("🚦 Send rate limit reached, pausing queue until the next run");
+      break;
+    }
+
+    const message = await claimNextMessage();
+    if (!message) break;
+
+    await processMessage(message);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Start polling the queue for due messages
+ */
+const startWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+      await processPendingMessages();
+    } catch (error) {
+      console.error(`❌ Message queue worker error: ${error.message}`);
+    } finally {
+      workerRunning = false;
+    }
+  }, config.queue.pollIntervalMs);
+
+  console.log(`👷 Message queue worker started (polling every ${config.queue.pollIntervalMs}ms)`);
+};
+
+/**
+ * Stop polling the queue
+ */
+const stopWorker = () => {
+  if (!workerTimer) return;
+
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * List dead-lettered messages, newest first
+ * @param {object} [options] - Pagination options
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Number of messages to skip
+ * @returns {Promise} Messages and total count
+ */
+const listDeadLetters = async ({ limit = 50, offset = 0 } = {}) => {
+  const filter = { status: 'dead-lettered' };
+
+  const [messages, total] = await Promise.all([
+    OutboundMessage.find(filter)
+      .sort({ deadLetteredAt: -1 })
+      .skip(offset)
+      .limit(limit),
+    OutboundMessage.countDocuments(filter)
+  ]);
+
+  return { messages, total };
+};
+
+/**
+ * Put a dead-lettered message back on the queue
+ * @param {string} id - OutboundMessage ID
+ * @returns {Promise} Requeued message or null if not found / not dead-lettered
+ */
+const replayMessage = async (id) => {
+  const now = new Date();
+
+  return OutboundMessage.findOneAndUpdate(
+    { _id: id, status: 'dead-lettered' },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastReplayedAt: now,
+        updatedAt: now
+      },
+      $unset: { deadLetteredAt: 1 },
+      $inc: { replayCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  enqueueMessage,
+  processPendingMessages,
+  startWorker,
+  stopWorker,
+  listDeadLetters,
+  replayMessage,
+  isRetryableError,
+  sendLimiter
+};
@@ -0,0 +1,305 @@
+const { config } = require('../config');
+const analyticsService = require('./analyticsService');
+const emailService = require('./emailService');
+const messageQueue = require('./messageQueue');
+const { renderParameters } = require('../templates/formatters');
+const { formatINR } = require('../utils/orderSummary');
+const BusinessReport = require('../models/BusinessReport');
+const OutboundMessage = require('../models/OutboundMessage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['day', 'week'];
+const TOP_PRODUCTS_LIMIT = 5;
+
+/**
+ * IST calendar date of a moment, e.g. "2026-10-18"
+ * @param {Date} date - Any date
+ * @returns {string} YYYY-MM-DD
+ */
+const istDay = (date) => date.toLocaleDateString('en-CA', { timeZone: analyticsService.TIMEZONE });
+
+// Shift a YYYY-MM-DD date by whole days
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The last complete IST day, or the last complete Monday–Sunday week
+ * @param {string} period - 'day' or 'week'
+ * @param {Date} now - Run time
+ * @returns {object} { from, to } as YYYY-MM-DD, both inclusive
+ */
+const getReportRange = (period, now) => {
+  const today = istDay(now);
+
+  if (period === 'week') {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const monday = addDays(today, -((weekday + 6) % 7));
+    return { from: addDays(monday, -7), to: addDays(monday, -1) };
+  }
+
+  const yesterday = addDays(today, -1);
+  return { from: yesterday, to: yesterday };
+};
+
+/**
+ * Human-readable period, e.g. "18 Oct 2026" or "12 Oct 2026 – 18 Oct 2026"
+ * @param {object} range - { from, to } as YYYY-MM-DD
+ * @returns {string} Label
+ */
+const formatPeriodLabel = ({ from, to }) => {
+  const format = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+};
+
+/**
+ * Compute a business summary from the analytics aggregations
+ * @param {string} period - 'day' or 'week'
+ * @param {Date} [now=new Date()] - Run time
+ * @returns {Promise} { period, metrics, comparison, topProducts }
+ */
+const buildBusinessSummary = async (period, now = new Date()) => {
+  const range = getReportRange(period, now);
+  const { options } = analyticsService.parseAnalyticsQuery({ ...range, limit: TOP_PRODUCTS_LIMIT }, now);
+
+  const [dashboard, products, messages, deadLettered] = await Promise.all([
+    analyticsService.getDashboard(options),
+    analyticsService.getProductAnalytics(options),
+    analyticsService.getMessageAnalytics(options),
+    // Messages the queue gave up on; the provider never accepted them, so they have no delivery status.
+    // Counted when they were given up on, so a later edit doesn't move them to another period
+    OutboundMessage.countDocuments({ status: 'dead-lettered', deadLetteredAt: { $gte: options.from, $lt: options.to } })
+  ]);
+
+  const { change } = dashboard.comparison;
+
+  return {
+    period: { type: period, from: options.from, to: options.to, label: formatPeriodLabel(range) },
+    metrics: {
+      orders: dashboard.totalOrders,
+      // Revenue and average order value leave out cancelled orders
+      revenue: dashboard.totalRevenue,
+      averageOrderValue: dashboard.averageOrderValue,
+      cancellations: dashboard.cancelledOrders,
+      cancelledRevenue: dashboard.cancelledRevenue,
+      newUsers: dashboard.newUsers,
+      messagesSent: messages.overall.total,
+      messagesDelivered: messages.overall.delivered,
+      messagesFailed: messages.overall.failed,
+      deadLettered,
+      rejectedContacts: messages.badContacts.total,
+      deliveryFailures: messages.overall.failed + deadLettered + messages.badContacts.total
+    },
+    comparison: {
+      orders: change.totalOrders,
+      revenue: change.totalRevenue,
+      newUsers: change.newUsers
+    },
+    topProducts: products.topProducts.map((product) => ({
+      productId: product._id.productId,
+      name: product._id.name,
+      quantity: product.totalSold,
+      revenue: Math.round(product.totalRevenue * 100) / 100
+    }))
+  };
+};
+
+// "+12.5%", "-3%" or "n/a" when there was nothing the period before
+const formatChange = (change) => {
+  if (change === null || change === undefined) return "n/a";
+  return `${change > 0 ? "+" : ""}${change}%`;
+};
+
+/**
+ * Values for the report's template parameters: the stored report plus ready-made text
+ * (`report.topProductsList`, `report.changeText.revenue`, ...)
+ * @param {object} report - BusinessReport document or summary
+ * @returns {object} Template data { report }
+ */
+const getTemplateData = (report) => {
+  const plain = typeof report.toObject === 'function' ? report.toObject() : report;
+
+  return {
+    report: {
+      ...plain,
+      topProductsList: plain.topProducts.map((product) => `${product.name} (${product.quantity})`).join(", "),
+      changeText: {
+        orders: formatChange(plain.comparison.orders),
+        revenue: formatChange(plain.comparison.revenue),
+        newUsers: formatChange(plain.comparison.newUsers)
+      }
+    }
+  };
+};
+
+const escapeHtml = (value) => `${value ?? ""}`
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * Email version of a report
+ * @param {object} report - BusinessReport document
+ * @returns {object} { subject, text, html }
+ */
+const buildReportEmail = (report) => {
+  const { report: data } = getTemplateData(report);
+  const { metrics } = data;
+  const title = `${data.period.type === 'week' ? "Weekly" : "Daily"} summary for ${data.period.label}`;
+
+  const rows = [
+    ["Orders", `${metrics.orders} (${data.changeText.orders})`],
+    ["Revenue", `${formatINR(metrics.revenue)} (${data.changeText.revenue})`],
+    ["Average order value", formatINR(metrics.averageOrderValue)],
+    ["Cancellations", `${metrics.cancellations} (${formatINR(metrics.cancelledRevenue || 0)})`],
+    ["New users", `${metrics.newUsers} (${data.changeText.newUsers})`],
+    ["Messages sent", metrics.messagesSent],
+    ["Delivery failures", `${metrics.deliveryFailures} (failed ${metrics.messagesFailed}, gave up ${metrics.deadLettered}, bad numbers ${metrics.rejectedContacts})`]
+  ];
+  const products = data.topProducts.map((product) =>
+    `${product.name}: ${product.quantity} sold, ${formatINR(product.revenue)}`);
+
+  const text = [
+    title,
+    "",
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    "",
+    "Top products:",
+    ...(products.length > 0 ? products.map((line) => `- ${line}`) : ["- No sales"])
+  ].join("\n");
+
+  const html = [
+    `<h2>${escapeHtml(title)}</h2>`,
+    "<table>",
+    ...rows.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+    "</table>",
+    "<h3>Top products</h3>",
+    products.length > 0
+      ? `<ol>${products.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ol>`
+      : "<p>No sales</p>"
+  ].join("\n");
+
+  return { subject: title, text, html };
+};
+
+/**
+ * Email a report to the configured addresses, recording the outcome on the report
+ * @param {object} report - BusinessReport document
+ * @param {Array<string>} to - Email addresses
+ */
+const emailReport = async (report, to) => {
+  report.email = { to, status: 'skipped' };
+
+  if (!emailService.isEmailConfigured()) {
+    report.email.error = "SMTP is not configured";
+    console.warn(`⚠️ Business summary not emailed: set SMTP_HOST to send it to ${to.join(", ")}`);
+    return;
+  }
+
+  try {
+    const result = await emailService.sendEmail({ to, ...buildReportEmail(report) });
+    report.email.status = 'sent';
+    report.email.messageId = result.messageId;
+    report.email.sentAt = new Date();
+  } catch (error) {
+    report.email.status = 'failed';
+    report.email.error = error.message;
+    console.error(`❌ Error emailing business summary: ${error.message}`);
+  }
+};
+
+/**
+ * Run a business-summary job: compute the previous day's or week's summary, store it,
+ * queue the job's WATI template to each owner number and email it when SMTP is set up.
+ * Owner numbers and email addresses come from options.ownerNumbers / options.emailTo,
+ * falling back to REPORT_OWNER_NUMBERS / REPORT_EMAIL_TO.
+ * @param {object} job - ScheduledJob document
+ * @param {object} jobRun - JobRun document (candidates/enrolled count owner numbers/queued messages)
+ * @param {Date} now - Run time
+ * @returns {Promise} BusinessReport document
+ */
+const runBusinessSummary = async (job, jobRun, now) => {
+  const ownerNumbers = job.options?.ownerNumbers || config.reports.ownerNumbers;
+  const emailTo = job.options?.emailTo || config.reports.emailTo;
+
+  const summary = await buildBusinessSummary(job.options?.period || 'day', now);
+  const report = new BusinessReport({
+    ...summary,
+    jobId: job._id,
+    jobRunId: jobRun._id,
+    jobName: job.name,
+    dryRun: config.dryRun
+  });
+
+  jobRun.reportId = report._id;
+  jobRun.candidates = ownerNumbers.length;
+
+  // Dry run: keep the report without messaging anyone
+  if (!config.dryRun) {
+    const parameters = renderParameters(job.parameters, getTemplateData(report));
+
+    for (const mobileNumber of ownerNumbers) {
+      const queued = await messageQueue.enqueueMessage({
+        event: `scheduled.${job.type}`,
+        mobileNumber,
+        templateName: job.templateName,
+        category: job.category,
+        parameters
+      });
+
+      report.whatsapp.push({
+        mobileNumber,
+        whatsappNumber: queued.whatsappNumber,
+        outboundMessageId: queued._id,
+        status: queued.status
+      });
+      if (queued.status === 'pending') jobRun.enrolled++;
+      else jobRun.skipped++;
+    }
+
+    if (emailTo.length > 0) await emailReport(report, emailTo);
+  }
+
+  await report.save();
+  console.log(`📊 Business summary for ${report.period.label}: queued for ${jobRun.enrolled}/${ownerNumbers.length} owner(s)`);
+
+  return report;
+};
+
+/**
+ * Validate business-summary job options
+ * @param {object} options - Job options
+ * @returns {Array<string>} Validation errors
+ */
+const validateReportOptions = (options = {}) => {
+  const errors = [];
+
+  if (options.period !== undefined && !PERIODS.includes(options.period)) {
+    errors.push(`options.period must be one of: ${PERIODS.join(", ")}`);
+  }
+
+  ['ownerNumbers', 'emailTo'].forEach((field) => {
+    const value = options[field];
+    if (value !== undefined && (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string'))) {
+      errors.push(`options.${field} must be an array of strings`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  PERIODS,
+  getReportRange,
+  buildBusinessSummary,
+  getTemplateData,
+  buildReportEmail,
+  runBusinessSummary,
+  validateReportOptions
+};
@@ -0,0 +1,279 @@
+const defaultRules = require('../config/routingRules');
+const RoutingRule = require('../models/RoutingRule');
+const { getValueByPath } = require('../utils/helpers');
+
+const ACTIONS = ['skip', 'template', 'delay', 'fanout'];
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'];
+const EDITABLE_FIELDS = [
+  'description', 'events', 'conditions', 'action', 'templateName', 'templateEvent',
+  'delayMinutes', 'recipients', 'priority', 'enabled'
+];
+
+// Shorthand condition fields mapped to paths in the event data
+const FIELD_PATHS = {
+  orderType: 'order.type',
+  paymentMethod: 'order.paymentMethod',
+  deliveryMode: 'order.deliveryMode',
+  amount: 'order.amount',
+  tags: 'order.tags'
+};
+
+/**
+ * Seed the RoutingRule collection from config/routingRules.js.
+ * Rules are matched by name, so admin edits and disabled rules are kept.
+ * @returns {Promise<number>} Number of rules created
+ */
+const seedRules = async () => {
+  let created = 0;
+
+  for (const rule of defaultRules) {
+    const exists = await RoutingRule.exists({ name: rule.name });
+    if (exists) continue;
+
+    await RoutingRule.create({ ...rule, enabled: rule.enabled ?? true });
+    created++;
+  }
+
+  if (created > 0) {
+    console.log(`🌱 Seeded ${created} routing rule(s)`);
+  }
+
+  return created;
+};
+
+/**
+ * Get enabled rules in priority order.
+ * Falls back to config/routingRules.js when the collection has not been seeded.
+ * @returns {Promise<Array>} Rules
+ */
+const getActiveRules = async () => {
+  if (!(await RoutingRule.exists({}))) {
+    return [...defaultRules]
+      .filter((rule) => rule.enabled !== false)
+      .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+  }
+
+  return RoutingRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+const normalizeValue = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+/**
+ * Compare one value against a condition
+ * @param {*} actual - Value from the payload
+ * @param {string} operator - Condition operator
+ * @param {*} expected - Value from the rule
+ * @returns {boolean} Whether the value matches
+ */
+const compareValue = (actual, operator, expected) => {
+  const value = normalizeValue(actual);
+  const list = (Array.isArray(expected) ? expected : [expected]).map(normalizeValue);
+
+  switch (operator) {
+    case 'ne': return value !== normalizeValue(expected);
+    case 'in': return list.includes(value);
+    case 'nin': return !list.includes(value);
+    case 'gt': return Number(actual) > Number(expected);
+    case 'gte': return Number(actual) >= Number(expected);
+    case 'lt': return Number(actual) < Number(expected);
+    case 'lte': return Number(actual) <= Number(expected);
+    default: return value === normalizeValue(expected);
+  }
+};
+
+/**
+ * Check a single rule condition against event data
+ * @param {object} condition - { field, operator, value }
+ * @param {object} data - Event data from the webhook
+ * @returns {boolean} Whether the condition holds
+ */
+const matchesCondition = (condition, data) => {
+  const operator = condition.operator || 'eq';
+  const actual = getValueByPath(data, FIELD_PATHS[condition.field] || condition.field);
+
+  if (operator === 'exists') {
+    return (actual !== undefined && actual !== null) === (condition.value !== false);
+  }
+
+  if (actual === undefined || actual === null) {
+    return operator === 'ne' || operator === 'nin';
+  }
+
+  // List fields (tags) match when any element matches; negations need every element to pass
+  if (Array.isArray(actual)) {
+    return ['ne', 'nin'].includes(operator)
+      ? actual.every((item) => compareValue(item, operator, condition.value))
+      : actual.some((item) => compareValue(item, operator, condition.value));
+  }
+
+  return compareValue(actual, operator, condition.value);
+};
+
+/**
+ * Check whether a rule applies to an event type
+ * @param {object} rule - Routing rule
+ * @param {string} event - Event type
+ * @returns {boolean} Whether the rule covers the event
+ */
+const matchesEvent = (rule, event) => {
+  if (!rule.events || rule.events.length === 0) return true;
+
+  return rule.events.some((pattern) =>
+    pattern.endsWith('*') ? event.startsWith(pattern.slice(0, -1)) : pattern === event
+  );
+};
+
+/**
+ * Find the first rule (by priority) that matches an event
+ * @param {string} event - Event type
+ * @param {object} data - Event data from the webhook
+ * @returns {Promise} Matching rule or null
+ */
+const findMatchingRule = async (event, data) => {
+  const rules = await getActiveRules();
+
+  return rules.find((rule) =>
+    matchesEvent(rule, event) &&
+    (rule.conditions || []).every((condition) => matchesCondition(condition, data))
+  ) || null;
+};
+
+/**
+ * Resolve a rule's fan-out recipients against event data
+ * @param {object} rule - Routing rule with action 'fanout'
+ * @param {object} data - Event data from the webhook
+ * @returns {Array} Recipients ({ mobileNumber, callingCode })
+ */
+const resolveRecipients = (rule, data) => {
+  return (rule.recipients || []).map((recipient) => ({
+    mobileNumber: recipient.path ? getValueByPath(data, recipient.path) : recipient.mobileNumber,
+    callingCode: recipient.callingCodePath
+      ? getValueByPath(data, recipient.callingCodePath)
+      : recipient.callingCode
+  }));
+};
+
+/**
+ * Summary of a rule stored alongside processed events and messages
+ * @param {object} rule - Routing rule
+ * @returns {object|undefined} { ruleId, name, action }
+ */
+const describeRule = (rule) => {
+  if (!rule) return undefined;
+  return { ruleId: rule._id, name: rule.name, action: rule.action };
+};
+
+/**
+ * Validate a routing rule body
+ * @param {object} body - Rule fields
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate fields that are present
+ * @returns {Array<string>} Validation errors
+ */
+const validateRule = (body, { partial = false } = {}) => {
+  const errors = [];
+  const action = body.action;
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== 'string') errors.push("name is required");
+  }
+
+  if (!partial || action !== undefined) {
+    if (!ACTIONS.includes(action)) errors.push(`action must be one of: ${ACTIONS.join(", ")}`);
+  }
+
+  if (body.events !== undefined && !Array.isArray(body.events)) {
+    errors.push("events must be an array");
+  }
+
+  if (body.conditions !== undefined) {
+    if (!Array.isArray(body.conditions)) {
+      errors.push("conditions must be an array");
+    } else {
+      body.conditions.forEach((condition, index) => {
+        if (!condition || !condition.field) {
+          errors.push(`conditions[${index}].field is required`);
+        }
+        if (condition?.operator && !OPERATORS.includes(condition.operator)) {
+          errors.push(`conditions[${index}].operator must be one of: ${OPERATORS.join(", ")}`);
+        }
+      });
+    }
+  }
+
+  if (action === 'template' && !body.templateName && !body.templateEvent) {
+    errors.push("template rules need a templateName or templateEvent");
+  }
+
+  if (action === 'delay' && !(Number(body.delayMinutes) > 0)) {
+    errors.push("delay rules need a positive delayMinutes");
+  }
+
+  if (action === 'fanout') {
+    if (!Array.isArray(body.recipients) || body.recipients.length === 0) {
+      errors.push("fanout rules need at least one recipient");
+    } else if (body.recipients.some((recipient) => !recipient?.mobileNumber && !recipient?.path)) {
+      errors.push("each recipient needs a mobileNumber or path");
+    }
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+};
+
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+/**
+ * List routing rules in priority order
+ * @returns {Promise<Array>} Rules
+ */
+const listRules = async () => {
+  return RoutingRule.find().sort({ priority: 1, createdAt: 1 });
+};
+
+/**
+ * Create a routing rule
+ * @param {object} body - Rule fields
+ * @returns {Promise} Created rule
+ */
+const createRule = async (body) => {
+  return RoutingRule.create({
+    name: body.name,
+    ...pickEditable(body),
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Update a routing rule
+ * @param {string} id - Rule ID
+ * @param {object} body - Fields to change
+ * @returns {Promise} Updated rule or null
+ */
+const updateRule = async (id, body) => {
+  return RoutingRule.findByIdAndUpdate(
+    id,
+    { $set: { ...pickEditable(body), updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  seedRules,
+  findMatchingRule,
+  matchesCondition,
+  resolveRecipients,
+  describeRule,
+  validateRule,
+  listRules,
+  createRule,
+  updateRule
+};
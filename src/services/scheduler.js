@@ -0,0 +1,542 @@
+const { config } = require('../config');
+const defaultJobs = require('../config/scheduledJobs');
+const messageQueue = require('./messageQueue');
+const consentService = require('./consentService');
+const reportService = require('./reportService');
+const { TIMEZONE, IST_OFFSET } = require('./analyticsService');
+const { formatters, renderParameters } = require('../templates/formatters');
+const { normalizePhoneNumber } = require('../utils/helpers');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const CampaignEnrollment = require('../models/CampaignEnrollment');
+const AbandonedCart = require('../models/AbandonedCart');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EDITABLE_FIELDS = [
+  'description', 'templateName', 'category', 'parameters', 'options',
+  'intervalMinutes', 'batchSize', 'enabled'
+];
+const CATEGORIES = ['transactional', 'marketing'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+/**
+ * Phone numbers or user IDs already entered into a job's campaign
+ * @param {object} job - ScheduledJob document
+ * @param {string} [field='whatsappNumber'] - 'whatsappNumber' or 'userId'
+ * @returns {Promise<Array<string>>} Distinct values
+ */
+const getEnrolled = async (job, field = 'whatsappNumber') => {
+  return CampaignEnrollment.distinct(field, { jobId: job._id, [field]: { $exists: true } });
+};
+
+/**
+ * Recipient details for a stored user, preferring the normalized WhatsApp number
+ * @param {object} user - User document or order/cart user
+ * @returns {object} { mobileNumber, callingCode }
+ */
+const getUserRecipient = (user) => {
+  if (user?.whatsappNumber) return { mobileNumber: `+${user.whatsappNumber}` };
+  return { mobileNumber: user?.mobile, callingCode: user?.callingCode };
+};
+
+/**
+ * Customers who haven't ordered in `inactiveDays` (including customers who never ordered).
+ * Enrolled customers and customers without consent are left out before the batch is taken.
+ * @param {object} job - ScheduledJob document
+ * @param {Date} now - Run time
+ * @returns {Promise<Array>} Candidates
+ */
+const findInactiveCustomers = async (job, now) => {
+  const cutoff = new Date(now.getTime() - (job.options?.inactiveDays || 30) * DAY_MS);
+
+  const [recentBuyers, enrolled] = await Promise.all([
+    Order.distinct('user.userId', { createdAt: { $gte: cutoff } }),
+    getEnrolled(job)
+  ]);
+
+  const users = await User.find({
+    userId: { $exists: true, $nin: recentBuyers },
+    whatsappNumber: { $exists: true, $nin: enrolled },
+    createdAt: { $lt: cutoff },
+    ...consentService.consentFilter(job.category)
+  })
+    .limit(job.batchSize)
+    .lean();
+
+  return users.map((user) => ({
+    ...getUserRecipient(user),
+    userId: user.userId,
+    data: { user }
+  }));
+};
+
+/**
+ * Customers whose only order was placed between `followUpAfterHours` and `lookbackDays` ago.
+ * Enrolled customers and customers without consent are left out before the batch is taken.
+ * @param {object} job - ScheduledJob document
+ * @param {Date} now - Run time
+ * @returns {Promise<Array>} Candidates
+ */
+const findFirstOrderCustomers = async (job, now) => {
+  const followUpBefore = new Date(now.getTime() - (job.options?.followUpAfterHours || 48) * HOUR_MS);
+  const windowStart = new Date(now.getTime() - (job.options?.lookbackDays || 7) * DAY_MS);
+
+  const enrolled = await getEnrolled(job, 'userId');
+
+  const firstOrders = await Order.aggregate([
+    { $match: { 'user.userId': { $exists: true }, status: { $ne: 'cancelled' } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$user.userId',
+        orderCount: { $sum: 1 },
+        order: { $first: '$$ROOT' }
+      }
+    },
+    {
+      $match: {
+        _id: { $nin: enrolled },
+        orderCount: 1,
+        'order.createdAt': { $gte: windowStart, $lte: followUpBefore }
+      }
+    },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: 'userId', as: 'users' } },
+    { $match: consentService.consentFilter(job.category, 'users.') },
+    { $project: { users: 0 } },
+    { $limit: job.batchSize }
+  ]);
+
+  const users = await User.find({ userId: { $in: firstOrders.map((entry) => entry._id) } }).lean();
+  const usersById = new Map(users.map((user) => [user.userId, user]));
+
+  return firstOrders.map(({ _id: userId, order }) => {
+    const user = usersById.get(userId);
+    return {
+      ...getUserRecipient(user || order.user),
+      userId,
+      orderId: order.orderId,
+      data: { user: user || order.user, order }
+    };
+  });
+};
+
+/**
+ * Carts abandoned more than `abandonedAfterHours` ago (within `lookbackDays`) with no order since
+ * @param {object} job - ScheduledJob document
+ * @param {Date} now - Run time
+ * @returns {Promise<Array>} Candidates
+ */
+const findAbandonedCarts = async (job, now) => {
+  const abandonedBefore = new Date(now.getTime() - (job.options?.abandonedAfterHours || 2) * HOUR_MS);
+  const windowStart = new Date(now.getTime() - (job.options?.lookbackDays || 3) * DAY_MS);
+
+  const carts = await AbandonedCart.find({
+    convertedAt: { $exists: false },
+    abandonedAt: { $gte: windowStart, $lte: abandonedBefore }
+  })
+    .sort({ abandonedAt: -1 })
+    .limit(job.batchSize);
+
+  const candidates = [];
+
+  for (const cart of carts) {
+    // The order may have arrived without the cart being linked to it
+    const order = cart.user?.userId
+      ? await Order.findOne({ 'user.userId': cart.user.userId, createdAt: { $gte: cart.abandonedAt } })
+      : null;
+
+    if (order) {
+      cart.convertedAt = order.createdAt;
+      cart.convertedOrderId = order.orderId;
+      await cart.save();
+      continue;
+    }
+
+    candidates.push({
+      ...getUserRecipient(cart.user),
+      userId: cart.user?.userId,
+      cartId: cart.cartId,
+      data: { cart: cart.toObject(), user: cart.user }
+    });
+  }
+
+  return candidates;
+};
+
+// Candidate finders for each job type
+const JOB_TYPES = {
+  'inactive-customers': findInactiveCustomers,
+  'first-order-follow-up': findFirstOrderCustomers,
+  'abandoned-cart': findAbandonedCarts
+};
+
+// Jobs that report to the business owners instead of messaging customers
+const REPORT_JOB_TYPES = {
+  'business-summary': reportService.runBusinessSummary
+};
+
+/**
+ * When a job runs next. With options.runAt ("08:00", IST) it runs at that time every day,
+ * or only on options.runOnDay (e.g. "monday"); otherwise intervalMinutes after this run.
+ * @param {object} job - ScheduledJob document or job fields
+ * @param {Date} now - Current run time
+ * @returns {Date} Next run time
+ */
+const getNextRunAt = (job, now) => {
+  const { runAt, runOnDay } = job.options || {};
+  if (!runAt) return new Date(now.getTime() + job.intervalMinutes * 60 * 1000);
+
+  const weekday = (date) => date.toLocaleDateString('en-US', { timeZone: TIMEZONE, weekday: 'long' }).toLowerCase();
+  const today = now.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+  let next = new Date(`${today}T${runAt}:00${IST_OFFSET}`);
+
+  while (next <= now || (runOnDay && weekday(next) !== runOnDay)) {
+    next = new Date(next.getTime() + DAY_MS);
+  }
+
+  return next;
+};
+
+// New jobs are due straight away, unless they run at a set time
+const getFirstRunAt = (job) => (job.options?.runAt ? getNextRunAt(job, new Date()) : new Date());
+
+/**
+ * Enter a candidate into a job's campaign and queue its message.
+ * The unique enrollment index makes this safe against concurrent runs. A message that
+ * isn't queued (no consent, rejected number) stays recorded on the enrollment, so the
+ * customer isn't picked again by every later run.
+ * @param {object} job - ScheduledJob document
+ * @param {object} jobRun - JobRun document
+ * @param {object} candidate - Candidate from a finder
+ * @returns {Promise<string>} 'enrolled', 'already-enrolled' or 'skipped'
+ */
+const enrollCandidate = async (job, jobRun, candidate) => {
+  const phone = normalizePhoneNumber(candidate.mobileNumber, { callingCode: candidate.callingCode });
+  if (!phone.valid) return 'skipped';
+
+  let enrollment;
+  try {
+    enrollment = await CampaignEnrollment.create({
+      jobId: job._id,
+      jobRunId: jobRun._id,
+      whatsappNumber: phone.whatsappNumber,
+      userId: candidate.userId,
+      orderId: candidate.orderId,
+      cartId: candidate.cartId
+    });
+  } catch (error) {
+    if (error.code === 11000) return 'already-enrolled';
+    throw error;
+  }
+
+  const queued = await messageQueue.enqueueMessage({
+    event: `scheduled.${job.type}`,
+    mobileNumber: candidate.mobileNumber,
+    callingCode: candidate.callingCode,
+    templateName: job.templateName,
+    category: job.category,
+    parameters: renderParameters(job.parameters, candidate.data),
+    orderId: candidate.orderId,
+    userId: candidate.userId
+  });
+
+  enrollment.outboundMessageId = queued._id;
+  enrollment.messageStatus = queued.status;
+  await enrollment.save();
+
+  return queued.status === 'pending' ? 'enrolled' : 'skipped';
+};
+
+/**
+ * Find a campaign job's candidates and enroll them, counting the outcomes on the run
+ * @param {object} job - ScheduledJob document
+ * @param {object} jobRun - JobRun document
+ * @param {Date} now - Run time
+ */
+const enrollCandidates = async (job, jobRun, now) => {
+  const candidates = await JOB_TYPES[job.type](job, now);
+  jobRun.candidates = candidates.length;
+
+  // Dry run: report who would be messaged without enrolling anyone
+  if (!config.dryRun) {
+    for (const candidate of candidates) {
+      const outcome = await enrollCandidate(job, jobRun, candidate);
+      if (outcome === 'enrolled') jobRun.enrolled++;
+      if (outcome === 'already-enrolled') jobRun.alreadyEnrolled++;
+      if (outcome === 'skipped') jobRun.skipped++;
+    }
+  }
+
+  console.log(`🗓️ Job ${job.name}: ${jobRun.enrolled}/${jobRun.candidates} customer(s) enrolled`);
+};
+
+/**
+ * Run a job once and record the run
+ * @param {object} job - ScheduledJob document
+ * @param {object} [options] - Run options
+ * @param {string} [options.trigger='schedule'] - 'schedule' or 'manual'
+ * @returns {Promise} JobRun document
+ */
+const runJob = async (job, { trigger = 'schedule' } = {}) => {
+  const now = new Date();
+  const jobRun = await JobRun.create({
+    jobId: job._id,
+    jobName: job.name,
+    trigger,
+    dryRun: config.dryRun,
+    startedAt: now
+  });
+
+  try {
+    if (REPORT_JOB_TYPES[job.type]) {
+      await REPORT_JOB_TYPES[job.type](job, jobRun, now);
+    } else if (JOB_TYPES[job.type]) {
+      await enrollCandidates(job, jobRun, now);
+    } else {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    jobRun.status = 'completed';
+  } catch (error) {
+    jobRun.status = 'failed';
+    jobRun.error = error.message;
+    console.error(`❌ Job ${job.name} failed: ${error.message}`);
+  }
+
+  jobRun.finishedAt = new Date();
+  await jobRun.save();
+
+  await ScheduledJob.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        lastRunAt: now,
+        nextRunAt: getNextRunAt(job, now)
+      },
+      $unset: { lockedAt: 1 }
+    }
+  );
+
+  return jobRun;
+};
+
+/**
+ * Atomically claim the next enabled job that is due.
+ * Jobs locked past the lock timeout are reclaimed.
+ * @returns {Promise} Claimed job or null
+ */
+const claimDueJob = async () => {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.scheduler.lockTimeoutMs);
+
+  return ScheduledJob.findOneAndUpdate(
+    {
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedAt: { $exists: false } }, { lockedAt: { $lte: staleLock } }]
+    },
+    { $set: { lockedAt: now } },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run every job that is currently due
+ * @returns {Promise<number>} Number of jobs run
+ */
+const runDueJobs = async () => {
+  let ran = 0;
+
+  let job = await claimDueJob();
+  while (job) {
+    await runJob(job);
+    ran++;
+    job = await claimDueJob();
+  }
+
+  return ran;
+};
+
+/**
+ * Start polling for due jobs
+ */
+const startScheduler = () => {
+  if (schedulerTimer || !config.scheduler.enabled) return;
+
+  schedulerTimer = setInterval(async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error(`❌ Scheduler error: ${error.message}`);
+    } finally {
+      schedulerRunning = false;
+    }
+  }, config.scheduler.pollIntervalMs);
+
+  console.log(`🗓️ Scheduler started (polling every ${config.scheduler.pollIntervalMs}ms)`);
+};
+
+/**
+ * Stop polling for due jobs
+ */
+const stopScheduler = () => {
+  if (!schedulerTimer) return;
+
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+/**
+ * Seed the ScheduledJob collection from config/scheduledJobs.js.
+ * Jobs are matched by name, so admin edits are kept.
+ * @returns {Promise<number>} Number of jobs created
+ */
+const seedJobs = async () => {
+  let created = 0;
+
+  for (const job of defaultJobs) {
+    const exists = await ScheduledJob.exists({ name: job.name });
+    if (exists) continue;
+
+    await ScheduledJob.create({ ...job, enabled: false, nextRunAt: getFirstRunAt(job) });
+    created++;
+  }
+
+  if (created > 0) {
+    console.log(`🌱 Seeded ${created} scheduled job(s)`);
+  }
+
+  return created;
+};
+
+/**
+ * Validate a scheduled job body
+ * @param {object} body - Job fields
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate fields that are present
+ * @returns {Array<string>} Validation errors
+ */
+const validateJob = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== 'string') errors.push("name is required");
+  }
+
+  if (!partial || body.type !== undefined) {
+    const types = [...Object.keys(JOB_TYPES), ...Object.keys(REPORT_JOB_TYPES)];
+    if (!types.includes(body.type)) errors.push(`type must be one of: ${types.join(", ")}`);
+  }
+
+  if (!partial || body.templateName !== undefined) {
+    if (!body.templateName || typeof body.templateName !== 'string') errors.push("templateName is required");
+  }
+
+  if (body.category !== undefined && !CATEGORIES.includes(body.category)) {
+    errors.push(`category must be one of: ${CATEGORIES.join(", ")}`);
+  }
+
+  if (body.parameters !== undefined) {
+    if (!Array.isArray(body.parameters)) {
+      errors.push("parameters must be an array");
+    } else {
+      body.parameters.forEach((parameter, index) => {
+        if (!parameter || !parameter.name) {
+          errors.push(`parameters[${index}].name is required`);
+        }
+        if (parameter?.formatter && !formatters[parameter.formatter]) {
+          errors.push(`parameters[${index}].formatter '${parameter.formatter}' is not supported`);
+        }
+      });
+    }
+  }
+
+  if (body.options !== undefined && (typeof body.options !== 'object' || Array.isArray(body.options))) {
+    errors.push("options must be an object");
+  } else if (body.options) {
+    const { runAt, runOnDay } = body.options;
+    if (runAt !== undefined && !CLOCK_TIME.test(runAt)) errors.push("options.runAt must be a time like 08:00");
+    if (runOnDay !== undefined && !WEEKDAYS.includes(runOnDay)) {
+      errors.push(`options.runOnDay must be one of: ${WEEKDAYS.join(", ")}`);
+    }
+    if (runOnDay !== undefined && runAt === undefined) errors.push("options.runOnDay needs options.runAt");
+    if (REPORT_JOB_TYPES[body.type]) errors.push(...reportService.validateReportOptions(body.options));
+  }
+
+  if (body.intervalMinutes !== undefined && !(Number(body.intervalMinutes) >= 1)) {
+    errors.push("intervalMinutes must be at least 1");
+  }
+
+  if (body.batchSize !== undefined && !(Number(body.batchSize) >= 1)) {
+    errors.push("batchSize must be at least 1");
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+};
+
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+/**
+ * Create a scheduled job
+ * @param {object} body - Job fields
+ * @returns {Promise} Created job
+ */
+const createJob = async (body) => {
+  return ScheduledJob.create({
+    name: body.name,
+    type: body.type,
+    // Owner reports aren't marketing, so they don't wait for marketing consent
+    ...(REPORT_JOB_TYPES[body.type] && { category: 'transactional' }),
+    ...pickEditable(body),
+    nextRunAt: getFirstRunAt(body),
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Update a scheduled job. The type can't change since enrollments belong to the campaign.
+ * @param {string} id - Job ID
+ * @param {object} body - Fields to change
+ * @returns {Promise} Updated job or null
+ */
+const updateJob = async (id, body) => {
+  return ScheduledJob.findByIdAndUpdate(
+    id,
+    { $set: { ...pickEditable(body), updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  JOB_TYPES,
+  REPORT_JOB_TYPES,
+  getNextRunAt,
+  seedJobs,
+  runJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler,
+  validateJob,
+  createJob,
+  updateJob
+};
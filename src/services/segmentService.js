@@ -0,0 +1,237 @@
+const Order = require('../models/Order');
+const Segment = require('../models/Segment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILTER_FIELDS = [
+  'minOrders', 'maxOrders', 'minTotalSpent', 'maxTotalSpent',
+  'lastOrderAfter', 'lastOrderBefore', 'lastOrderWithinDays', 'noOrderForDays',
+  'paymentMethod', 'productIds', 'productNames'
+];
+const NUMBER_FILTERS = ['minOrders', 'maxOrders', 'minTotalSpent', 'maxTotalSpent', 'lastOrderWithinDays', 'noOrderForDays'];
+const DATE_FILTERS = ['lastOrderAfter', 'lastOrderBefore'];
+const LIST_FILTERS = ['productIds', 'productNames'];
+
+/**
+ * Build the $match stage applied to each customer's order summary
+ * @param {object} filters - Segment filters
+ * @param {Date} now - Evaluation time
+ * @returns {object} $match conditions
+ */
+const buildSummaryMatch = (filters, now) => {
+  const match = {};
+
+  const range = (field, min, max) => {
+    if (min === undefined && max === undefined) return;
+    match[field] = {};
+    if (min !== undefined) match[field].$gte = min;
+    if (max !== undefined) match[field].$lte = max;
+  };
+
+  range('orderCount', filters.minOrders, filters.maxOrders);
+  range('totalSpent', filters.minTotalSpent, filters.maxTotalSpent);
+
+  const lastOrderAfter = [
+    filters.lastOrderAfter && new Date(filters.lastOrderAfter),
+    filters.lastOrderWithinDays !== undefined && new Date(now.getTime() - filters.lastOrderWithinDays * DAY_MS)
+  ].filter(Boolean);
+  const lastOrderBefore = [
+    filters.lastOrderBefore && new Date(filters.lastOrderBefore),
+    filters.noOrderForDays !== undefined && new Date(now.getTime() - filters.noOrderForDays * DAY_MS)
+  ].filter(Boolean);
+
+  range(
+    'lastOrderAt',
+    lastOrderAfter.length ? new Date(Math.max(...lastOrderAfter)) : undefined,
+    lastOrderBefore.length ? new Date(Math.min(...lastOrderBefore)) : undefined
+  );
+
+  if (filters.paymentMethod) {
+    match.preferredPaymentMethod = filters.paymentMethod;
+  }
+
+  return match;
+};
+
+/**
+ * Evaluate segment filters against the Order and User collections.
+ * Customers are grouped by user ID over their non-cancelled orders; the preferred
+ * payment method is the one they used most.
+ * @param {object} filters - Segment filters
+ * @param {object} [options] - Evaluation options
+ * @param {number} [options.limit] - Maximum members to return
+ * @param {Date} [options.now=new Date()] - Evaluation time
+ * @returns {Promise<Array>} Members ({ userId, name, mobile, callingCode, whatsappNumber, orderCount, totalSpent, lastOrderAt, preferredPaymentMethod })
+ */
+const evaluateSegment = async (filters = {}, { limit, now = new Date() } = {}) => {
+  const orderMatch = { 'user.userId': { $exists: true }, status: { $ne: 'cancelled' } };
+
+  // Customers who bought any of the listed products
+  const productConditions = [];
+  if (filters.productIds?.length) productConditions.push({ 'items.productId': { $in: filters.productIds } });
+  if (filters.productNames?.length) productConditions.push({ 'items.name': { $in: filters.productNames } });
+
+  const pipeline = [
+    { $match: orderMatch },
+    {
+      $group: {
+        _id: { userId: '$user.userId', paymentMethod: '$paymentMethod' },
+        name: { $last: '$user.name' },
+        mobile: { $last: '$user.mobile' },
+        count: { $sum: 1 },
+        spent: { $sum: '$amount' },
+        lastOrderAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { count: -1, lastOrderAt: -1 } },
+    {
+      $group: {
+        _id: '$_id.userId',
+        name: { $first: '$name' },
+        mobile: { $first: '$mobile' },
+        orderCount: { $sum: '$count' },
+        totalSpent: { $sum: '$spent' },
+        lastOrderAt: { $max: '$lastOrderAt' },
+        preferredPaymentMethod: { $first: '$_id.paymentMethod' }
+      }
+    },
+    { $match: buildSummaryMatch(filters, now) }
+  ];
+
+  if (productConditions.length) {
+    const buyers = await Order.distinct('user.userId', { ...orderMatch, $or: productConditions });
+    pipeline.push({ $match: { _id: { $in: buyers } } });
+  }
+
+  pipeline.push(
+    { $sort: { totalSpent: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: 'userId',
+        as: 'user'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        name: { $ifNull: [{ $arrayElemAt: ['$user.name', 0] }, '$name'] },
+        mobile: { $ifNull: [{ $arrayElemAt: ['$user.mobile', 0] }, '$mobile'] },
+        callingCode: { $arrayElemAt: ['$user.callingCode', 0] },
+        whatsappNumber: { $arrayElemAt: ['$user.whatsappNumber', 0] },
+        orderCount: 1,
+        totalSpent: 1,
+        lastOrderAt: 1,
+        preferredPaymentMethod: 1
+      }
+    }
+  );
+
+  return Order.aggregate(pipeline);
+};
+
+/**
+ * Validate segment filters
+ * @param {object} filters - Segment filters
+ * @returns {Array<string>} Validation errors
+ */
+const validateFilters = (filters) => {
+  const errors = [];
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ["filters must be an object"];
+  }
+
+  Object.keys(filters).forEach((key) => {
+    if (!FILTER_FIELDS.includes(key)) errors.push(`Unknown filter '${key}'`);
+  });
+
+  NUMBER_FILTERS.forEach((key) => {
+    if (filters[key] !== undefined && (typeof filters[key] !== 'number' || filters[key] < 0)) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  });
+
+  DATE_FILTERS.forEach((key) => {
+    if (filters[key] !== undefined && isNaN(new Date(filters[key]).getTime())) {
+      errors.push(`${key} must be a date`);
+    }
+  });
+
+  LIST_FILTERS.forEach((key) => {
+    if (filters[key] !== undefined && !Array.isArray(filters[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  });
+
+  if (filters.paymentMethod !== undefined && typeof filters.paymentMethod !== 'string') {
+    errors.push("paymentMethod must be a string");
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a segment body
+ * @param {object} body - Segment fields
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate fields that are present
+ * @returns {Array<string>} Validation errors
+ */
+const validateSegment = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== 'string') errors.push("name is required");
+  }
+
+  if (!partial || body.filters !== undefined) {
+    errors.push(...validateFilters(body.filters));
+  }
+
+  return errors;
+};
+
+/**
+ * Create a segment
+ * @param {object} body - { name, description, filters }
+ * @returns {Promise} Created segment
+ */
+const createSegment = async (body) => {
+  return Segment.create({
+    name: body.name,
+    description: body.description,
+    filters: body.filters,
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Update a segment
+ * @param {string} id - Segment ID
+ * @param {object} body - Fields to change (name, description, filters)
+ * @returns {Promise} Updated segment or null
+ */
+const updateSegment = async (id, body) => {
+  const fields = {};
+  ['name', 'description', 'filters'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  return Segment.findByIdAndUpdate(
+    id,
+    { $set: { ...fields, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  evaluateSegment,
+  validateFilters,
+  validateSegment,
+  createSegment,
+  updateSegment
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const eventTemplates = require('../templates/templateConfig');
+const { formatters, renderParameters } = require('../templates/formatters');
+const TemplateMapping = require('../models/TemplateMapping');
+
+const EDITABLE_FIELDS = ['templateName', 'category', 'parameters', 'enabled', 'description'];
+const CATEGORIES = ['transactional', 'marketing'];
+
+/**
+ * Fingerprint of a built-in mapping, stored on what it seeds to notice when it changes
+ * @param {object} definition - Mapping from templateConfig.js
+ * @returns {string} SHA-256 hex digest
+ */
+const hashDefinition = ({ templateName, category, parameters }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ templateName, category, parameters }))
+  .digest('hex');
+
+/**
+ * Bring a seeded mapping in line with its changed built-in definition. Mappings whose
+ * template, category or parameters were edited through the admin API are left alone.
+ * @param {object} mapping - Stored mapping
+ * @param {object} definition - Mapping from templateConfig.js
+ * @returns {Promise<boolean>} Whether the mapping was updated
+ */
+const refreshSeededMapping = async (mapping, definition) => {
+  const seedHash = hashDefinition(definition);
+  // Mappings seeded before seedHash was stored count as seeded until they are edited
+  const seeded = mapping.seedHash || !mapping.updatedAt;
+  if (!seeded || mapping.seedHash === seedHash) return false;
+
+  await TemplateMapping.updateOne({ _id: mapping._id }, {
+    $set: {
+      templateName: definition.templateName,
+      category: definition.category,
+      parameters: definition.parameters,
+      seedHash,
+      updatedAt: new Date()
+    }
+  });
+  return true;
+};
+
+/**
+ * Seed the TemplateMapping collection from templateConfig.js.
+ * An event's mapping is seeded as version 1, and each of its `versions` is added once,
+ * disabled, as the event's next version. Seeded mappings follow later changes to their
+ * definition until they are edited through the admin API.
+ * @returns {Promise<number>} Number of mappings created or updated
+ */
+const seedTemplates = async () => {
+  let created = 0;
+  let updated = 0;
+
+  for (const [event, { versions = [], ...template }] of Object.entries(eventTemplates)) {
+    const definitions = [template, ...versions.map((next) => ({ category: template.category, ...next }))];
+
+    for (const [index, definition] of definitions.entries()) {
+      const isDefault = index === 0;
+      // Later versions are told apart by template name; a new name is a new version
+      const mapping = await TemplateMapping.findOne(
+        isDefault ? { event, version: 1 } : { event, templateName: definition.templateName }
+      ).lean();
+
+      if (mapping) {
+        if (await refreshSeededMapping(mapping, definition)) updated++;
+        continue;
+      }
+
+      const latest = isDefault ? null : await TemplateMapping.findOne({ event }).sort({ version: -1 });
+      await TemplateMapping.create({
+        event,
+        templateName: definition.templateName,
+        category: definition.category,
+        version: latest ? latest.version + 1 : 1,
+        parameters: definition.parameters,
+        enabled: isDefault,
+        description: isDefault
+          ? "Seeded from templateConfig.js"
+          : "Seeded from templateConfig.js; enable once WATI has approved the template",
+        seedHash: hashDefinition(definition)
+      });
+      created++;
+    }
+  }
+
+  if (created > 0) {
+    console.log(`🌱 Seeded ${created} template mapping(s)`);
+  }
+  if (updated > 0) {
+    console.log(`🌱 Updated ${updated} seeded template mapping(s) from templateConfig.js`);
+  }
+
+  return created + updated;
+};
+
+/**
+ * Check whether any template mapping exists for an event
+ * @param {string} event - Event type
+ * @returns {Promise<boolean>} Whether the event is known
+ */
+const isKnownEvent = async (event) => {
+  if (eventTemplates[event]) return true;
+  return Boolean(await TemplateMapping.exists({ event }));
+};
+
+/**
+ * Check that every required parameter of a mapping has a value for the event data
+ * @param {object} mapping - Template mapping
+ * @param {object} data - Event data from the webhook
+ * @returns {boolean} Whether the mapping can be sent
+ */
+const hasRequiredValues = (mapping, data) => {
+  const parameters = renderParameters(mapping.parameters, data);
+  return mapping.parameters.every((parameter, index) => !parameter.required || parameters[index].value !== "");
+};
+
+/**
+ * Get the active template mapping for an event: the highest enabled version.
+ * With event data, versions missing a required value are passed over for older ones.
+ * Falls back to templateConfig.js when the collection has not been seeded.
+ * @param {string} event - Event type
+ * @param {object} [data] - Event data from the webhook
+ * @returns {Promise} Mapping ({ event, templateName, version, parameters }) or null if disabled/unknown
+ */
+const getTemplateForEvent = async (event, data) => {
+  const mappings = await TemplateMapping.find({ event, enabled: true })
+    .sort({ version: -1 })
+    .lean();
+
+  if (mappings.length > 0) {
+    if (!data) return mappings[0];
+    return mappings.find((mapping) => hasRequiredValues(mapping, data)) || null;
+  }
+
+  // Stored but all versions disabled
+  if (await TemplateMapping.exists({ event })) return null;
+
+  if (eventTemplates[event]) {
+    const { versions, ...template } = eventTemplates[event];
+    return { event, version: 0, enabled: true, ...template };
+  }
+
+  return null;
+};
+
+/**
+ * Render a mapping against event data
+ * @param {object} mapping - Template mapping
+ * @param {object} data - Event data from the webhook
+ * @returns {object} { templateName, parameters }
+ */
+const renderTemplate = (mapping, data) => {
+  return {
+    templateName: mapping.templateName,
+    parameters: renderParameters(mapping.parameters, data)
+  };
+};
+
+/**
+ * Validate a template mapping body
+ * @param {object} body - Mapping fields
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate fields that are present
+ * @returns {Array<string>} Validation errors
+ */
+const validateMapping = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.event !== undefined) {
+    if (!body.event || typeof body.event !== 'string') errors.push("event is required");
+  }
+
+  if (!partial || body.templateName !== undefined) {
+    if (!body.templateName || typeof body.templateName !== 'string') errors.push("templateName is required");
+  }
+
+  if (body.parameters !== undefined) {
+    if (!Array.isArray(body.parameters)) {
+      errors.push("parameters must be an array");
+    } else {
+      body.parameters.forEach((parameter, index) => {
+        if (!parameter || !parameter.name) {
+          errors.push(`parameters[${index}].name is required`);
+        }
+        if (parameter?.formatter && !formatters[parameter.formatter]) {
+          errors.push(`parameters[${index}].formatter '${parameter.formatter}' is not supported`);
+        }
+        if (parameter?.required !== undefined && typeof parameter.required !== 'boolean') {
+          errors.push(`parameters[${index}].required must be a boolean`);
+        }
+      });
+    }
+  }
+
+  if (body.category !== undefined && !CATEGORIES.includes(body.category)) {
+    errors.push(`category must be one of: ${CATEGORIES.join(", ")}`);
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+};
+
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+/**
+ * List template mappings
+ * @param {object} [filter] - Optional filter ({ event })
+ * @returns {Promise<Array>} Mappings sorted by event and version
+ */
+const listMappings = async (filter = {}) => {
+  const query = {};
+  if (filter.event) query.event = filter.event;
+
+  return TemplateMapping.find(query).sort({ event: 1, version: -1 });
+};
+
+/**
+ * Create a mapping for an event. If the event already has mappings,
+ * the new one becomes the next version.
+ * @param {object} body - Mapping fields
+ * @returns {Promise} Created mapping
+ */
+const createMapping = async (body) => {
+  const latest = await TemplateMapping.findOne({ event: body.event }).sort({ version: -1 });
+
+  return TemplateMapping.create({
+    event: body.event,
+    ...pickEditable(body),
+    version: latest ? latest.version + 1 : 1,
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Update a mapping in place
+ * @param {string} id - Mapping ID
+ * @param {object} body - Fields to change
+ * @returns {Promise} Updated mapping or null
+ */
+const updateMapping = async (id, body) => {
+  const fields = pickEditable(body);
+  // Editing what is sent stops templateConfig.js changes from overwriting the mapping
+  const detach = ['templateName', 'category', 'parameters'].some((key) => fields[key] !== undefined);
+
+  return TemplateMapping.findByIdAndUpdate(
+    id,
+    {
+      $set: { ...fields, updatedAt: new Date() },
+      ...(detach && { $unset: { seedHash: 1 } })
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Create a new version of a mapping, copying it and applying changes.
+ * The new version is enabled and takes over from older versions of the event.
+ * @param {string} id - Mapping ID to copy
+ * @param {object} body - Fields to change in the new version
+ * @returns {Promise} New mapping version or null if the source is missing
+ */
+const createVersion = async (id, body) => {
+  const source = await TemplateMapping.findById(id).lean();
+  if (!source) return null;
+
+  return createMapping({
+    event: source.event,
+    templateName: source.templateName,
+    category: source.category,
+    parameters: source.parameters,
+    description: source.description,
+    ...pickEditable(body),
+    enabled: body.enabled ?? true
+  });
+};
+
+module.exports = {
+  seedTemplates,
+  isKnownEvent,
+  getTemplateForEvent,
+  renderTemplate,
+  validateMapping,
+  listMappings,
+  createMapping,
+  updateMapping,
+  createVersion
+};
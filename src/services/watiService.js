@@ -1,45 +1,48 @@
-const axios = require('axios');
-const { config } = require('../config');
+const { getProvider } = require('../providers');
 const { formatWhatsAppNumber } = require('../utils/helpers');
 
 /**
- * Send message using WATI API
+ * Normalize a number for sending, failing permanently if it can't receive WhatsApp
+ * @param {string} mobileNumber - Recipient's mobile number
+ * @returns {string} E.164 digits
+ */
+const toWhatsAppNumber = (mobileNumber) => {
+  const whatsappNumber = formatWhatsAppNumber(mobileNumber);
+  if (!whatsappNumber) {
+    const error = new Error(`Invalid WhatsApp number: ${mobileNumber}`);
+    error.retryable = false;
+    throw error;
+  }
+  return whatsappNumber;
+};
+
+/**
+ * Send a template message using the configured messaging provider (WATI by default)
  * @param {string} mobileNumber - Recipient's mobile number
  * @param {string} templateName - Name of the template to use
  * @param {Array} parameters - Template parameters
- * @returns {Promise} API response
+ * @param {object} [options] - Send options
+ * @param {string} [options.tenant] - Tenant used to pick the provider
+ * @param {string} [options.broadcastName] - Broadcast name shown in WATI
+ * @returns {Promise} { provider, messageId, response }
  */
-const sendTemplateMessage = async (mobileNumber, templateName, parameters) => {
+const sendTemplateMessage = async (mobileNumber, templateName, parameters, options = {}) => {
+  const provider = getProvider(options.tenant);
+
   try {
-    const whatsappNumber = formatWhatsAppNumber(mobileNumber);
+    const whatsappNumber = toWhatsAppNumber(mobileNumber);
     console.log("📱 Sending to WhatsApp number:", whatsappNumber);
     console.log("📋 Using template:", templateName);
     console.log("📝 Template parameters:", JSON.stringify(parameters, null, 2));
     
-    const watiApiUrl = `${config.watiApiBaseUrl}/${config.tenantId}/api/v1/sendTemplateMessage?whatsappNumber=${whatsappNumber}`;
-    
-    const payload = {
-      template_name: templateName,
-      broadcast_name: "testing",
-      parameters: parameters,
-    };
-    
-    console.log("📤 Sending request to WATI API:", {
-      url: watiApiUrl,
-      payload: JSON.stringify(payload, null, 2),
-    });
-    
-    const response = await axios.post(watiApiUrl, payload, {
-      headers: {
-        Authorization: `Bearer ${config.watiApiKey}`,
-        "Content-Type": "application/json",
-      },
+    return await provider.sendTemplate({
+      whatsappNumber,
+      templateName,
+      parameters,
+      broadcastName: options.broadcastName
     });
-    
-    console.log("✅ WATI API Response:", response.data);
-    return response.data;
   } catch (error) {
-    console.error("❌ Error calling WATI API:", {
+    console.error(`❌ Error calling ${provider.name} API:`, {
       message: error.message,
       response: error.response?.data,
       stack: error.stack,
@@ -48,6 +51,41 @@ const sendTemplateMessage = async (mobileNumber, templateName, parameters) => {
   }
 };
 
+/**
+ * Send a free-form text message (only allowed inside the 24-hour session window)
+ * @param {string} mobileNumber - Recipient's mobile number
+ * @param {string} text - Message text
+ * @param {object} [options] - Send options
+ * @param {string} [options.tenant] - Tenant used to pick the provider
+ * @returns {Promise} { provider, messageId, response }
+ */
+const sendSessionMessage = async (mobileNumber, text, options = {}) => {
+  const provider = getProvider(options.tenant);
+
+  try {
+    const whatsappNumber = toWhatsAppNumber(mobileNumber);
+    return await provider.sendSessionText({ whatsappNumber, text });
+  } catch (error) {
+    console.error(`❌ Error sending session message via ${provider.name}:`, {
+      message: error.message,
+      response: error.response?.data,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Look up the delivery status of a sent message from the provider
+ * @param {string} messageId - Provider message ID
+ * @param {object} [options] - Lookup options
+ * @param {string} [options.whatsappNumber] - Recipient in E.164 digits
+ * @param {string} [options.tenant] - Tenant used to pick the provider
+ * @returns {Promise} { status, raw }
+ */
+const fetchMessageStatus = async (messageId, options = {}) => {
+  return getProvider(options.tenant).fetchStatus(messageId, options);
+};
+
 /**
  * Send a test message 
  * @param {string} template - Template name
@@ -69,13 +107,15 @@ const sendTestMessage = async (template, phone) => {
       { name: "order_id", value: "TEST12345" },
       { name: "customer_name", value: "Test User" },
       { name: "date", value: new Date().toLocaleDateString() },
-      { name: "amount", value: "1000" },
+      { name: "amount", value: "₹1,000" },
       { name: "payment_method", value: "Cash on Delivery" },
-      { name: "savings", value: "200" },
       {
         name: "items_list",
-        value: "2 x Test Product - Rs500, 1 x Another Item - Rs500",
+        value: "2 x Test Product - ₹500, 1 x Another Item - ₹500",
       },
+      { name: "savings", value: "₹200" },
+      { name: "delivery_charge", value: "Free" },
+      { name: "gst", value: "₹0" },
     ];
   }
   
@@ -84,5 +124,7 @@ const sendTestMessage = async (template, phone) => {
 
 module.exports = {
   sendTemplateMessage,
+  sendSessionMessage,
+  fetchMessageStatus,
   sendTestMessage
-};
\ No newline at end of file
+};
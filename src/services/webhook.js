@@ -1,14 +1,168 @@
-const eventTemplates = require('../templates/templateConfig');
-const watiService = require('./watiService');
+const { config } = require('../config');
+const { normalizePhoneNumber } = require('../utils/helpers');
+const templateService = require('./templateService');
+const messageBuilder = require('./messageBuilder');
+const messageQueue = require('./messageQueue');
+const routingRules = require('./routingRules');
+const eventLog = require('./eventLog');
+const invoiceService = require('./invoiceService');
 const Order = require('../models/Order');
 const User = require('../models/User');
+const AbandonedCart = require('../models/AbandonedCart');
+
+// Order status implied by each order event
+const EVENT_ORDER_STATUS = {
+  "order.placed": "new",
+  "order.accepted": "accepted",
+  "order.shipped": "shipped",
+  "order.out-for-delivery": "out-for-delivery",
+  "order.cancelled": "cancelled",
+  "order.delivered": "delivered"
+};
+
+// Payment status implied by each payment event
+const EVENT_PAYMENT_STATUS = {
+  "payment.success": "paid",
+  "payment.failed": "failed"
+};
+
+// Forward-only progression through the Order model's status enum
+const ORDER_STATUS_FLOW = ['new', 'accepted', 'shipped', 'out-for-delivery', 'delivered'];
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} currentStatus - Status stored on the order
+ * @param {string} nextStatus - Status implied by the incoming event
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (currentStatus, nextStatus) => {
+  if (!currentStatus) return true;
+  if (currentStatus === nextStatus) return false;
+
+  // Cancelled and delivered orders are final
+  if (currentStatus === 'cancelled' || currentStatus === 'delivered') return false;
+
+  // Any open order can be cancelled
+  if (nextStatus === 'cancelled') return true;
+
+  return ORDER_STATUS_FLOW.indexOf(nextStatus) > ORDER_STATUS_FLOW.indexOf(currentStatus);
+};
+
+/**
+ * Resolve the refund state from an order payload
+ * @param {object} orderData - Order data from webhook
+ * @returns {string|undefined} Refund state
+ */
+const getRefundStatus = (orderData) => {
+  if (orderData.refundStatus) return orderData.refundStatus;
+  if (orderData.isRefundProcessed === undefined) return undefined;
+  return orderData.isRefundProcessed ? 'processed' : 'pending';
+};
+
+/**
+ * Record delivery agent and ETA details from shipping events
+ * @param {object} order - Order document
+ * @param {object} orderData - Order data from webhook
+ */
+const applyDeliveryDetails = (order, orderData) => {
+  const agent = orderData.deliveryAgent;
+  if (!agent && !orderData.eta && !orderData.trackingUrl) return;
+
+  order.set('delivery', {
+    agentName: agent?.name || order.delivery?.agentName,
+    agentMobile: agent?.mobile || order.delivery?.agentMobile,
+    trackingUrl: orderData.trackingUrl || order.delivery?.trackingUrl,
+    eta: orderData.eta || order.delivery?.eta
+  });
+};
+
+/**
+ * Record payment and refund changes from payment.* and order.refunded events
+ * @param {object} order - Order document
+ * @param {object} orderData - Order data from webhook
+ * @param {string} event - Event type
+ * @param {object} [paymentData] - Payment details from the webhook (data.payment)
+ */
+const applyPaymentEvent = (order, orderData, event, paymentData = {}) => {
+  const now = new Date();
+
+  if (event === "order.refunded") {
+    order.refundStatus = orderData.refundStatus || 'processed';
+    order.refundAmount = orderData.refundAmount ?? order.refundAmount ?? order.amount;
+    order.refundedAt = orderData.refundedAt || now;
+    order.paymentHistory.push({
+      status: 'refunded',
+      event,
+      amount: order.refundAmount,
+      method: paymentData.method || order.paymentMethod,
+      transactionId: paymentData.transactionId,
+      changedAt: now
+    });
+    return;
+  }
+
+  const paymentStatus = EVENT_PAYMENT_STATUS[event];
+  if (!paymentStatus) return;
+
+  order.paymentStatus = paymentStatus;
+  order.paymentHistory.push({
+    status: paymentStatus,
+    event,
+    amount: paymentData.amount ?? order.amount,
+    method: paymentData.method || order.paymentMethod,
+    transactionId: paymentData.transactionId,
+    failureReason: paymentData.failureReason,
+    changedAt: now
+  });
+};
+
+/**
+ * Generate the invoice for a delivered order; the delivery message is still sent if this fails
+ * @param {object} order - Stored Order
+ * @returns {Promise} { number, url, expiresAt } for the template, or undefined
+ */
+const prepareInvoice = async (order) => {
+  try {
+    return await invoiceService.prepareDeliveryInvoice(order);
+  } catch (error) {
+    console.error(`❌ Error generating invoice for order ${order.orderId}: ${error.message}`);
+    return undefined;
+  }
+};
 
 /**
- * Store order data in database
+ * Find the order with an orderId, inserting it if there is none. The upsert claims the
+ * orderId atomically (it is unique), so events for a new order arriving together share one order.
+ * @param {string} orderId - Growcify order ID
+ * @returns {Promise} { order, created }
+ */
+const findOrCreateOrder = async (orderId) => {
+  const upsert = () => Order.findOneAndUpdate(
+    { orderId },
+    { $setOnInsert: { orderId } },
+    { upsert: true, new: true, rawResult: true }
+  );
+
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    // The other insert won; the order exists now
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+
+  return { order: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+/**
+ * Store order data in database, upserting by orderId (or externalOrderId when the payload has no _id)
  * @param {object} orderData - Order data from webhook
+ * @param {string} event - Event type that carried the order
+ * @param {object} [paymentData] - Payment details for payment.* events
  * @returns {Promise} Stored order
  */
-const storeOrderData = async (orderData) => {
+const storeOrderData = async (orderData, event, paymentData) => {
   try {
     // Transform order items
     const items = orderData.items?.map(item => ({
@@ -24,30 +178,77 @@ const storeOrderData = async (orderData) => {
       isCombo: item.isCombo || false
     })) || [];
 
-    // Create new order document
-    const order = new Order({
-      orderId: orderData._id,
-      externalOrderId: orderData.oid,
-      orderType: orderData.type || 'regular',
-      status: orderData.status || 'new',
-      paymentMethod: orderData.paymentMethod || 'COD',
-      deliveryMode: orderData.deliveryMode || 'home-delivery',
-      amount: orderData.amount || 0,
-      discount: orderData.discount || 0,
-      deliveryCharge: orderData.deliveryCharge || 0,
-      taxInAmount: orderData.taxInAmount || 0,
-      items: items,
-      user: {
-        userId: orderData.user?._id,
-        name: orderData.user?.name,
-        mobile: orderData.user?.mobile,
-        email: orderData.user?.email
-      },
-      rawPayload: orderData
+    const orderStatusEnum = Order.schema.path('status').enumValues;
+    const nextStatus = EVENT_ORDER_STATUS[event] ||
+      (orderStatusEnum.includes(orderData.status) ? orderData.status : 'new');
+
+    // orderId identifies the order; the oid is only used when there is no _id,
+    // so a reused oid can't merge two orders
+    let order = null;
+    let created = false;
+    if (orderData._id) {
+      ({ order, created } = await findOrCreateOrder(orderData._id));
+    } else if (orderData.oid) {
+      order = await Order.findOne({ externalOrderId: orderData.oid });
+    }
+
+    if (!order) {
+      order = new Order();
+      created = true;
+    }
+
+    order.set({
+      externalOrderId: orderData.oid || order.externalOrderId,
+      orderType: orderData.type || order.orderType || 'regular',
+      paymentMethod: orderData.paymentMethod || order.paymentMethod || 'COD',
+      deliveryMode: orderData.deliveryMode || order.deliveryMode || 'home-delivery',
+      amount: orderData.amount ?? order.amount ?? 0,
+      discount: orderData.discount ?? order.discount ?? 0,
+      deliveryCharge: orderData.deliveryCharge ?? order.deliveryCharge ?? 0,
+      taxInAmount: orderData.taxInAmount ?? order.taxInAmount ?? 0,
+      rawPayload: orderData,
+      updatedAt: new Date()
     });
 
+    if (items.length > 0) {
+      order.items = items;
+    }
+
+    if (orderData.user) {
+      order.user = {
+        userId: orderData.user._id,
+        name: orderData.user.name,
+        mobile: orderData.user.mobile,
+        email: orderData.user.email
+      };
+    }
+
+    const refundStatus = getRefundStatus(orderData);
+    if (orderData.cancellationReason) order.cancellationReason = orderData.cancellationReason;
+    if (refundStatus) order.refundStatus = refundStatus;
+
+    applyDeliveryDetails(order, orderData);
+    applyPaymentEvent(order, orderData, event, paymentData);
+
+    const previousStatus = created ? undefined : order.status;
+
+    if (canTransition(previousStatus, nextStatus)) {
+      order.status = nextStatus;
+      order.statusHistory.push({
+        status: nextStatus,
+        previousStatus,
+        event,
+        changedBy: orderData.cancelledBy || orderData.updatedBy || 'growcify-webhook',
+        reason: nextStatus === 'cancelled' ? orderData.cancellationReason : undefined,
+        refundStatus,
+        changedAt: new Date()
+      });
+    } else if (previousStatus !== nextStatus) {
+      console.warn(`⚠️ Ignoring status change for order #${orderData.oid}: ${previousStatus} → ${nextStatus}`);
+    }
+
     await order.save();
-    console.log(`✅ Order #${orderData.oid} stored in database`);
+    console.log(`✅ Order #${orderData.oid} stored in database (status: ${order.status})`);
     return order;
   } catch (error) {
     console.error(`❌ Error storing order data: ${error.message}`);
@@ -59,17 +260,26 @@ const storeOrderData = async (orderData) => {
 /**
  * Store user data in database
  * @param {object} userData - User data from webhook
+ * @param {string} event - Event type that carried the user
  * @returns {Promise} Stored user
  */
-const storeUserData = async (userData) => {
+const storeUserData = async (userData, event) => {
   try {
-    // Check if user already exists
+    const phone = normalizePhoneNumber(userData.mobile, { callingCode: userData.callingCode });
+    const whatsappNumber = phone.valid ? phone.whatsappNumber : undefined;
+    
+    // Check if user already exists, or was created earlier from a consent reply
     let user = await User.findOne({ userId: userData._id });
+    if (!user && whatsappNumber) {
+      user = await User.findOne({ whatsappNumber, userId: { $exists: false } });
+    }
     
     if (user) {
       // Update existing user
+      user.userId = userData._id;
       user.name = userData.name;
       user.mobile = userData.mobile;
+      user.whatsappNumber = whatsappNumber;
       user.email = userData.email;
       user.callingCode = userData.callingCode;
       user.referralCode = userData.referralCode;
@@ -81,6 +291,7 @@ const storeUserData = async (userData) => {
         userId: userData._id,
         name: userData.name,
         mobile: userData.mobile,
+        whatsappNumber,
         email: userData.email,
         callingCode: userData.callingCode,
         referralCode: userData.referralCode,
@@ -89,6 +300,12 @@ const storeUserData = async (userData) => {
       });
     }
 
+    // Signing up opts the customer in to transactional messages unless they opted out before
+    if (event === "user.signup" && !user.consent?.transactional?.status) {
+      user.set("consent.transactional", { status: "opted-in", source: "signup", updatedAt: new Date() });
+      user.consentHistory.push({ category: "transactional", status: "opted-in", source: "signup" });
+    }
+
     await user.save();
     console.log(`✅ User ${userData.name} (${userData.mobile}) stored in database`);
     return user;
@@ -99,6 +316,57 @@ const storeUserData = async (userData) => {
   }
 };
 
+/**
+ * Store an abandoned cart for the abandoned-cart scheduled job
+ * @param {object} cartData - Cart data from webhook
+ * @returns {Promise} Stored cart
+ */
+const storeCartData = async (cartData) => {
+  const cart = await AbandonedCart.findOneAndUpdate(
+    { cartId: cartData._id },
+    {
+      $set: {
+        cartId: cartData._id,
+        user: {
+          userId: cartData.user?._id,
+          name: cartData.user?.name,
+          mobile: cartData.user?.mobile,
+          callingCode: cartData.user?.callingCode
+        },
+        items: (cartData.items || []).map((item) => ({
+          productId: item._id?._id || item._id,
+          name: item._id?.name || item.name,
+          qty: item.qty,
+          price: item.price
+        })),
+        amount: cartData.amount,
+        abandonedAt: cartData.abandonedAt || cartData.updatedAt || new Date(),
+        rawPayload: cartData,
+        updatedAt: new Date()
+      },
+      $unset: { convertedAt: 1, convertedOrderId: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  console.log(`🛒 Abandoned cart ${cart.cartId} stored for follow-up`);
+  return cart;
+};
+
+/**
+ * Mark a customer's open abandoned carts as converted by a new order
+ * @param {object} orderData - Order data from webhook
+ * @returns {Promise} Update result
+ */
+const markCartsConverted = async (orderData) => {
+  if (!orderData?.user?._id) return null;
+
+  return AbandonedCart.updateMany(
+    { 'user.userId': orderData.user._id, convertedAt: { $exists: false } },
+    { $set: { convertedAt: new Date(), convertedOrderId: orderData._id, updatedAt: new Date() } }
+  );
+};
+
 /**
  * Process webhook event, store in database, and send WhatsApp notification
  * @param {object} webhookData - Webhook payload
@@ -114,76 +382,225 @@ const processWebhook = async (webhookData) => {
     throw new Error("Missing required fields: event and data are required");
   }
   
-  if (!eventTemplates[event]) {
+  // Abandoned carts are only stored; the scheduler follows them up later
+  if (event === "cart.abandoned") {
+    if (!data.cart?._id) {
+      throw new Error("Missing required field: data.cart._id");
+    }
+
+    await storeCartData(data.cart);
+    return {
+      success: true,
+      message: "Abandoned cart stored for the abandoned cart reminder job.",
+      event: event
+    };
+  }
+  
+  // Unknown events are acknowledged so Growcify doesn't keep retrying them
+  if (!(await templateService.isKnownEvent(event))) {
     console.warn("⚠️ Unhandled event type received:", event);
-    throw new Error(`Unhandled event type: ${event}`);
+    return {
+      success: true,
+      message: `Event type '${event}' is not handled. Acknowledged without sending a message.`,
+      event: event,
+      ignored: true
+    };
   }
   
   // Store data in database based on event type
-  if (event.startsWith("order.")) {
-    await storeOrderData(data.order);
+  if (messageBuilder.isOrderEvent(event)) {
+    const order = await storeOrderData(data.order, event, data.payment);
+    if (event === "order.placed") {
+      await markCartsConverted(data.order);
+    }
+    if (event === "order.delivered" && order && config.invoices.enabled) {
+      data.invoice = await prepareInvoice(order);
+    }
   } else if (event.startsWith("user.")) {
-    await storeUserData(data.user);
+    await storeUserData(data.user, event);
+  }
+  
+  // Routing rules (e.g. skip POS orders) can skip, re-template, delay or fan out the message
+  const rule = await routingRules.findMatchingRule(event, data);
+  const matchedRule = routingRules.describeRule(rule);
+  const templateOverrides = rule?.action === 'template'
+    ? { templateEvent: rule.templateEvent, templateName: rule.templateName }
+    : {};
+  
+  if (rule) {
+    console.log(`🧭 Routing rule '${rule.name}' matched ${event} (${rule.action})`);
+  }
+  
+  if (rule?.action === 'skip') {
+    return {
+      success: true,
+      message: `Event processed and stored in database. WhatsApp notification skipped by rule '${rule.name}'.`,
+      event: event,
+      skipped: true,
+      matchedRule
+    };
   }
   
-  // Check if order type is 'pos' - skip WhatsApp notification for POS orders
-  if (event.startsWith("order.") && data.order?.type === 'pos') {
-    console.log("🏪 Order type is 'pos' - skipping WhatsApp notification");
+  // Dry run: render the message exactly like the preview endpoint and stop there
+  if (config.dryRun) {
+    const preview = await messageBuilder.previewMessage({ event, data }, templateOverrides);
+    console.log(`🧪 DRY_RUN - not sending ${event}:`, JSON.stringify(preview, null, 2));
     return {
       success: true,
-      message: "Order processed and stored in database. WhatsApp notification skipped for POS orders.",
+      message: "Event processed in dry-run mode. No WhatsApp message queued.",
       event: event,
-      orderType: 'pos',
-      skipped: true
+      dryRun: true,
+      preview,
+      matchedRule
     };
   }
   
-  // Extract mobile number based on event type
-  let mobileNumber = "";
+  // Resolve the template, parameters and recipient for this event
+  const message = await messageBuilder.buildMessage(event, data, templateOverrides);
   
-  if (event.startsWith("user.")) {
-    mobileNumber = data.user?.mobile;
-    if (!mobileNumber) {
-      console.error("❌ Missing mobile number in user data");
-      throw new Error("Missing mobile number in user data");
-    }
-  } else if (event.startsWith("order.")) {
-    mobileNumber = data.order?.user?.mobile;
-    if (!mobileNumber) {
-      console.error("❌ Missing mobile number in order data");
-      throw new Error("Missing mobile number for order notifications");
-    }
+  if (!message) {
+    console.log(`🔕 Template mapping for ${event} is disabled - skipping WhatsApp notification`);
+    return {
+      success: true,
+      message: "Event processed and stored in database. WhatsApp notification disabled for this event.",
+      event: event,
+      skipped: true,
+      matchedRule
+    };
   }
   
   console.log(`👤 Processing ${event} event for WhatsApp notification`);
   
-  // Get the template configuration for this event
-  const templateConfig = eventTemplates[event];
+  const recipients = [{ mobileNumber: message.mobileNumber, callingCode: message.callingCode }];
+  if (rule?.action === 'fanout') {
+    recipients.push(...routingRules.resolveRecipients(rule, data));
+  }
   
-  // Generate parameters for this event
-  const parameters = templateConfig.parameters(data);
+  const sendAt = rule?.action === 'delay'
+    ? new Date(Date.now() + rule.delayMinutes * 60 * 1000)
+    : undefined;
   
-  // Send the message via WATI API
-  const response = await watiService.sendTemplateMessage(
-    mobileNumber,
-    templateConfig.templateName,
-    parameters
-  );
+  // Queue one message per recipient; the worker sends them and retries on failure.
+  // Missing or invalid numbers are recorded as rejected instead of queued.
+  const queuedMessages = [];
+  for (const recipient of recipients) {
+    queuedMessages.push(await messageQueue.enqueueMessage({
+      event,
+      tenant: webhookData.tenant,
+      mobileNumber: recipient.mobileNumber,
+      callingCode: recipient.callingCode,
+      templateName: message.templateName,
+      category: message.templateMapping.category || 'transactional',
+      parameters: message.parameters,
+      orderId: data.order?._id,
+      userId: data.user?._id || data.order?.user?._id,
+      routingRule: matchedRule,
+      sendAt
+    }));
+  }
+  
+  // The response describes the customer's message; fan-out copies are listed in messageIds
+  const [queuedMessage] = queuedMessages;
+  const routing = {
+    matchedRule,
+    ...(queuedMessages.length > 1 && { messageIds: queuedMessages.map((queued) => queued._id) }),
+    ...(sendAt && { scheduledFor: sendAt })
+  };
+  
+  if (queuedMessage.status === 'suppressed') {
+    return {
+      success: true,
+      message: `Event processed but WhatsApp message suppressed: ${queuedMessage.suppressionReason}`,
+      event: event,
+      messageId: queuedMessage._id,
+      suppressed: true,
+      suppressionReason: queuedMessage.suppressionReason,
+      ...routing
+    };
+  }
+  
+  if (queuedMessage.status === 'rejected') {
+    return {
+      success: true,
+      message: `Event processed but WhatsApp message not sent: ${queuedMessage.rejectionReason} mobile number`,
+      event: event,
+      messageId: queuedMessage._id,
+      rejected: true,
+      rejectionReason: queuedMessage.rejectionReason,
+      ...routing
+    };
+  }
   
   return {
     success: true,
-    message: "Event processed and WhatsApp message sent successfully!",
+    message: "Event processed and WhatsApp message queued successfully!",
     event: event,
-    response: response,
+    messageId: queuedMessage._id,
+    ...routing
   };
 };
 
+/**
+ * Log an incoming webhook, drop duplicate deliveries and process the rest
+ * @param {object} webhookData - Webhook payload
+ * @param {object} [options] - Ingestion options
+ * @param {string} [options.deliveryId] - Delivery ID from the request headers
+ * @returns {Promise} Processing result
+ */
+const ingestWebhook = async (webhookData, { deliveryId } = {}) => {
+  const dedupeKey = eventLog.computeDedupeKey(webhookData, deliveryId);
+
+  const { webhookEvent, original } = await eventLog.claimEvent(webhookData, dedupeKey);
+  if (original) {
+    console.log(`🔁 Duplicate delivery of ${webhookData.event} ignored (event ${original._id})`);
+    return {
+      success: true,
+      message: "Duplicate event acknowledged. No message sent.",
+      event: webhookData.event,
+      eventId: original._id,
+      duplicate: true
+    };
+  }
+
+  try {
+    const result = await processWebhook(webhookData);
+    await eventLog.markProcessed(webhookEvent, result);
+    return { ...result, eventId: webhookEvent._id };
+  } catch (error) {
+    await eventLog.markFailed(webhookEvent, error);
+    throw error;
+  }
+};
+
 /**
  * Generate sample payload for testing
  * @param {string} event - Event type
  * @returns {object} Sample payload
  */
 const generateSamplePayload = (event) => {
+  if (event === "cart.abandoned") {
+    return {
+      event,
+      data: {
+        cart: {
+          _id: "cart_" + Date.now(),
+          amount: 110,
+          abandonedAt: new Date().toISOString(),
+          items: [
+            { _id: { _id: "prod_1", name: "Carrot" }, qty: 1, price: 50 },
+            { _id: { _id: "prod_2", name: "Apple" }, qty: 1, price: 60 }
+          ],
+          user: {
+            _id: "user_123",
+            name: "Test User",
+            mobile: "9876543210",
+            callingCode: "91"
+          }
+        }
+      }
+    };
+  }
+
   if (event.startsWith("user")) {
     return { 
       event, 
@@ -199,7 +616,7 @@ const generateSamplePayload = (event) => {
       } 
     };
   } else {
-    return {
+    const payload = {
       event,
       data: {
         order: {
@@ -247,10 +664,34 @@ const generateSamplePayload = (event) => {
         },
       },
     };
+
+    const { order } = payload.data;
+
+    if (event === "order.shipped" || event === "order.out-for-delivery") {
+      order.deliveryAgent = { name: "Ravi Kumar", mobile: "9123456780" };
+      order.eta = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+    }
+
+    if (event === "order.refunded") {
+      order.refundAmount = 170;
+    }
+
+    if (event.startsWith("payment.")) {
+      order.paymentMethod = "UPI";
+      payload.data.payment = {
+        transactionId: "txn_" + Date.now(),
+        amount: 170,
+        method: "UPI",
+        ...(event === "payment.failed" && { failureReason: "Declined by bank" })
+      };
+    }
+
+    return payload;
   }
 };
 
 module.exports = {
+  ingestWebhook,
   processWebhook,
   generateSamplePayload
 };
\ No newline at end of file
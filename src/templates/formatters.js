@@ -0,0 +1,79 @@
+const { formatDate, formatTimestamp, getValueByPath } = require('../utils/helpers');
+const { formatINR, formatItemsList, summarizeOrder } = require('../utils/orderSummary');
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Parameter formatters available to template mappings.
+ * Each formatter receives the value found at the mapping's path and the full
+ * event data, and returns a string. An empty string means "use the default".
+ */
+const formatters = {
+  text: (value) => (isEmpty(value) ? "" : value.toString()),
+
+  date: (value) => (isEmpty(value) ? "" : formatDate(value)),
+
+  timestamp: (value) => (isEmpty(value) ? "" : formatTimestamp(value)),
+
+  currentDate: () => formatDate(new Date()),
+
+  paymentMethod: (value) => {
+    if (isEmpty(value)) return "";
+    return value === "COD" ? "Cash on Delivery" : value.toString();
+  },
+
+  refundStatus: (value) => (value ? "Processed" : "Pending"),
+
+  // Amount in rupees, e.g. ₹1,250
+  currency: (value) => formatINR(value),
+
+  // Refund or payment amount, falling back to the order total
+  amountOrTotal: (value, data) => formatINR(isEmpty(value) ? data?.order?.amount : value),
+
+  // Expects the order; market price savings plus discount
+  savings: (order) => {
+    const { savings } = summarizeOrder(order || {});
+    return savings > 0 ? formatINR(savings) : "";
+  },
+
+  // Expects the order
+  deliveryCharge: (order) => {
+    const { deliveryCharge } = summarizeOrder(order || {});
+    return deliveryCharge > 0 ? formatINR(deliveryCharge) : "Free";
+  },
+
+  // Expects the order; GST included in the total
+  tax: (order) => formatINR(summarizeOrder(order || {}).tax),
+
+  // Expects the user object; joins calling code and mobile
+  fullMobile: (user) => {
+    if (!user) return "";
+    return `${user.callingCode || ""}${user.mobile || ""}`;
+  },
+
+  // Expects the order items array; long lists end with "+N more items"
+  itemsList: (items) => formatItemsList(items),
+};
+
+/**
+ * Render template parameters from declarative parameter mappings
+ * @param {Array} parameterMappings - [{ name, path, formatter, default }]
+ * @param {object} data - Event data from the webhook
+ * @returns {Array} WATI parameters [{ name, value }]
+ */
+const renderParameters = (parameterMappings, data) => {
+  return (parameterMappings || []).map((mapping) => {
+    const format = formatters[mapping.formatter || "text"] || formatters.text;
+    const value = format(getValueByPath(data, mapping.path), data);
+
+    return {
+      name: mapping.name,
+      value: isEmpty(value) ? (mapping.default ?? "").toString() : value.trim(),
+    };
+  });
+};
+
+module.exports = {
+  formatters,
+  renderParameters
+};
@@ -1,114 +1,173 @@
-const { formatDate, formatTimestamp } = require('../utils/helpers');
-
 /**
- * Template configurations for different event types
+ * Default event → template mappings.
+ * These seed the TemplateMapping collection on startup; once seeded, mappings
+ * are managed through the /api/templates admin API.
+ *
+ * `category` decides which consent the customer needs (transactional or marketing).
+ * Each parameter reads a dot-path from the event data, runs it through a
+ * formatter from ./formatters and falls back to the default when empty.
+ * Order amounts and item lists go through the shared summary in src/utils/orderSummary.js.
+ *
+ * `versions` lists newer templates for an event. They are seeded as later, disabled
+ * versions: enable each one through /api/templates once WATI has approved it.
+ * A version whose `required` parameter comes out empty is passed over for the
+ * previous enabled version.
  */
+const placedParameters = [
+  { name: "order_id", path: "order.oid" },
+  { name: "customer_name", path: "order.user.name", default: "Customer" },
+  { name: "date", path: "order.createdAt", formatter: "date" },
+  { name: "amount", path: "order.amount", formatter: "currency", default: "₹0" },
+  { name: "payment_method", path: "order.paymentMethod", formatter: "paymentMethod", default: "Online Payment" },
+  { name: "items_list", path: "order.items", formatter: "itemsList", default: "Your order items" },
+];
+
+const deliveredParameters = [
+  { name: "order_id", path: "order.oid" },
+  { name: "customer_name", path: "order.user.name", default: "Customer" },
+  { name: "date", path: "order.createdAt", formatter: "date" },
+  { name: "amount", path: "order.amount", formatter: "currency", default: "₹0" },
+  { name: "delivery_date", formatter: "currentDate" },
+];
+
 const eventTemplates = {
   "user.signup": {
     templateName: "bo_signup1",
-    parameters: (data) => [
-      { name: "name", value: data.user?.name || "Customer" },
+    category: "transactional",
+    parameters: [
+      { name: "name", path: "user.name", default: "Customer" },
+      { name: "mobile", path: "user", formatter: "fullMobile" },
+      { name: "referral_code", path: "user.referralCode" },
+    ],
+  },
+
+  "order.placed": {
+    templateName: "bo_order_placed2",
+    category: "transactional",
+    parameters: placedParameters,
+    versions: [
       {
-        name: "mobile",
-        value: `${data.user?.callingCode || ""}${data.user?.mobile || ""}`,
+        // Adds the order's savings, delivery charge and GST
+        templateName: "bo_order_placed3",
+        parameters: [
+          ...placedParameters,
+          { name: "savings", path: "order", formatter: "savings", default: "₹0" },
+          { name: "delivery_charge", path: "order", formatter: "deliveryCharge" },
+          { name: "gst", path: "order", formatter: "tax", default: "₹0" },
+        ],
       },
-      { name: "referral_code", value: data.user?.referralCode || "" },
     ],
   },
-  
-  "order.placed": {
-    templateName: "bo_order_placed2", 
-    parameters: (data) => {
-      console.log("Processing order data:", JSON.stringify(data, null, 2));
-
-      const orderAmount = data.order?.amount || 0;
-
-      // Format items list with a simpler format - replacing newlines with commas and spaces
-      let itemsList = "";
-      if (data.order?.items && data.order.items.length > 0) {
-        data.order.items.forEach((item, index) => {
-          // Get the item name - handle both data structures
-          const itemName = item.name || (item._id ? item._id.name : "Item");
-          const itemSize = item.size || "";
-          const itemUnit = item.unit || "";
-          const itemPrice = item.price || 0;
-          const itemQty = item.qty || 1;
-
-          // Add a comma and space between items instead of newline
-          if (index > 0) {
-            itemsList += ", ";
-          }
-          // Very simple format without special characters or newlines
-          itemsList += `${itemQty} x ${itemName} - Rs${itemPrice}`;
-        });
-      } else {
-        itemsList = "Your order items";
-      }
 
-      console.log("Formatted items list:", itemsList);
-
-      // Simple date format
-      const orderDate = formatDate(data.order?.createdAt);
-
-      // Payment method
-      const paymentMethod =
-        data.order?.paymentMethod === "COD"
-          ? "Cash on Delivery"
-          : data.order?.paymentMethod || "Online Payment";
-
-      return [
-        { name: "order_id", value: data.order?.oid?.toString() || "" },
-        { name: "customer_name", value: data.order?.user?.name || "Customer" },
-        { name: "date", value: orderDate },
-        { name: "amount", value: orderAmount.toString() },
-        { name: "payment_method", value: paymentMethod },
-        { name: "items_list", value: itemsList.trim() },
-      ];
-    },
-  },
-  
   "order.cancelled": {
     templateName: "bo_order_cancelled1",
-    parameters: (data) => [
-      { name: "order_id", value: data.order?.oid?.toString() || "" },
-      { name: "customer_name", value: data.order?.user?.name || "Customer" },
-      { name: "date", value: formatDate(data.order?.createdAt) },
-      {
-        name: "cancellation_reason",
-        value: data.order?.cancellationReason || "Not specified",
-      },
-      {
-        name: "refund_status",
-        value: data.order?.isRefundProcessed ? "Processed" : "Pending",
-      },
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "date", path: "order.createdAt", formatter: "date" },
+      { name: "cancellation_reason", path: "order.cancellationReason", default: "Not specified" },
+      { name: "refund_status", path: "order.isRefundProcessed", formatter: "refundStatus" },
     ],
   },
 
   "user.signin": {
     templateName: "bo_signin2",
-    parameters: (data) => [
-      { name: "name", value: data.user?.name || "Customer" },
-      {
-        name: "mobile",
-        value: `${data.user?.callingCode || ""}${data.user?.mobile || ""}`,
-      },
-      {
-        name: "last_login",
-        value: formatTimestamp(data.user?.profile?.lastLoginAt),
-      },
+    category: "transactional",
+    parameters: [
+      { name: "name", path: "user.name", default: "Customer" },
+      { name: "mobile", path: "user", formatter: "fullMobile" },
+      { name: "last_login", path: "user.profile.lastLoginAt", formatter: "timestamp" },
     ],
   },
 
+  // The approved template ends with a 1–5 rating prompt (quick-reply buttons);
+  // replies are stored as order feedback by src/services/feedbackService.js
   "order.delivered": {
     templateName: "bo_order_delivered",
-    parameters: (data) => [
-      { name: "order_id", value: data.order?.oid?.toString() || "" },
-      { name: "customer_name", value: data.order?.user?.name || "Customer" },
-      { name: "date", value: formatDate(data.order?.createdAt) },
-      { name: "amount", value: data.order?.amount?.toString() || "0" },
-      { name: "delivery_date", value: formatDate(new Date()) }
+    category: "transactional",
+    parameters: deliveredParameters,
+    versions: [
+      {
+        // Adds a "Download invoice" button. Orders without an invoice link
+        // (no PUBLIC_BASE_URL, invoices off or generation failed) get bo_order_delivered
+        templateName: "bo_order_delivered_invoice",
+        parameters: [
+          ...deliveredParameters,
+          // Signed, expiring link for the button
+          { name: "invoice_url", path: "invoice.url", required: true },
+        ],
+      },
+    ],
+  },
+
+  "order.accepted": {
+    templateName: "bo_order_accepted",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "amount", path: "order.amount", formatter: "currency", default: "₹0" },
+      { name: "items_list", path: "order.items", formatter: "itemsList", default: "Your order items" },
+    ],
+  },
+
+  "order.shipped": {
+    templateName: "bo_order_shipped",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "delivery_agent", path: "order.deliveryAgent.name", default: "Our delivery partner" },
+      { name: "agent_mobile", path: "order.deliveryAgent.mobile", default: "Not available" },
+      { name: "eta", path: "order.eta", formatter: "timestamp", default: "Soon" },
+    ],
+  },
+
+  "order.out-for-delivery": {
+    templateName: "bo_order_out_for_delivery",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "delivery_agent", path: "order.deliveryAgent.name", default: "Our delivery partner" },
+      { name: "agent_mobile", path: "order.deliveryAgent.mobile", default: "Not available" },
+      { name: "eta", path: "order.eta", formatter: "timestamp", default: "Today" },
+    ],
+  },
+
+  "order.refunded": {
+    templateName: "bo_order_refunded",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "refund_amount", path: "order.refundAmount", formatter: "amountOrTotal", default: "₹0" },
+      { name: "payment_method", path: "order.paymentMethod", formatter: "paymentMethod", default: "Original payment method" },
+    ],
+  },
+
+  "payment.success": {
+    templateName: "bo_payment_success",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "amount", path: "payment.amount", formatter: "amountOrTotal", default: "₹0" },
+      { name: "transaction_id", path: "payment.transactionId", default: "Not available" },
+    ],
+  },
+
+  "payment.failed": {
+    templateName: "bo_payment_failed",
+    category: "transactional",
+    parameters: [
+      { name: "order_id", path: "order.oid" },
+      { name: "customer_name", path: "order.user.name", default: "Customer" },
+      { name: "amount", path: "payment.amount", formatter: "amountOrTotal", default: "₹0" },
+      { name: "failure_reason", path: "payment.failureReason", default: "Payment could not be completed" },
     ],
   },
 };
 
-module.exports = eventTemplates;
\ No newline at end of file
+module.exports = eventTemplates;
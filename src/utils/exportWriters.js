@@ -0,0 +1,118 @@
+const ExcelJS = require("exceljs");
+
+const FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Spreadsheet apps run cells starting with these as formulas, so text values get a leading quote.
+// Phone numbers such as "+91 98765 43210" are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PHONE_LIKE = /^[+-]?[\d\s().-]+$/;
+
+/**
+ * Make a text value safe to open in a spreadsheet
+ * @param {*} value - Cell value
+ * @returns {*} Value, with text that looks like a formula prefixed by '
+ */
+const neutralizeFormula = (value) =>
+  typeof value === "string" && FORMULA_PREFIX.test(value) && !PHONE_LIKE.test(value) ? `'${value}` : value;
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === undefined || value === null) return "";
+
+  const text = `${neutralizeFormula(value)}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait for a full stream to drain, or for the client to go away
+ * @param {object} stream - Writable stream (the Express response)
+ */
+const waitForDrain = async (stream) => {
+  if (!stream.writableNeedDrain || stream.destroyed) return;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+};
+
+/**
+ * CSV writer on a response stream, waiting for the client when the stream is full
+ * @param {object} stream - Writable stream (the Express response)
+ * @param {Array} columns - [{ header, key }]
+ * @returns {object} { writeRow(row), end() }
+ */
+const createCsvWriter = (stream, columns) => {
+  // The byte order mark makes Excel read the file as UTF-8 (₹, non-Latin names)
+  stream.write(`\uFEFF${columns.map((column) => csvField(column.header)).join(",")}\r\n`);
+
+  return {
+    writeRow: async (row) => {
+      const line = `${columns.map((column) => csvField(row[column.key])).join(",")}\r\n`;
+      stream.write(line);
+      await waitForDrain(stream);
+    },
+    end: async () => {
+      stream.end();
+    }
+  };
+};
+
+/**
+ * XLSX writer streaming one worksheet to a response, so rows aren't held in memory.
+ * Like the CSV writer, it waits for the client when the response is full.
+ * @param {object} stream - Writable stream (the Express response)
+ * @param {Array} columns - [{ header, key, width }]
+ * @param {string} sheetName - Worksheet name
+ * @returns {object} { writeRow(row), end() }
+ */
+const createXlsxWriter = (stream, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 16 }));
+  worksheet.getRow(1).font = { bold: true };
+
+  return {
+    writeRow: async (row) => {
+      const values = columns.reduce((cells, column) => {
+        cells[column.key] = neutralizeFormula(row[column.key]);
+        return cells;
+      }, {});
+      worksheet.addRow(values).commit();
+      await waitForDrain(stream);
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Create a writer for an export format
+ * @param {string} format - csv or xlsx
+ * @param {object} stream - Writable stream
+ * @param {Array} columns - [{ header, key, width }]
+ * @param {string} sheetName - Worksheet name (XLSX only)
+ * @returns {object} { writeRow(row), end() }
+ */
+const createExportWriter = (format, stream, columns, sheetName) =>
+  format === "xlsx" ? createXlsxWriter(stream, columns, sheetName) : createCsvWriter(stream, columns);
+
+module.exports = {
+  FORMATS,
+  csvField,
+  createExportWriter
+};
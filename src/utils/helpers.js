@@ -1,24 +1,76 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js/max");
+const { config } = require("../config");
+
+// Number types WhatsApp can deliver to
+const MOBILE_NUMBER_TYPES = ["MOBILE", "FIXED_LINE_OR_MOBILE"];
+
 /**
- * Format WhatsApp number to ensure it has the correct format
- * @param {string} mobileNumber - The mobile number to format
- * @returns {string} Properly formatted WhatsApp number
+ * Normalize a phone number to E.164 and check that it can receive WhatsApp messages
+ * @param {string} mobileNumber - The mobile number as received (may contain spaces, dashes, a leading 0 or +)
+ * @param {object} [options] - Normalization options
+ * @param {string} [options.callingCode] - Country calling code stored for the customer (e.g. "91")
+ * @param {string} [options.region] - ISO region used when no calling code is known (defaults to DEFAULT_PHONE_REGION)
+ * @returns {object} { valid, e164, whatsappNumber, nationalNumber, country, type } or { valid: false, reason }
  */
-const formatWhatsAppNumber = (mobileNumber) => {
-    if (!mobileNumber) return "";
+const normalizePhoneNumber = (mobileNumber, { callingCode, region } = {}) => {
+    if (mobileNumber === undefined || mobileNumber === null || `${mobileNumber}`.trim() === "") {
+      return { valid: false, reason: "missing" };
+    }
+    
+    let cleaned = `${mobileNumber}`.trim().replace(/[\s\-().]/g, "");
+    
+    // International "00" prefix
+    if (cleaned.startsWith("00")) {
+      cleaned = `+${cleaned.substring(2)}`;
+    }
     
-    let formattedNumber = mobileNumber;
+    if (!/^\+?\d+$/.test(cleaned)) {
+      return { valid: false, reason: "invalid-characters" };
+    }
+    
+    const defaultCallingCode = `${callingCode || ""}`.replace(/\D/g, "");
+    const parseOptions = defaultCallingCode
+      ? { defaultCallingCode }
+      : { defaultCountry: region || config.defaultPhoneRegion };
+    
+    let phoneNumber = parsePhoneNumberFromString(cleaned, parseOptions);
+    
+    // The number may already include its country code without a leading +
+    if (!phoneNumber?.isValid() && !cleaned.startsWith("+")) {
+      const international = parsePhoneNumberFromString(`+${cleaned}`);
+      if (international?.isValid()) {
+        phoneNumber = international;
+      }
+    }
     
-    // Remove the + sign if it exists
-    if (formattedNumber.startsWith("+")) {
-      formattedNumber = formattedNumber.substring(1);
+    if (!phoneNumber || !phoneNumber.isValid()) {
+      return { valid: false, reason: "invalid-number" };
     }
     
-    // Add 91 country code if not present
-    if (!formattedNumber.startsWith("91")) {
-      formattedNumber = `91${formattedNumber}`;
+    const type = phoneNumber.getType();
+    if (type && !MOBILE_NUMBER_TYPES.includes(type)) {
+      return { valid: false, reason: "not-mobile", type };
     }
     
-    return formattedNumber;
+    return {
+      valid: true,
+      e164: phoneNumber.number,
+      whatsappNumber: phoneNumber.number.substring(1),
+      nationalNumber: phoneNumber.nationalNumber,
+      country: phoneNumber.country,
+      type
+    };
+  };
+  
+/**
+ * Format WhatsApp number to ensure it has the correct format
+ * @param {string} mobileNumber - The mobile number to format
+ * @param {string} [callingCode] - Country calling code stored for the customer
+ * @returns {string} E.164 digits without the leading + (WATI's format), or "" if invalid
+ */
+const formatWhatsAppNumber = (mobileNumber, callingCode) => {
+    const normalized = normalizePhoneNumber(mobileNumber, { callingCode });
+    return normalized.valid ? normalized.whatsappNumber : "";
   };
   
   /**
@@ -56,8 +108,25 @@ const formatWhatsAppNumber = (mobileNumber) => {
     }
   };
   
+  /**
+   * Read a nested value from an object using a dot-path (e.g. "order.user.name")
+   * @param {object} source - Object to read from
+   * @param {string} path - Dot-separated path; empty returns the source itself
+   * @returns {*} Value at the path, or undefined if missing
+   */
+  const getValueByPath = (source, path) => {
+    if (!path) return source;
+    
+    return path.split(".").reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      source
+    );
+  };
+  
   module.exports = {
+    normalizePhoneNumber,
     formatWhatsAppNumber,
     formatDate,
-    formatTimestamp
+    formatTimestamp,
+    getValueByPath
   };
\ No newline at end of file
@@ -0,0 +1,224 @@
+const PDFDocument = require("pdfkit");
+const { normalizeItem } = require("./orderSummary");
+
+// pdfkit's built-in fonts have no ₹ glyph, so invoices print "Rs."
+const amountFormat = new Intl.NumberFormat("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Format an amount for the invoice, e.g. "Rs. 1,245.00"
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) => `Rs. ${amountFormat.format(round(amount))}`;
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+const belowHundred = (number) =>
+  number < 20 ? ONES[number] : `${TENS[Math.floor(number / 10)]}${number % 10 ? ` ${ONES[number % 10]}` : ""}`;
+
+const belowThousand = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : "", rest ? belowHundred(rest) : ""].filter(Boolean).join(" ");
+};
+
+/**
+ * Spell out an amount using Indian numbering, e.g. "Rupees One Lakh Twenty Thousand Only"
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Amount in words
+ */
+const amountInWords = (amount) => {
+  const rupees = Math.floor(round(amount));
+  const paise = Math.round((round(amount) - rupees) * 100);
+
+  const words = (number) => {
+    if (number === 0) return "Zero";
+
+    const parts = [];
+    const crores = Math.floor(number / 10000000);
+    const lakhs = Math.floor((number % 10000000) / 100000);
+    const thousands = Math.floor((number % 100000) / 1000);
+    const rest = number % 1000;
+
+    if (crores) parts.push(`${words(crores)} Crore`);
+    if (lakhs) parts.push(`${belowHundred(lakhs)} Lakh`);
+    if (thousands) parts.push(`${belowHundred(thousands)} Thousand`);
+    if (rest) parts.push(belowThousand(rest));
+    return parts.join(" ");
+  };
+
+  return `Rupees ${words(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ""} Only`;
+};
+
+/**
+ * Work out the invoice lines and GST. Item prices include GST, which is split
+ * equally into CGST and SGST (intra-state supply).
+ * @param {object} order - Stored Order
+ * @returns {object} { lines, taxableValue, cgst, sgst, itemsTotal, discount, deliveryCharge, roundOff, total }
+ */
+const buildInvoiceLines = (order) => {
+  const lines = (order.items || []).map((rawItem) => {
+    const item = normalizeItem(rawItem);
+    const taxableValue = round((item.lineTotal * 100) / (100 + item.gst));
+    const tax = round(item.lineTotal - taxableValue);
+    const cgst = round(tax / 2);
+
+    return {
+      description: item.name,
+      unit: item.unit,
+      qty: item.qty,
+      rate: item.price,
+      gstRate: item.gst,
+      taxableValue,
+      cgst,
+      sgst: round(tax - cgst),
+      amount: item.lineTotal
+    };
+  });
+
+  const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+  const itemsTotal = sum("amount");
+  const discount = toNumber(order.discount);
+  const deliveryCharge = toNumber(order.deliveryCharge);
+  const calculated = round(itemsTotal - discount + deliveryCharge);
+  const total = order.amount !== undefined && order.amount !== null ? toNumber(order.amount) : calculated;
+
+  return {
+    lines,
+    taxableValue: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    itemsTotal,
+    discount,
+    deliveryCharge,
+    roundOff: round(total - calculated),
+    total
+  };
+};
+
+// Column layout of the items table: [header, x, width, align]
+const COLUMNS = [
+  ["#", 40, 18, "left"],
+  ["Item", 60, 140, "left"],
+  ["Qty", 202, 30, "right"],
+  ["Rate", 234, 50, "right"],
+  ["Taxable", 286, 55, "right"],
+  ["GST %", 343, 32, "right"],
+  ["CGST", 377, 45, "right"],
+  ["SGST", 424, 45, "right"],
+  ["Amount", 471, 84, "right"]
+];
+
+/**
+ * Render a tax invoice PDF
+ * @param {object} invoice - { invoiceNumber, invoiceDate }
+ * @param {object} order - Stored Order
+ * @param {object} seller - { name, address, gstin, state }
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const renderInvoicePdf = (invoice, order, seller) => {
+  const totals = buildInvoiceLines(order);
+  const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Seller and invoice details
+    doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", { align: "center" });
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(seller.name);
+    doc.font("Helvetica").fontSize(9);
+    if (seller.address) doc.text(seller.address);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+    if (seller.state) doc.text(`State: ${seller.state}`);
+
+    doc.moveDown();
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Invoice Date: ${new Date(invoice.invoiceDate).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" })}`);
+    doc.text(`Order No: ${order.externalOrderId || order.orderId}`);
+    doc.text(`Order Date: ${new Date(order.createdAt).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" })}`);
+    if (seller.state) doc.text(`Place of Supply: ${seller.state}`);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text("Bill To");
+    doc.font("Helvetica").text(order.user?.name || "Customer");
+    if (order.user?.mobile) doc.text(`Mobile: ${order.user.mobile}`);
+    if (order.user?.email) doc.text(`Email: ${order.user.email}`);
+
+    // Items table
+    doc.moveDown();
+    const row = (cells, font = "Helvetica") => {
+      const y = doc.y;
+      doc.font(font).fontSize(8);
+      const heights = cells.map((cell, index) => {
+        const [, x, width, align] = COLUMNS[index];
+        doc.text(cell, x, y, { width, align });
+        return doc.y - y;
+      });
+      doc.x = 40;
+      doc.y = y + Math.max(...heights) + 4;
+    };
+
+    row(COLUMNS.map(([header]) => header), "Helvetica-Bold");
+    totals.lines.forEach((line, index) => {
+      if (doc.y > 760) doc.addPage();
+      row([
+        `${index + 1}`,
+        line.unit ? `${line.description} (${line.unit})` : line.description,
+        `${line.qty}`,
+        amountFormat.format(line.rate),
+        amountFormat.format(line.taxableValue),
+        `${line.gstRate}%`,
+        amountFormat.format(line.cgst),
+        amountFormat.format(line.sgst),
+        amountFormat.format(line.amount)
+      ]);
+    });
+
+    // Totals
+    doc.moveDown();
+    const summaryLine = (label, amount, font = "Helvetica") => {
+      const y = doc.y;
+      doc.font(font).fontSize(9);
+      doc.text(label, 343, y, { width: 120, align: "left" });
+      doc.text(formatAmount(amount), 471, y, { width: 84, align: "right" });
+      doc.x = 40;
+    };
+
+    summaryLine("Taxable value", totals.taxableValue);
+    summaryLine("CGST", totals.cgst);
+    summaryLine("SGST", totals.sgst);
+    if (totals.discount) summaryLine("Discount", -totals.discount);
+    if (totals.deliveryCharge) summaryLine("Delivery charges", totals.deliveryCharge);
+    if (totals.roundOff) summaryLine("Round off", totals.roundOff);
+    summaryLine("Total", totals.total, "Helvetica-Bold");
+
+    doc.moveDown();
+    doc.font("Helvetica").fontSize(9).text(amountInWords(totals.total), 40);
+    doc.moveDown();
+    doc.fontSize(8).text("Prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.");
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  formatAmount,
+  amountInWords,
+  buildInvoiceLines,
+  renderInvoicePdf
+};
@@ -0,0 +1,144 @@
+/**
+ * Shared order summary used by every order template and WhatsApp reply:
+ * itemized lines, savings, delivery charge, GST and INR amounts.
+ */
+
+// WhatsApp caps a template body at 1024 characters, so the items list gets a share of it
+const ITEMS_LIST_MAX_LENGTH = 500;
+
+const inrFormat = new Intl.NumberFormat("en-IN", {
+  style: "currency",
+  currency: "INR",
+  maximumFractionDigits: 2
+});
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Format an amount in rupees, e.g. ₹1,250 or ₹99.50
+ * @param {number|string} amount - Amount in rupees
+ * @returns {string} Formatted amount, or "" when it isn't a number
+ */
+const formatINR = (amount) => {
+  if (amount === undefined || amount === null || amount === "" || !Number.isFinite(Number(amount))) return "";
+
+  const value = round(Number(amount));
+  // Whole rupees don't need paise
+  return Number.isInteger(value) ? inrFormat.format(value).replace(/\.00$/, "") : inrFormat.format(value);
+};
+
+// WhatsApp rejects template parameters containing newlines, tabs or runs of spaces
+const cleanText = (text) => `${text}`.replace(/\s+/g, " ").trim();
+
+/**
+ * Normalize an order item from a webhook payload or a stored Order
+ * @param {object} item - Order or cart item
+ * @returns {object} { name, unit, qty, price, marketPrice, gst, lineTotal, savings }
+ */
+const normalizeItem = (item) => {
+  const qty = toNumber(item.qty) || 1;
+  const price = toNumber(item.price);
+  const marketPrice = Math.max(toNumber(item.marketPrice), price);
+
+  return {
+    name: cleanText(item.name || item._id?.name || "Item"),
+    unit: cleanText([item.size, item.unit].filter(Boolean).join(" ")),
+    qty,
+    price,
+    marketPrice,
+    gst: toNumber(item.gst),
+    lineTotal: round(price * qty),
+    savings: round((marketPrice - price) * qty)
+  };
+};
+
+/**
+ * Work out an order's totals
+ * @param {object} order - Order from a webhook payload or a stored Order
+ * @returns {object} { items, subtotal, itemSavings, discount, savings, deliveryCharge, tax, total }
+ */
+const summarizeOrder = (order = {}) => {
+  const items = (Array.isArray(order.items) ? order.items : []).map(normalizeItem);
+  const subtotal = round(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const itemSavings = round(items.reduce((sum, item) => sum + item.savings, 0));
+  const discount = toNumber(order.discount);
+  const deliveryCharge = toNumber(order.deliveryCharge);
+
+  // Prices include GST; without a stored tax amount, back it out of each line
+  const tax = order.taxInAmount !== undefined && order.taxInAmount !== null
+    ? toNumber(order.taxInAmount)
+    : items.reduce((sum, item) => sum + (item.lineTotal * item.gst) / (100 + item.gst), 0);
+
+  return {
+    items,
+    subtotal,
+    itemSavings,
+    discount,
+    savings: round(itemSavings + discount),
+    deliveryCharge,
+    tax: round(tax),
+    total: order.amount !== undefined && order.amount !== null
+      ? toNumber(order.amount)
+      : round(subtotal - discount + deliveryCharge)
+  };
+};
+
+/**
+ * Format one item line, e.g. "2 x Apple - ₹120"
+ * @param {object} item - Normalized item
+ * @returns {string} Item line
+ */
+const formatItemLine = (item) => `${item.qty} x ${item.name} - ${formatINR(item.lineTotal)}`;
+
+const moreItems = (count) => `+${count} more item${count === 1 ? "" : "s"}`;
+
+/**
+ * Join item lines into one template parameter, ending with "+N more items"
+ * when the full list would be longer than maxLength
+ * @param {Array} items - Order or cart items
+ * @param {object} [options] - Formatting options
+ * @param {number} [options.maxLength=500] - Maximum length of the result
+ * @returns {string} Items list, or "" when there are no items
+ */
+const formatItemsList = (items, { maxLength = ITEMS_LIST_MAX_LENGTH } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) return "";
+
+  const lines = items.map((item) => formatItemLine(normalizeItem(item)));
+  let text = "";
+  let shown = 0;
+
+  for (const line of lines) {
+    const candidate = text ? `${text}, ${line}` : line;
+    const remaining = lines.length - shown - 1;
+    const suffix = remaining > 0 ? `, ${moreItems(remaining)}` : "";
+
+    if (candidate.length + suffix.length > maxLength) break;
+    text = candidate;
+    shown++;
+  }
+
+  if (shown === lines.length) return text;
+
+  // Not even the first line fits, so cut it short
+  if (shown === 0) {
+    const remaining = lines.length - 1;
+    const suffix = remaining > 0 ? `, ${moreItems(remaining)}` : "";
+    return `${lines[0].slice(0, Math.max(maxLength - suffix.length - 1, 0))}…${suffix}`;
+  }
+
+  return `${text}, ${moreItems(lines.length - shown)}`;
+};
+
+module.exports = {
+  ITEMS_LIST_MAX_LENGTH,
+  formatINR,
+  normalizeItem,
+  summarizeOrder,
+  formatItemLine,
+  formatItemsList
+};
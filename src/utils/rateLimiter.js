@@ -0,0 +1,41 @@
+/**
+ * Create an in-memory sliding-window rate limiter
+ * @param {object} options - Limiter options
+ * @param {number} options.limit - Maximum acquisitions per interval
+ * @param {number} options.intervalMs - Window length in milliseconds
+ * @returns {object} { tryAcquire, hasCapacity, msUntilAvailable, reset }
+ */
+const createRateLimiter = ({ limit, intervalMs }) => {
+  let timestamps = [];
+
+  const prune = (now) => {
+    timestamps = timestamps.filter((timestamp) => now - timestamp < intervalMs);
+  };
+
+  const hasCapacity = (now = Date.now()) => {
+    prune(now);
+    return timestamps.length < limit;
+  };
+
+  const tryAcquire = (now = Date.now()) => {
+    if (!hasCapacity(now)) return false;
+
+    timestamps.push(now);
+    return true;
+  };
+
+  const msUntilAvailable = (now = Date.now()) => {
+    if (hasCapacity(now)) return 0;
+    return intervalMs - (now - timestamps[0]);
+  };
+
+  const reset = () => {
+    timestamps = [];
+  };
+
+  return { tryAcquire, hasCapacity, msUntilAvailable, reset };
+};
+
+module.exports = {
+  createRateLimiter
+};
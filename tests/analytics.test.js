@@ -0,0 +1,221 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const { parseAnalyticsQuery } = require("../src/services/analyticsService");
+const Order = require("../src/models/Order");
+
+const ADMIN_KEY = "test-admin-key";
+
+const analytics = (path) => request(app).get(`/api/analytics${path}`).set("x-api-key", ADMIN_KEY);
+
+const customer = { _id: "user_1", name: "Asha", mobile: "9876543210", email: "asha@example.com" };
+
+const buildOrder = (id, oid, amount, items) => ({
+  _id: id,
+  oid,
+  type: "regular",
+  paymentMethod: "COD",
+  deliveryMode: "home-delivery",
+  amount,
+  items,
+  user: customer,
+});
+
+const carrot = (qty) => ({ _id: { _id: "prod_1", name: "Carrot", externalID: 5005 }, qty, price: 50, unit: "kg" });
+const apple = (qty) => ({ _id: { _id: "prod_2", name: "Apple", externalID: 5025 }, qty, price: 60, unit: "kg" });
+
+describe("parseAnalyticsQuery", () => {
+  const now = new Date("2026-10-19T20:00:00Z"); // 01:30 on 20 Oct in IST
+
+  it("defaults to the last 30 IST days with the previous 30 days for comparison", () => {
+    const { options, errors } = parseAnalyticsQuery({}, now);
+
+    expect(errors).toEqual([]);
+    expect(options.from).toEqual(new Date("2026-09-20T18:30:00Z"));
+    expect(options.to).toEqual(now);
+    expect(options.previous.to).toEqual(options.from);
+    expect(options).toMatchObject({ granularity: "day", limit: 10, offset: 0, filters: {} });
+  });
+
+  it("treats plain dates as whole IST days", () => {
+    const { options } = parseAnalyticsQuery({ from: "2026-10-01", to: "2026-10-31" }, now);
+
+    expect(options.from).toEqual(new Date("2026-09-30T18:30:00Z"));
+    expect(options.to).toEqual(new Date("2026-10-31T18:30:00Z"));
+    expect(options.previous.from).toEqual(new Date("2026-08-30T18:30:00Z"));
+  });
+
+  it("parses comma-separated filters", () => {
+    const { options } = parseAnalyticsQuery({ paymentMethod: "UPI,CARD", status: "delivered" }, now);
+
+    expect(options.filters).toEqual({ paymentMethod: ["UPI", "CARD"], status: ["delivered"] });
+  });
+
+  it("reports every invalid parameter", () => {
+    const { errors } = parseAnalyticsQuery(
+      { from: "2026-10-10", to: "2026-10-01", granularity: "year", limit: "500", offset: "-1", deliveryMode: "drone" },
+      now
+    );
+
+    expect(errors).toEqual([
+      "from must be before to",
+      "granularity must be one of: day, week, month",
+      "limit must be a whole number from 1 to 100",
+      "offset must be a non-negative whole number",
+      "deliveryMode must be one of: pick-up, home-delivery",
+    ]);
+  });
+});
+
+describe("/api/analytics", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+
+    const delivered = buildOrder("order_1", 1001, 170, [carrot(1), apple(2)]);
+    const cancelled = buildOrder("order_2", 1002, 300, [apple(5)]);
+
+    await postWebhook(app, { event: "user.signup", data: { user: { ...customer, callingCode: "91" } } });
+    await postWebhook(app, { event: "order.placed", data: { order: delivered } });
+    await postWebhook(app, { event: "order.delivered", data: { order: delivered } });
+    await postWebhook(app, { event: "order.placed", data: { order: cancelled } });
+    await postWebhook(app, { event: "order.cancelled", data: { order: cancelled } });
+
+    await messageQueue.processPendingMessages();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("GET /dashboard counts each order, user and event once", async () => {
+    const res = await analytics("/dashboard");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalOrders).toBe(2);
+    expect(res.body.data.totalUsers).toBe(1);
+    expect(res.body.data.totalEvents).toBe(5);
+    expect(res.body.data.totalRevenue).toBe(170);
+    expect(res.body.data.averageOrderValue).toBe(170);
+    expect(res.body.data).toMatchObject({ cancelledOrders: 1, cancelledRevenue: 300 });
+    expect(res.body.data.recentOrders).toHaveLength(2);
+  });
+
+  it("GET /orders groups orders by status, delivery mode, payment method and day", async () => {
+    const res = await analytics("/orders");
+    const { ordersByStatus, ordersByDeliveryMode, ordersByPaymentMethod, salesByPeriod } = res.body.data;
+
+    expect(ordersByStatus).toEqual(
+      expect.arrayContaining([
+        { _id: "delivered", count: 1 },
+        { _id: "cancelled", count: 1 },
+      ])
+    );
+    expect(ordersByDeliveryMode).toEqual([{ _id: "home-delivery", count: 2 }]);
+    expect(ordersByPaymentMethod).toEqual([{ _id: "COD", count: 2 }]);
+    expect(salesByPeriod).toHaveLength(1);
+    expect(salesByPeriod[0]).toMatchObject({ sales: 170, count: 2, cancelled: 1 });
+    expect(res.body.data.salesByDay).toEqual(salesByPeriod);
+    expect(res.body.data.totals).toMatchObject({ orders: 2, revenue: 170, cancelledOrders: 1, cancelledRevenue: 300 });
+  });
+
+  it("GET /products ranks products by revenue without cancelled orders", async () => {
+    const res = await analytics("/products");
+    const [top, second] = res.body.data.topProducts;
+
+    expect(top._id).toEqual({ productId: "prod_2", name: "Apple" });
+    expect(top.totalSold).toBe(2);
+    expect(top.totalRevenue).toBe(120);
+    expect(second._id.name).toBe("Carrot");
+    expect(second.totalRevenue).toBe(50);
+  });
+
+  it("GET /users excludes cancelled orders from customer spend", async () => {
+    const res = await analytics("/users");
+    const { newUsersByPeriod, topCustomers } = res.body.data;
+
+    expect(newUsersByPeriod).toHaveLength(1);
+    expect(newUsersByPeriod[0].count).toBe(1);
+    expect(res.body.data.newUsersByDay).toEqual(newUsersByPeriod);
+    expect(topCustomers).toEqual([
+      expect.objectContaining({ _id: "user_1", orderCount: 1, totalSpent: 170, avgOrderValue: 170 }),
+    ]);
+  });
+
+  it("rejects invalid query parameters", async () => {
+    const res = await analytics("/orders?granularity=year");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(["granularity must be one of: day, week, month"]);
+  });
+
+  it("filters orders by status and payment method", async () => {
+    const delivered = await analytics("/orders?status=delivered");
+    expect(delivered.body.data.totals).toEqual({ orders: 1, revenue: 170, averageOrderValue: 170 });
+
+    const upi = await analytics("/dashboard?paymentMethod=UPI");
+    expect(upi.body.data.totalOrders).toBe(0);
+  });
+
+  it("paginates top products", async () => {
+    const res = await analytics("/products?limit=1&offset=1");
+
+    expect(res.body.data.topProducts.map((product) => product._id.name)).toEqual(["Carrot"]);
+    expect(res.body.data.pagination).toEqual({ limit: 1, offset: 1, total: 2 });
+  });
+
+  it("compares with the previous period and groups by IST day, week and month", async () => {
+    // 20:00 UTC on 31 Jan is 1 Feb in IST
+    const febOrder = await Order.create({ orderId: "order_feb", amount: 100, createdAt: new Date("2026-01-31T20:00:00Z") });
+    const janOrder = await Order.create({ orderId: "order_jan", amount: 50, createdAt: new Date("2026-01-25T10:00:00Z") });
+
+    try {
+      const day = await analytics("/orders?from=2026-02-01&to=2026-02-07");
+      expect(day.body.data.salesByPeriod).toEqual([{ _id: "2026-02-01", sales: 100, count: 1, cancelled: 0 }]);
+      expect(day.body.data.comparison).toEqual({
+        previous: { orders: 1, revenue: 50, averageOrderValue: 50, cancelledOrders: 0, cancelledRevenue: 0 },
+        change: { orders: 0, revenue: 100, averageOrderValue: 100, cancelledOrders: null, cancelledRevenue: null },
+      });
+
+      const week = await analytics("/orders?from=2026-01-01&to=2026-02-28&granularity=week");
+      expect(week.body.data.salesByPeriod.map((period) => period._id)).toEqual(["2026-01-19", "2026-01-26"]);
+
+      const month = await analytics("/orders?from=2026-01-01&to=2026-02-28&granularity=month");
+      expect(month.body.data.salesByPeriod).toEqual([
+        { _id: "2026-01", sales: 50, count: 1, cancelled: 0 },
+        { _id: "2026-02", sales: 100, count: 1, cancelled: 0 },
+      ]);
+    } finally {
+      await Order.deleteMany({ _id: { $in: [febOrder._id, janOrder._id] } });
+    }
+  });
+
+  it("GET /messages reports delivery and read rates from status callbacks", async () => {
+    await request(app)
+      .post("/wati-webhook/status?token=test-wati-token")
+      .send({ eventType: "sentMessageDELIVERED", localMessageId: "wati-msg-1" });
+    await request(app)
+      .post("/wati-webhook/status?token=test-wati-token")
+      .send({ eventType: "sentMessageREAD", localMessageId: "wati-msg-2" });
+
+    const res = await analytics("/messages");
+    const { overall, byTemplate, byEventType } = res.body.data;
+
+    expect(overall).toMatchObject({ total: 5, delivered: 2, read: 1, deliveryRate: 0.4, readRate: 0.2 });
+    expect(byTemplate.map((row) => row._id).sort()).toEqual([
+      "bo_order_cancelled1",
+      "bo_order_delivered",
+      "bo_order_placed2",
+      "bo_signup1",
+    ]);
+    expect(byEventType.find((row) => row._id === "order.placed").total).toBe(2);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const authService = require("../src/services/authService");
+const ApiKey = require("../src/models/ApiKey");
+
+const ADMIN_KEY = "test-admin-key";
+
+const admin = (method, url) => request(app)[method](url).set("x-api-key", ADMIN_KEY);
+
+describe("auth without a database", () => {
+  const originalJwt = { ...config.jwt };
+
+  beforeEach(() => {
+    config.jwt.secret = "test-jwt-secret";
+  });
+
+  afterEach(() => {
+    Object.assign(config.jwt, originalJwt);
+    config.enableTestRoutes = true;
+  });
+
+  it.each([
+    [{ name: "metabase", role: "analyst" }, []],
+    [{ role: "analyst" }, ["name is required"]],
+    [{ name: "x", role: "owner" }, ["role must be one of: admin, analyst, ops"]],
+    [{ name: "x", role: "ops", expiresAt: "2020-01-01" }, ["expiresAt must be in the future"]],
+  ])("validates %p", (body, errors) => {
+    expect(authService.validateApiKey(body)).toEqual(errors);
+  });
+
+  it("accepts the bootstrap ADMIN_API_KEY as admin", async () => {
+    const res = await admin("get", "/api/auth/me");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ type: "api-key", role: "admin", subject: "ADMIN_API_KEY" });
+  });
+
+  it("rejects requests without credentials", async () => {
+    const res = await request(app).get("/api/analytics/dashboard");
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid or missing API key or token");
+  });
+
+  it("accepts a JWT and applies its role", async () => {
+    const { token } = authService.issueToken({ role: "analyst", subject: "dashboard" });
+
+    const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.data).toMatchObject({ type: "jwt", role: "analyst", subject: "dashboard" });
+
+    const write = await request(app).post("/api/rules").set("Authorization", `Bearer ${token}`).send({});
+    expect(write.status).toBe(403);
+    expect(write.body.message).toBe("The analyst role can't access this endpoint");
+  });
+
+  it("rejects tokens signed with another secret or expired", async () => {
+    const { token } = authService.issueToken({ role: "admin", subject: "x" });
+    config.jwt.secret = "another-secret";
+    expect(authService.authenticateToken(token)).toBeNull();
+
+    config.jwt.secret = "test-jwt-secret";
+    config.jwt.expiresIn = -10;
+    const { token: expired } = authService.issueToken({ role: "admin", subject: "x" });
+    expect(authService.authenticateToken(expired)).toBeNull();
+  });
+
+  it("exchanges an API key for a token", async () => {
+    const res = await admin("post", "/api/auth/token");
+
+    expect(res.status).toBe(201);
+    expect(authService.authenticateToken(res.body.data.token)).toMatchObject({ role: "admin", subject: "ADMIN_API_KEY" });
+  });
+
+  it("hides the test routes when they are disabled", async () => {
+    config.enableTestRoutes = false;
+
+    expect((await request(app).get("/test-webhook/order.placed")).status).toBe(404);
+    expect((await admin("get", "/test-wati/bo_order_placed2/919876543210")).status).toBe(404);
+  });
+
+  it("requires ops or admin to send a test message", async () => {
+    const { token } = authService.issueToken({ role: "analyst", subject: "dashboard" });
+
+    const res = await request(app)
+      .get("/test-wati/bo_order_placed2/919876543210")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("only allows configured CORS origins", async () => {
+    const res = await request(app).get("/health").set("Origin", "https://evil.example.com");
+
+    expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+});
+
+describe("API keys", () => {
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterEach(async () => {
+    await db.clear();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  const createKey = async (role, fields = {}) => {
+    const res = await admin("post", "/api/auth/keys").send({ name: `${role}-key`, role, ...fields });
+    return res.body.data;
+  };
+
+  it("stores only a hash of the key and returns the key once", async () => {
+    const created = await createKey("analyst");
+
+    expect(created.key).toMatch(/^wk_/);
+    expect(created.keyHash).toBeUndefined();
+
+    const stored = await ApiKey.findById(created._id);
+    expect(stored.keyHash).toBe(authService.hashKey(created.key));
+
+    const list = await admin("get", "/api/auth/keys");
+    expect(list.body.data[0]).not.toHaveProperty("keyHash");
+    expect(list.body.data[0]).not.toHaveProperty("key");
+  });
+
+  it("gives analysts read-only access", async () => {
+    const { key } = await createKey("analyst");
+    const as = (method, url) => request(app)[method](url).set("x-api-key", key);
+
+    expect((await as("get", "/api/analytics/dashboard")).status).toBe(200);
+    expect((await as("get", "/api/rules")).status).toBe(200);
+    expect((await as("post", "/api/rules").send({})).status).toBe(403);
+    expect((await as("get", "/api/admin/messages/dead-letter")).status).toBe(403);
+    expect((await as("get", "/api/auth/keys")).status).toBe(403);
+  });
+
+  it("lets ops replay messages and resolve handoffs but not change configuration", async () => {
+    const { key } = await createKey("ops");
+    const as = (method, url) => request(app)[method](url).set("x-api-key", key);
+
+    expect((await as("get", "/api/admin/messages/dead-letter")).status).toBe(200);
+    expect((await as("post", "/api/admin/messages/652f1c2a9b1e8a0012345678/replay")).status).toBe(404);
+    expect((await as("get", "/api/analytics/dashboard")).status).toBe(200);
+    expect((await as("put", "/api/templates/652f1c2a9b1e8a0012345678").send({})).status).toBe(403);
+    expect((await as("post", "/api/auth/keys").send({ name: "x", role: "admin" })).status).toBe(403);
+  });
+
+  it("rejects revoked and expired keys", async () => {
+    const revoked = await createKey("analyst");
+    const revoke = await admin("post", `/api/auth/keys/${revoked._id}/revoke`);
+    expect(revoke.body.data.revokedBy).toBe("ADMIN_API_KEY");
+
+    const expiring = await createKey("analyst", { expiresAt: new Date(Date.now() + 60 * 1000) });
+    await ApiKey.updateOne({ _id: expiring._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    for (const { key } of [revoked, expiring]) {
+      const res = await request(app).get("/api/analytics/dashboard").set("x-api-key", key);
+      expect(res.status).toBe(401);
+    }
+  });
+
+  it("records when a key was last used", async () => {
+    const { _id, key } = await createKey("ops");
+    await request(app).get("/api/auth/me").set("x-api-key", key);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect((await ApiKey.findById(_id)).lastUsedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,251 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const messageQueue = require("../src/services/messageQueue");
+const campaignService = require("../src/services/campaignService");
+const Campaign = require("../src/models/Campaign");
+const CampaignRecipient = require("../src/models/CampaignRecipient");
+const Order = require("../src/models/Order");
+const User = require("../src/models/User");
+
+const ADMIN_KEY = "test-admin-key";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+const optedIn = { marketing: { status: "opted-in", source: "admin" } };
+
+const admin = (method, url) => request(app)[method](url).set("x-api-key", ADMIN_KEY);
+
+const seedCustomers = async () => {
+  await User.create([
+    { userId: "user_loyal", name: "Loyal", whatsappNumber: "919876543210", consent: optedIn },
+    { userId: "user_cod", name: "Cod", whatsappNumber: "919123456780", consent: optedIn },
+    { userId: "user_once", name: "Once", whatsappNumber: "919988776655", consent: optedIn },
+  ]);
+  await Order.create([
+    { orderId: "o1", user: { userId: "user_loyal" }, amount: 500, paymentMethod: "UPI", createdAt: daysAgo(40) },
+    { orderId: "o2", user: { userId: "user_loyal" }, amount: 700, paymentMethod: "UPI", createdAt: daysAgo(10),
+      items: [{ productId: "p_mango", name: "Mango" }] },
+    { orderId: "o3", user: { userId: "user_loyal" }, amount: 300, paymentMethod: "COD", createdAt: daysAgo(5) },
+    { orderId: "o4", user: { userId: "user_cod" }, amount: 200, paymentMethod: "COD", createdAt: daysAgo(60) },
+    { orderId: "o5", user: { userId: "user_cod" }, amount: 250, paymentMethod: "COD", createdAt: daysAgo(50) },
+    { orderId: "o6", user: { userId: "user_once" }, amount: 900, paymentMethod: "CARD", createdAt: daysAgo(2),
+      items: [{ productId: "p_mango", name: "Mango" }] },
+    { orderId: "o7", user: { userId: "user_once" }, amount: 5000, status: "cancelled", createdAt: daysAgo(1) },
+  ]);
+};
+
+const preview = async (filters) => {
+  const res = await admin("post", "/api/segments/preview").send({ filters });
+  return res.body.data.sample.map((member) => member.userId);
+};
+
+const createCampaign = async (filters, fields = {}) => {
+  const segment = await admin("post", "/api/segments").send({ name: "segment", filters });
+  const campaign = await admin("post", "/api/campaigns").send({
+    name: "diwali-offer",
+    segmentId: segment.body.data._id,
+    templateName: "bo_diwali_offer",
+    parameters: [{ name: "name", path: "customer.name", default: "Customer" }],
+    ...fields,
+  });
+  return campaign.body.data;
+};
+
+describe("segments and campaigns", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("filters customers by order count, spend, recency, payment method and product", async () => {
+    await seedCustomers();
+
+    expect(await preview({ minOrders: 2 })).toEqual(["user_loyal", "user_cod"]);
+    expect(await preview({ minTotalSpent: 1000 })).toEqual(["user_loyal"]);
+    expect(await preview({ noOrderForDays: 30 })).toEqual(["user_cod"]);
+    expect(await preview({ lastOrderWithinDays: 7 })).toEqual(["user_loyal", "user_once"]);
+    expect(await preview({ paymentMethod: "UPI" })).toEqual(["user_loyal"]);
+    expect(await preview({ productNames: ["Mango"], maxOrders: 1 })).toEqual(["user_once"]);
+  });
+
+  it("rejects unknown segment filters", async () => {
+    const res = await admin("post", "/api/segments").send({ name: "bad", filters: { city: "Pune", minOrders: "3" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(["Unknown filter 'city'", "minOrders must be a non-negative number"]);
+  });
+
+  it("sends the campaign template to each member under its broadcast name", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({ minOrders: 2 });
+
+    const started = await admin("post", `/api/campaigns/${campaign._id}/start`);
+    expect(started.body.data).toMatchObject({ status: "running", recipientCount: 2 });
+
+    await campaignService.dispatchRunningCampaigns();
+    await messageQueue.processPendingMessages();
+
+    const sent = watiStub.templateRequests();
+    expect(sent.map((req) => req.whatsappNumber).sort()).toEqual(["919123456780", "919876543210"]);
+    expect(sent[0].body).toMatchObject({ template_name: "bo_diwali_offer", broadcast_name: "diwali-offer" });
+    expect(sent.map((req) => req.body.parameters[0].value).sort()).toEqual(["Cod", "Loyal"]);
+
+    const detail = await admin("get", `/api/campaigns/${campaign._id}`);
+    expect(detail.body.data.status).toBe("completed");
+    expect(detail.body.data.progress).toMatchObject({ recipients: 2, queued: 2, results: { sent: 2 } });
+  });
+
+  it("only creates marketing campaigns", async () => {
+    const segment = await admin("post", "/api/segments").send({ name: "segment", filters: {} });
+    const res = await admin("post", "/api/campaigns").send({
+      name: "order-update",
+      segmentId: segment.body.data._id,
+      templateName: "bo_order_update",
+      category: "transactional",
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(["category must be marketing"]);
+  });
+
+  it("only counts recipients in dry-run mode", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({ minOrders: 2 });
+
+    config.dryRun = true;
+    try {
+      const started = await admin("post", `/api/campaigns/${campaign._id}/start`);
+      expect(started.body.data).toMatchObject({ status: "draft", recipientCount: 2 });
+      expect(started.body.data.dryRunAt).toBeDefined();
+      expect(await CampaignRecipient.countDocuments()).toBe(0);
+    } finally {
+      config.dryRun = false;
+    }
+
+    const started = await admin("post", `/api/campaigns/${campaign._id}/start`);
+    expect(started.body.data.status).toBe("running");
+  });
+
+  it("goes back to draft with the error when starting fails", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({ minOrders: 2 });
+    const insertMany = jest.spyOn(CampaignRecipient, "insertMany").mockRejectedValueOnce(new Error("write failed"));
+
+    try {
+      const failed = await admin("post", `/api/campaigns/${campaign._id}/start`);
+      expect(failed.status).toBe(500);
+    } finally {
+      insertMany.mockRestore();
+    }
+
+    const stored = await Campaign.findById(campaign._id);
+    expect(stored.status).toBe("draft");
+    expect(stored.lastError.message).toBe("write failed");
+
+    const retried = await admin("post", `/api/campaigns/${campaign._id}/start`);
+    expect(retried.body.data).toMatchObject({ status: "running", recipientCount: 2 });
+    expect(await CampaignRecipient.countDocuments()).toBe(2);
+  });
+
+  it("queues no more than the throttle allows per minute", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({}, { throttlePerMinute: 2 });
+    await admin("post", `/api/campaigns/${campaign._id}/start`);
+
+    const running = await Campaign.findById(campaign._id);
+    const now = new Date();
+    expect(await campaignService.dispatchCampaign(running, now)).toBe(2);
+
+    const afterFirst = await Campaign.findById(campaign._id);
+    expect(await campaignService.dispatchCampaign(afterFirst, now)).toBe(0);
+    expect(await campaignService.dispatchCampaign(afterFirst, new Date(now.getTime() + 30 * 1000))).toBe(1);
+    expect((await Campaign.findById(campaign._id)).status).toBe("completed");
+  });
+
+  it("marks a recipient failed when queueing its message fails", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({ minOrders: 2 });
+    await admin("post", `/api/campaigns/${campaign._id}/start`);
+    const enqueue = jest.spyOn(messageQueue, "enqueueMessage").mockRejectedValueOnce(new Error("write failed"));
+
+    try {
+      expect(await campaignService.dispatchCampaign(await Campaign.findById(campaign._id), new Date(Date.now() + 60 * 1000))).toBe(1);
+    } finally {
+      enqueue.mockRestore();
+    }
+
+    const recipients = await CampaignRecipient.find().sort({ _id: 1 });
+    expect(recipients.map((recipient) => [recipient.status, recipient.failureReason])).toEqual([
+      ["failed", "write failed"],
+      ["queued", undefined],
+    ]);
+    expect((await Campaign.findById(campaign._id)).status).toBe("completed");
+
+    const res = await admin("get", `/api/campaigns/${campaign._id}/recipients?result=failed`);
+    expect(res.body.data.recipients.map((recipient) => recipient.reason)).toEqual(["write failed"]);
+  });
+
+  it("stops queueing while paused and picks up where it left off", async () => {
+    await seedCustomers();
+    const campaign = await createCampaign({}, { throttlePerMinute: 1 });
+    await admin("post", `/api/campaigns/${campaign._id}/start`);
+    await campaignService.dispatchRunningCampaigns();
+
+    const paused = await admin("post", `/api/campaigns/${campaign._id}/pause`);
+    expect(paused.body.data.status).toBe("paused");
+    await Campaign.updateOne({ _id: campaign._id }, { lastDispatchAt: daysAgo(1) });
+    await campaignService.dispatchRunningCampaigns();
+    expect(await CampaignRecipient.countDocuments({ status: "pending" })).toBe(2);
+
+    const pausedAgain = await admin("post", `/api/campaigns/${campaign._id}/pause`);
+    expect(pausedAgain.status).toBe(409);
+
+    await admin("post", `/api/campaigns/${campaign._id}/resume`);
+    await Campaign.updateOne({ _id: campaign._id }, { lastDispatchAt: daysAgo(1) });
+    await campaignService.dispatchRunningCampaigns();
+    expect(await CampaignRecipient.countDocuments({ status: "pending" })).toBe(1);
+  });
+
+  it("reports per-recipient results", async () => {
+    await seedCustomers();
+    await User.updateOne({ userId: "user_cod" }, { consent: {} });
+    await User.create({ userId: "user_dup", whatsappNumber: "919876543210" });
+    await Order.create({ orderId: "o8", user: { userId: "user_dup" }, amount: 100 });
+
+    const campaign = await createCampaign({});
+    await admin("post", `/api/campaigns/${campaign._id}/start`);
+    await campaignService.dispatchRunningCampaigns();
+    await messageQueue.processPendingMessages();
+
+    const res = await admin("get", `/api/campaigns/${campaign._id}/recipients`);
+    const results = Object.fromEntries(
+      res.body.data.recipients.map((recipient) => [recipient.userId, [recipient.result, recipient.reason]])
+    );
+    expect(res.body.data.total).toBe(4);
+    expect(results).toEqual({
+      user_loyal: ["sent", undefined],
+      user_once: ["sent", undefined],
+      user_cod: ["suppressed", "no-marketing-opt-in"],
+      user_dup: ["skipped", "duplicate-number"],
+    });
+
+    const skipped = await admin("get", `/api/campaigns/${campaign._id}/recipients?result=skipped`);
+    expect(skipped.body.data.recipients.map((recipient) => recipient.userId)).toEqual(["user_dup"]);
+  });
+});
@@ -0,0 +1,182 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { parseCommand } = require("../src/services/commandService");
+const inbound = require("../src/services/inbound");
+const Handoff = require("../src/models/Handoff");
+const InboundMessage = require("../src/models/InboundMessage");
+const Order = require("../src/models/Order");
+
+const ADMIN_KEY = "test-admin-key";
+const HOUR_MS = 60 * 60 * 1000;
+
+const message = (text, fields = {}) =>
+  ({ eventType: "message", waId: "919876543210", senderName: "Asha", text, owner: false, ...fields });
+
+const send = (text, fields = {}) => request(app).post("/wati-webhook/messages?token=test-wati-token").send(message(text, fields));
+
+// The webhook response only says whether the message was handled; the service result has the details
+const handle = (text, fields = {}) => inbound.handleInboundMessage(message(text, fields));
+
+const createOrders = () =>
+  Order.create([
+    {
+      orderId: "order_old",
+      externalOrderId: 1001,
+      status: "delivered",
+      amount: 90,
+      user: { userId: "user_1", mobile: "9876543210" },
+      createdAt: new Date("2026-01-02T10:00:00Z"),
+    },
+    {
+      orderId: "order_new",
+      externalOrderId: 1002,
+      status: "out-for-delivery",
+      amount: 170,
+      items: [{ name: "Carrot", qty: 1, price: 50 }, { name: "Apple", qty: 2, price: 60 }],
+      delivery: { agentName: "Ravi Kumar", agentMobile: "9123456780" },
+      user: { userId: "user_1", mobile: "9876543210" },
+      createdAt: new Date("2026-01-05T10:00:00Z"),
+    },
+    {
+      orderId: "order_other",
+      externalOrderId: 2001,
+      status: "new",
+      user: { userId: "user_2", mobile: "9123456780" },
+    },
+  ]);
+
+describe("parseCommand", () => {
+  it.each([
+    ["Help", { command: "help" }],
+    ["where is my order?", { command: "status", orderRef: undefined }],
+    ["status 1002", { command: "status", orderRef: "1002" }],
+    ["#1002", { command: "status", orderRef: "1002" }],
+    ["My orders", { command: "orders" }],
+    ["CANCEL 1002", { command: "cancel", orderRef: "1002" }],
+    ["talk to a person", { command: "agent" }],
+  ])("parses %p", (text, expected) => {
+    expect(parseCommand(text)).toEqual({ orderRef: undefined, ...expected });
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseCommand("my carrots were soft")).toBeNull();
+  });
+});
+
+describe("inbound commands", () => {
+  let watiStub;
+
+  const lastReply = () => {
+    const replies = watiStub.requests.filter((req) => req.type === "session");
+    return replies[replies.length - 1]?.query.messageText;
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("replies with the latest order's status and items", async () => {
+    await createOrders();
+
+    const result = await handle("status");
+
+    expect(result).toMatchObject({ handled: true, handler: "command", command: "status", orderId: "order_new", replied: true });
+    expect(lastReply()).toContain("Order #1002: Out for delivery");
+    expect(lastReply()).toContain("Items: 1 x Carrot - ₹50, 2 x Apple - ₹120");
+    expect(lastReply()).toContain("Total: ₹170");
+    expect(lastReply()).toContain("Delivery partner: Ravi Kumar (9123456780)");
+  });
+
+  it("looks up an order by number, but only the customer's own", async () => {
+    await createOrders();
+
+    expect((await handle("1001")).orderId).toBe("order_old");
+    expect((await handle("2001")).action).toBe("order-not-found");
+  });
+
+  it("doesn't echo order details in the webhook response", async () => {
+    await createOrders();
+
+    const res = await send("status");
+
+    expect(res.body).toEqual({ success: true, handled: true, handler: "command", replied: true });
+    expect(JSON.stringify(res.body)).not.toMatch(/1002|Carrot|Ravi|9123456780|order_new/);
+    expect(lastReply()).toContain("Order #1002");
+  });
+
+  it("lists the last orders", async () => {
+    await createOrders();
+
+    await send("orders");
+    expect(lastReply().split("\n")).toEqual([
+      "Your last 2 order(s):",
+      "#1002 · 5/1/2026 · ₹170 · Out for delivery",
+      "#1001 · 2/1/2026 · ₹90 · Delivered",
+      "Reply with an order number for details.",
+    ]);
+  });
+
+  it("passes cancellable orders to the team and refuses the rest", async () => {
+    await createOrders();
+    await Order.updateOne({ orderId: "order_old" }, { status: "accepted" });
+
+    const shipped = await handle("cancel 1002");
+    expect(shipped.action).toBe("cancel-rejected");
+
+    const requested = await handle("cancel 1001");
+    expect(requested.action).toBe("cancel-requested");
+    expect(await Handoff.findOne()).toMatchObject({ reason: "cancel-request", orderId: "order_old", status: "open" });
+  });
+
+  it("hands unrecognized messages to the team and stays quiet until resolved", async () => {
+    const first = await handle("my carrots were soft");
+    expect(first).toMatchObject({ action: "handoff", replied: true });
+
+    const followUp = await handle("status");
+    expect(followUp).toMatchObject({ handler: "handoff", action: "handoff-active", replied: false });
+
+    const handoff = await Handoff.findOne();
+    expect(handoff).toMatchObject({ senderName: "Asha", reason: "unrecognized", messageCount: 2, lastMessage: "status" });
+
+    const resolved = await request(app)
+      .post(`/api/admin/handoffs/${handoff._id}/resolve`)
+      .set("x-api-key", ADMIN_KEY)
+      .send({ resolvedBy: "ops@example.com" });
+    expect(resolved.body.data).toMatchObject({ status: "resolved", resolvedBy: "ops@example.com" });
+
+    expect((await send("help")).body.handler).toBe("command");
+  });
+
+  it("doesn't reply once the 24-hour session window has closed", async () => {
+    const sentAt = Math.floor((Date.now() - 25 * HOUR_MS) / 1000);
+
+    const res = await send("help", { timestamp: `${sentAt}` });
+
+    expect(res.body).toMatchObject({ handled: true, replied: false });
+    expect(lastReply()).toBeUndefined();
+    expect((await InboundMessage.findOne()).replyError).toBe("session-window-closed");
+  });
+
+  it("answers a redelivered message only once", async () => {
+    await send("help", { whatsappMessageId: "wamid.1" });
+    const again = await handle("help", { whatsappMessageId: "wamid.1" });
+
+    expect(again).toMatchObject({ handled: false, reason: "duplicate" });
+    expect(watiStub.requests.filter((req) => req.type === "session")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,121 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const OutboundMessage = require("../src/models/OutboundMessage");
+const User = require("../src/models/User");
+
+const reply = (text, token = "test-wati-token") =>
+  request(app)
+    .post("/wati-webhook/messages")
+    .query(token ? { token } : {})
+    .send({ eventType: "message", waId: "919876543210", text, owner: false });
+
+describe("customer consent", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("records a transactional opt-in on signup", async () => {
+    await postWebhook(app, webhookService.generateSamplePayload("user.signup"));
+
+    const user = await User.findOne({ whatsappNumber: "919876543210" });
+    expect(user.consent.transactional).toMatchObject({ status: "opted-in", source: "signup" });
+  });
+
+  it.each([undefined, "wrong-token"])("ignores consent replies with token %p", async (token) => {
+    const res = await reply("stop", token || null);
+
+    expect(res.status).toBe(401);
+    expect(await User.exists({ whatsappNumber: "919876543210" })).toBeNull();
+  });
+
+  it("suppresses messages after a STOP reply and resumes after START", async () => {
+    const stop = await reply("stop");
+    expect(stop.body).toMatchObject({ handled: true, handler: "consent" });
+
+    const suppressed = await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    expect(suppressed.body.suppressed).toBe(true);
+    expect(suppressed.body.suppressionReason).toBe("opted-out:transactional");
+
+    await reply("START");
+    await postWebhook(app, webhookService.generateSamplePayload("order.delivered"));
+    await messageQueue.processPendingMessages();
+
+    const sent = watiStub.templateRequests();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].body.template_name).toBe("bo_order_delivered");
+    expect(await OutboundMessage.countDocuments({ status: "suppressed" })).toBe(1);
+  });
+
+  it("suppresses messages already queued when the customer opts out before they are sent", async () => {
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    await reply("stop");
+
+    await messageQueue.processPendingMessages();
+
+    expect(watiStub.templateRequests()).toHaveLength(0);
+    const message = await OutboundMessage.findOne({ templateName: "bo_order_placed2" });
+    expect(message).toMatchObject({ status: "suppressed", suppressionReason: "opted-out:transactional", attempts: 0 });
+  });
+
+  it("requires an explicit opt-in for marketing messages", async () => {
+    const blocked = await messageQueue.enqueueMessage({
+      mobileNumber: "9876543210",
+      templateName: "bo_offer",
+      category: "marketing",
+      parameters: [],
+    });
+    expect(blocked.status).toBe("suppressed");
+    expect(blocked.suppressionReason).toBe("no-marketing-opt-in");
+
+    await request(app)
+      .put("/api/admin/consent/9876543210")
+      .set("X-API-Key", "test-admin-key")
+      .send({ category: "marketing", status: "opted-in", updatedBy: "ops@example.com" })
+      .expect(200);
+
+    const allowed = await messageQueue.enqueueMessage({
+      mobileNumber: "9876543210",
+      templateName: "bo_offer",
+      category: "marketing",
+      parameters: [],
+    });
+    expect(allowed.status).toBe("pending");
+  });
+
+  it("looks up consent state and history for a number", async () => {
+    await reply("STOP");
+
+    const res = await request(app)
+      .get(`/api/admin/consent/${encodeURIComponent("+91 98765 43210")}`)
+      .set("X-API-Key", "test-admin-key");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.whatsappNumber).toBe("919876543210");
+    expect(res.body.data.consent.transactional).toMatchObject({
+      status: "opted-out",
+      source: "whatsapp-reply",
+      allowed: false,
+    });
+    expect(res.body.data.history).toHaveLength(2);
+  });
+});
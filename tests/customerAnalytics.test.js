@@ -0,0 +1,140 @@
+const request = require("supertest");
+const app = require("../server");
+const db = require("./helpers/db");
+const customerAnalyticsService = require("../src/services/customerAnalyticsService");
+const CustomerSummary = require("../src/models/CustomerSummary");
+const Order = require("../src/models/Order");
+const User = require("../src/models/User");
+
+const ADMIN_KEY = "test-admin-key";
+
+const admin = (method, url) => request(app)[method](url).set("x-api-key", ADMIN_KEY);
+
+// 11:30 IST on the 2nd of the month `months` months ago
+const monthsAgo = (months) => {
+  const [year, month] = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" }).split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1 - months, 2, 6));
+};
+
+describe("parseCustomerQuery", () => {
+  it("defaults to 12 cohorts and the first 10 customers", () => {
+    expect(customerAnalyticsService.parseCustomerQuery({})).toEqual({
+      errors: [],
+      options: { cohorts: 12, limit: 10, offset: 0, segment: undefined },
+    });
+  });
+
+  it("rejects invalid values", () => {
+    const { errors } = customerAnalyticsService.parseCustomerQuery({ cohorts: "0", segment: "vip" });
+    expect(errors).toEqual([
+      "cohorts must be a whole number from 1 to 36",
+      `segment must be one of: ${customerAnalyticsService.SEGMENTS.join(", ")}`,
+    ]);
+  });
+});
+
+describe("customer analytics", () => {
+  const order = (orderId, userId, months, fields = {}) => ({
+    orderId,
+    amount: 100,
+    status: "delivered",
+    user: { userId },
+    createdAt: monthsAgo(months),
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    await db.connect();
+
+    await User.create([
+      { userId: "user_a", name: "Asha", createdAt: monthsAgo(3) },
+      { userId: "user_b", name: "Bala", createdAt: monthsAgo(3) },
+      { userId: "user_c", name: "Chitra", createdAt: monthsAgo(2) },
+    ]);
+    await Order.create([
+      order("order_1", "user_a", 3),
+      order("order_2", "user_a", 2),
+      order("order_3", "user_a", 1),
+      order("order_4", "user_a", 1, { status: "cancelled", amount: 5000 }),
+      order("order_5", "user_b", 3, { amount: 200 }),
+      // No user record: joins the cohort of the first order
+      order("order_6", "user_d", 2, { amount: 50 }),
+    ]);
+
+    const refresh = await admin("post", "/api/analytics/customers/refresh");
+    expect(refresh.body.data.customers).toBe(4);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it("summarizes each customer without cancelled orders", async () => {
+    const asha = await CustomerSummary.findOne({ userId: "user_a" });
+    expect(asha).toMatchObject({ orderCount: 3, totalSpent: 300, averageOrderValue: 100 });
+    expect(asha.orderMonths).toHaveLength(3);
+    expect(asha.rfm).toMatchObject({ recency: 4, frequency: 4, monetary: 4, segment: "champions" });
+    expect(asha.estimatedClv).toBeGreaterThan(0);
+
+    const chitra = await CustomerSummary.findOne({ userId: "user_c" });
+    expect(chitra.orderCount).toBe(0);
+    expect(chitra.rfm?.segment).toBeUndefined();
+  });
+
+  it("reports monthly cohort retention", async () => {
+    const res = await admin("get", "/api/analytics/customers/retention?cohorts=4");
+    expect(res.status).toBe(200);
+
+    const [older, newer] = res.body.data.cohorts;
+    expect(older.customers).toBe(2);
+    expect(older.retention.map((month) => month.rate)).toEqual([1, 0.5, 0.5, 0]);
+    expect(newer.customers).toBe(2);
+    expect(newer.retention.map((month) => month.customers)).toEqual([1, 0, 0]);
+  });
+
+  it("reports repeat purchases", async () => {
+    const res = await admin("get", "/api/analytics/customers/repeat-purchases");
+
+    expect(res.body.data).toMatchObject({
+      customers: 3,
+      repeatCustomers: 1,
+      repeatPurchaseRate: 0.3333,
+      ordersPerCustomer: 1.67,
+      orderCountDistribution: [{ orders: 1, customers: 2 }, { orders: 3, customers: 1 }],
+    });
+    expect(res.body.data.averageDaysBetweenOrders).toBeGreaterThanOrEqual(28);
+    expect(res.body.data.averageDaysBetweenOrders).toBeLessThanOrEqual(31);
+  });
+
+  it("groups customers into RFM segments", async () => {
+    const res = await admin("get", "/api/analytics/customers/rfm?segment=hibernating");
+
+    expect(res.body.data.segments.map(({ segment, customers }) => [segment, customers])).toEqual([
+      ["champions", 1],
+      ["hibernating", 2],
+    ]);
+    expect(res.body.data.customers.map((customer) => customer.userId)).toEqual(["user_b", "user_d"]);
+    expect(res.body.data.pagination.total).toBe(2);
+  });
+
+  it("estimates customer lifetime value", async () => {
+    const res = await admin("get", "/api/analytics/customers/clv?limit=1");
+
+    expect(res.body.data).toMatchObject({ customers: 3, assumptions: { lifespanMonths: 24 } });
+    expect(res.body.data.topCustomers.map((customer) => customer.userId)).toEqual(["user_a"]);
+    expect(res.body.data.pagination.total).toBe(3);
+  });
+
+  it("drops customers whose orders were all cancelled on the next refresh", async () => {
+    await Order.updateOne({ orderId: "order_6" }, { status: "cancelled" });
+    await customerAnalyticsService.refreshCustomerSummaries();
+
+    expect(await CustomerSummary.exists({ userId: "user_d" })).toBeNull();
+    expect(await CustomerSummary.countDocuments()).toBe(3);
+  });
+
+  it("rejects invalid queries", async () => {
+    const res = await admin("get", "/api/analytics/customers/rfm?segment=vip");
+    expect(res.status).toBe(400);
+  });
+});
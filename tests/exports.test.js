@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const { Writable } = require("stream");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const app = require("../server");
+const db = require("./helpers/db");
+const { postWebhook } = require("./helpers/webhook");
+const { csvField, createExportWriter } = require("../src/utils/exportWriters");
+
+const ADMIN_KEY = "test-admin-key";
+
+// Collect a binary response body into a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+const download = (path) =>
+  request(app).get(`/api/exports${path}`).set("x-api-key", ADMIN_KEY).buffer(true).parse(binary);
+
+// Split a CSV export into rows of fields (the test data has no quoted fields)
+const csvRows = (body) =>
+  body
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .split("\r\n")
+    .map((line) => line.split(","));
+
+describe("csvField", () => {
+  it.each([
+    ["plain", "plain"],
+    ["Asha, R", '"Asha, R"'],
+    ['say "hi"', '"say ""hi"""'],
+    ["=HYPERLINK(\"x\")", '"\'=HYPERLINK(""x"")"'],
+    ["+91 98765 43210", "+91 98765 43210"],
+    [-5, "-5"],
+    [undefined, ""],
+  ])("writes %p as %p", (value, expected) => {
+    expect(csvField(value)).toBe(expected);
+  });
+});
+
+describe("export writers", () => {
+  const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+  it.each(["csv", "xlsx"])("waits for a full response before writing more %s rows", async (format) => {
+    // A client that reads nothing until released
+    let release = null;
+    const stream = new Writable({
+      highWaterMark: 1024,
+      write: (chunk, encoding, callback) => (release ? callback() : (release = callback)),
+    });
+    const writer = createExportWriter(format, stream, [{ header: "Name", key: "name" }], "Rows");
+    const row = () => ({ name: crypto.randomBytes(1024).toString("hex") });
+
+    // Write until the response is full, then the row after must wait
+    let written = true;
+    let next = null;
+    for (let i = 0; i < 500 && written; i++) {
+      written = false;
+      next = writer.writeRow(row()).then(() => (written = true));
+      await nextTick();
+      await nextTick();
+    }
+    expect(stream.writableNeedDrain).toBe(true);
+    expect(written).toBe(false);
+
+    const callback = release;
+    release = true;
+    callback();
+    await next;
+    expect(written).toBe(true);
+  });
+});
+
+describe("/api/exports", () => {
+  const customer = { _id: "user_1", name: "Asha", mobile: "9876543210", email: "asha@example.com" };
+  const order = (id, oid, paymentMethod, items) => ({
+    _id: id,
+    oid,
+    type: "regular",
+    paymentMethod,
+    deliveryMode: "home-delivery",
+    amount: items.reduce((sum, item) => sum + item.price * item.qty, 0),
+    items,
+    user: customer,
+  });
+  const carrot = { _id: { _id: "prod_1", name: "Carrot" }, qty: 1, price: 50, unit: "kg" };
+  const apple = { _id: { _id: "prod_2", name: "Apple" }, qty: 2, price: 60, unit: "kg" };
+
+  beforeAll(async () => {
+    await db.connect();
+
+    await postWebhook(app, { event: "user.signup", data: { user: { ...customer, callingCode: "91" } } });
+    await postWebhook(app, { event: "order.placed", data: { order: order("order_1", 1001, "COD", [carrot, apple]) } });
+    await postWebhook(app, { event: "order.placed", data: { order: order("order_2", 1002, "UPI", [apple]) } });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it("exports orders as CSV with one row per line item", async () => {
+    const res = await download("/orders.csv");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(res.headers["content-disposition"]).toMatch(/^attachment; filename="orders-\d{4}-\d{2}-\d{2}-to-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, ...rows] = csvRows(res.body);
+    const column = (name) => header.indexOf(name);
+
+    expect(rows).toHaveLength(3);
+    expect(rows.map((row) => [row[column("Order ID")], row[column("Item")], row[column("Line total")]])).toEqual([
+      ["order_1", "Carrot", "50"],
+      ["order_1", "Apple", "120"],
+      ["order_2", "Apple", "120"],
+    ]);
+  });
+
+  it("applies the analytics filters", async () => {
+    const res = await download("/orders.csv?paymentMethod=UPI");
+    const [, ...rows] = csvRows(res.body);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0][0]).toBe("order_2");
+  });
+
+  it("exports top products as XLSX", async () => {
+    const res = await download("/products.xlsx");
+    expect(res.status).toBe(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet("Top products");
+    const values = [];
+    sheet.eachRow((row) => values.push(row.values.slice(1)));
+
+    expect(values).toEqual([
+      ["Product ID", "Product", "Quantity sold", "Revenue", "Average price", "Order lines"],
+      ["prod_2", "Apple", 4, 240, 60, 2],
+      ["prod_1", "Carrot", 1, 50, 50, 1],
+    ]);
+  });
+
+  it.each(["/users.csv", "/customers.csv", "/sales.xlsx"])("exports %s", async (path) => {
+    const res = await download(path);
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+  });
+
+  it("rejects unknown reports, formats and filters", async () => {
+    expect((await download("/invoices.csv")).status).toBe(404);
+    expect((await download("/orders.pdf")).status).toBe(400);
+    expect((await download("/orders.csv?status=lost")).status).toBe(400);
+  });
+
+  it("requires credentials", async () => {
+    const res = await request(app).get("/api/exports/orders.csv");
+    expect(res.status).toBe(401);
+  });
+});
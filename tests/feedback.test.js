@@ -0,0 +1,124 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const { parseFeedback } = require("../src/services/feedbackService");
+const inbound = require("../src/services/inbound");
+const Message = require("../src/models/Message");
+const Order = require("../src/models/Order");
+
+// Handled by the inbound service directly, since the webhook response leaves out the order details
+const reply = (text, fields = {}) =>
+  inbound.handleInboundMessage({ eventType: "message", waId: "919876543210", text, owner: false, ...fields });
+
+let orderCount = 0;
+
+const deliverOrder = async () => {
+  const payload = webhookService.generateSamplePayload("order.delivered");
+  payload.data.order._id = `order_feedback_${++orderCount}`;
+  await postWebhook(app, payload);
+  await messageQueue.processPendingMessages();
+  return payload.data.order._id;
+};
+
+describe("parseFeedback", () => {
+  it.each([
+    ["5", { rating: 5 }],
+    ["4/5", { rating: 4 }],
+    ["3 stars", { rating: 3 }],
+    ["2 - driver was late", { rating: 2, comment: "driver was late" }],
+    ["⭐⭐⭐⭐", { rating: 4 }],
+    ["Excellent!", { rating: 5 }],
+    ["Poor, items were damaged", { rating: 2, comment: "items were damaged" }],
+  ])("parses %p", (text, expected) => {
+    expect(parseFeedback(text)).toEqual({ comment: undefined, ...expected });
+  });
+
+  it.each(["6", "12345", "where is my order", ""])("ignores %p", (text) => {
+    expect(parseFeedback(text)).toBeNull();
+  });
+});
+
+describe("delivery feedback", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("stores a rating reply on the delivered order and thanks the customer", async () => {
+    const orderId = await deliverOrder();
+
+    const result = await reply("5 - fresh vegetables, on time");
+    expect(result).toMatchObject({ handled: true, handler: "feedback", orderId, rating: 5, replied: true });
+
+    const order = await Order.findOne({ orderId });
+    expect(order.feedback).toMatchObject({ rating: 5, comment: "fresh vegetables, on time", whatsappNumber: "919876543210" });
+
+    const [thanks] = watiStub.requests.filter((req) => req.type === "session");
+    expect(thanks.whatsappNumber).toBe("919876543210");
+    expect(thanks.query.messageText).toBe("Thank you for rating us 5/5! We hope to serve you again soon.");
+  });
+
+  it("matches a reply to the message it quotes", async () => {
+    const firstOrderId = await deliverOrder();
+    await deliverOrder();
+    await Message.updateOne({ orderId: firstOrderId }, { whatsappMessageId: "wamid.first" });
+
+    const result = await reply("3", { replyContextId: "wamid.first" });
+    expect(result.orderId).toBe(firstOrderId);
+  });
+
+  it("leaves ratings to the team while a handoff is open", async () => {
+    const orderId = await deliverOrder();
+    expect((await reply("my carrots were soft")).action).toBe("handoff");
+
+    const result = await reply("5");
+    expect(result).toMatchObject({ handler: "handoff", action: "handoff-active" });
+    expect((await Order.findOne({ orderId })).feedback?.rating).toBeUndefined();
+  });
+
+  it("ignores ratings without a recent delivery", async () => {
+    const result = await reply("4");
+    expect(result.handler).not.toBe("feedback");
+  });
+
+  it("reports the average, distribution and low ratings", async () => {
+    await deliverOrder();
+    await reply("5");
+    await deliverOrder();
+    await reply("4");
+    const lowOrderId = await deliverOrder();
+    await reply("1 - half the items were missing");
+
+    const res = await request(app).get("/api/analytics/feedback").set("x-api-key", "test-admin-key");
+
+    expect(res.body.data.overall).toEqual({
+      count: 3,
+      averageRating: 3.33,
+      distribution: { 1: 1, 2: 0, 3: 0, 4: 1, 5: 1 },
+    });
+    expect(res.body.data.byPeriod).toHaveLength(1);
+    expect(res.body.data.lowRatings.orders).toHaveLength(1);
+    expect(res.body.data.lowRatings.orders[0]).toMatchObject({
+      orderId: lowOrderId,
+      feedback: { rating: 1, comment: "half the items were missing" },
+    });
+  });
+});
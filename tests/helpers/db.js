@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+let mongoServer;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ */
+const connect = async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+};
+
+/**
+ * Remove every document from every collection
+ */
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Disconnect mongoose and stop the in-memory MongoDB
+ */
+const close = async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+};
+
+module.exports = { connect, clear, close };
@@ -0,0 +1,59 @@
+const express = require("express");
+
+/**
+ * Start a local HTTP stand-in for the WATI API.
+ * Records every request and answers 200 unless a response is queued with respondWith().
+ * @returns {Promise} Stub controls ({ url, requests, respondWith, reset, close })
+ */
+const createWatiStub = async () => {
+  const requests = [];
+  let queuedResponses = [];
+
+  const app = express();
+  app.use(express.json());
+
+  const handle = (type) => (req, res) => {
+    requests.push({
+      type,
+      tenantId: req.params.tenantId,
+      whatsappNumber: req.params.whatsappNumber || req.query.whatsappNumber,
+      authorization: req.get("authorization"),
+      query: req.query,
+      body: req.body,
+    });
+
+    const next = queuedResponses.shift() || {
+      status: 200,
+      body: {
+        result: true,
+        validWhatsAppNumber: true,
+        model: { ids: [`wati-msg-${requests.length}`] },
+      },
+    };
+
+    res.status(next.status).json(next.body);
+  };
+
+  app.post("/:tenantId/api/v1/sendTemplateMessage", handle("template"));
+  app.post("/:tenantId/api/v1/sendSessionMessage/:whatsappNumber", handle("session"));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    templateRequests: () => requests.filter((request) => request.type === "template"),
+    respondWith: (status, body = {}) => {
+      queuedResponses.push({ status, body });
+    },
+    reset: () => {
+      requests.length = 0;
+      queuedResponses = [];
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = { createWatiStub };
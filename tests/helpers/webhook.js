@@ -0,0 +1,24 @@
+const request = require("supertest");
+const { computeSignature } = require("../../src/middleware/verifySignature");
+
+/**
+ * POST a signed payload to /growcify-webhook
+ * @param {object} app - Express app
+ * @param {object} payload - Webhook payload
+ * @param {object} [options] - Signing overrides
+ * @returns {Promise} supertest response
+ */
+const postWebhook = (app, payload, options = {}) => {
+  const body = JSON.stringify(payload);
+  const timestamp = options.timestamp || `${Math.floor(Date.now() / 1000)}`;
+  const secret = options.secret || process.env.WEBHOOK_SECRET;
+
+  return request(app)
+    .post("/growcify-webhook")
+    .set("Content-Type", "application/json")
+    .set("X-Growcify-Timestamp", timestamp)
+    .set("X-Growcify-Signature", `sha256=${computeSignature(secret, timestamp, body)}`)
+    .send(body);
+};
+
+module.exports = { postWebhook };
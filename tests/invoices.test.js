@@ -0,0 +1,232 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const templateService = require("../src/services/templateService");
+const invoiceService = require("../src/services/invoiceService");
+const { amountInWords, buildInvoiceLines } = require("../src/utils/invoicePdf");
+const fs = require("fs/promises");
+const Invoice = require("../src/models/Invoice");
+const TemplateMapping = require("../src/models/TemplateMapping");
+const Order = require("../src/models/Order");
+const Counter = require("../src/models/Counter");
+
+const ADMIN_KEY = "test-admin-key";
+
+const admin = (method, url) => request(app)[method](url).set("x-api-key", ADMIN_KEY);
+
+// Collect a binary response body into a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("invoice calculations", () => {
+  it("splits GST included in item prices into CGST and SGST", () => {
+    const totals = buildInvoiceLines({
+      items: [
+        { name: "Rice", qty: 2, price: 59, gst: 18 },
+        { name: "Milk", qty: 1, price: 30, gst: 0 }
+      ],
+      deliveryCharge: 20,
+      discount: 10,
+      amount: 158
+    });
+
+    expect(totals.lines[0]).toMatchObject({ taxableValue: 100, cgst: 9, sgst: 9, amount: 118 });
+    expect(totals.lines[1]).toMatchObject({ taxableValue: 30, cgst: 0, sgst: 0, amount: 30 });
+    expect(totals).toMatchObject({ taxableValue: 130, cgst: 9, sgst: 9, itemsTotal: 148, roundOff: 0, total: 158 });
+  });
+
+  it.each([
+    [0, "Rupees Zero Only"],
+    [1245, "Rupees One Thousand Two Hundred Forty Five Only"],
+    [120000.5, "Rupees One Lakh Twenty Thousand and Fifty Paise Only"],
+    [25000000, "Rupees Two Crore Fifty Lakh Only"]
+  ])("spells out %p", (amount, words) => {
+    expect(amountInWords(amount)).toBe(words);
+  });
+
+  it.each([
+    ["2026-03-31T18:00:00Z", "2025-26"],
+    ["2026-03-31T18:40:00Z", "2026-27"],
+    ["2027-01-15T00:00:00Z", "2026-27"]
+  ])("puts %p in financial year %p (IST)", (date, financialYear) => {
+    expect(invoiceService.getFinancialYear(new Date(date))).toBe(financialYear);
+  });
+});
+
+describe("invoice links", () => {
+  const invoice = { _id: "652f1c2a9b1e8a0012345678" };
+  const now = new Date("2026-10-01T00:00:00Z");
+
+  const linkParams = () => {
+    const { url } = invoiceService.getSignedUrl(invoice, { now });
+    const params = new URL(url).searchParams;
+    return { expires: params.get("expires"), signature: params.get("signature") };
+  };
+
+  it("accepts a link until it expires", () => {
+    const { expires, signature } = linkParams();
+
+    expect(invoiceService.verifySignedUrl(invoice._id, expires, signature, now)).toBeNull();
+    expect(invoiceService.verifySignedUrl(invoice._id, expires, signature, new Date(Number(expires) * 1000 + 1000)))
+      .toBe("link-expired");
+  });
+
+  it("rejects a tampered link", () => {
+    const { expires, signature } = linkParams();
+
+    expect(invoiceService.verifySignedUrl(invoice._id, `${Number(expires) + 3600}`, signature, now)).toBe("invalid-link");
+    expect(invoiceService.verifySignedUrl("652f1c2a9b1e8a0012345679", expires, signature, now)).toBe("invalid-link");
+    expect(invoiceService.verifySignedUrl(invoice._id, expires, "abc", now)).toBe("invalid-link");
+  });
+});
+
+describe("invoices", () => {
+  let watiStub;
+  let orderCount = 0;
+
+  const deliverOrder = async () => {
+    const payload = webhookService.generateSamplePayload("order.delivered");
+    payload.data.order._id = `order_invoice_${++orderCount}`;
+    payload.data.order.oid = 500000 + orderCount;
+    await postWebhook(app, payload);
+    await messageQueue.processPendingMessages();
+    return payload.data.order;
+  };
+
+  const invoiceUrl = () => {
+    const [sent] = watiStub.templateRequests();
+    return sent.body.parameters.find((param) => param.name === "invoice_url").value;
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  beforeEach(async () => {
+    await templateService.seedTemplates();
+    await TemplateMapping.updateOne({ templateName: "bo_order_delivered_invoice" }, { enabled: true });
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+    config.publicBaseUrl = "http://localhost";
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("sends a signed invoice link with the delivery message", async () => {
+    const order = await deliverOrder();
+
+    const invoice = await Invoice.findOne({ orderId: order._id });
+    expect(invoice.invoiceNumber).toMatch(/^INV\/\d{4}-\d{2}\/000001$/);
+
+    const url = new URL(invoiceUrl());
+    expect(url.pathname).toBe(`/invoices/${invoice._id}`);
+
+    const res = await request(app).get(`${url.pathname}${url.search}`).buffer(true).parse(binary);
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.body.toString("latin1", 0, 5)).toBe("%PDF-");
+  });
+
+  it("falls back to the template without the invoice button when there is no link", async () => {
+    config.publicBaseUrl = "";
+    const order = await deliverOrder();
+
+    expect(await Invoice.exists({ orderId: order._id })).toBeTruthy();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.template_name).toBe("bo_order_delivered");
+    expect(sent.body.parameters.map((param) => param.name)).not.toContain("invoice_url");
+    expect(sent.body.parameters.every((param) => param.value !== "")).toBe(true);
+  });
+
+  it("rejects tampered and expired links", async () => {
+    await deliverOrder();
+    const url = new URL(invoiceUrl());
+    const expires = url.searchParams.get("expires");
+    const signature = url.searchParams.get("signature");
+
+    const tampered = await request(app).get(`${url.pathname}?expires=${Number(expires) + 1}&signature=${signature}`);
+    expect(tampered.status).toBe(403);
+    expect(tampered.body.message).toBe("Invalid invoice link");
+
+    const { url: expiredUrl } = invoiceService.getSignedUrl(
+      { _id: url.pathname.split("/").pop() },
+      { now: new Date(Date.now() - (config.invoices.urlTtlHours + 1) * 60 * 60 * 1000) }
+    );
+    const expired = await request(app).get(expiredUrl.replace(config.publicBaseUrl, ""));
+    expect(expired.status).toBe(403);
+    expect(expired.body.message).toBe("This invoice link has expired");
+  });
+
+  it("numbers invoices consecutively and keeps the number on regeneration", async () => {
+    const first = await deliverOrder();
+    await deliverOrder();
+
+    const numbers = (await Invoice.find().sort({ createdAt: 1 })).map((invoice) => invoice.invoiceNumber.slice(-6));
+    expect(numbers).toEqual(["000001", "000002"]);
+
+    const res = await admin("post", `/api/invoices/orders/${first.oid}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.invoiceNumber.slice(-6)).toBe("000001");
+    expect(res.body.data.generationCount).toBe(2);
+  });
+
+  it("takes one number per order when an order is invoiced concurrently", async () => {
+    const placed = webhookService.generateSamplePayload("order.placed");
+    await postWebhook(app, placed);
+    const order = await Order.findOne({ orderId: placed.data.order._id });
+
+    await Promise.allSettled([invoiceService.generateInvoice(order), invoiceService.generateInvoice(order)]);
+    await deliverOrder();
+
+    const numbers = (await Invoice.find().sort({ createdAt: 1 })).map((invoice) => invoice.invoiceNumber.slice(-6));
+    expect(numbers).toEqual(["000001", "000002"]);
+
+    const [counter] = await Counter.find();
+    expect(counter.seq).toBe(2);
+  });
+
+  it("regenerates a missing PDF on download", async () => {
+    const order = await deliverOrder();
+    const invoice = await Invoice.findOne({ orderId: order._id });
+    await fs.unlink(invoiceService.getInvoicePath(invoice));
+
+    const res = await admin("get", `/api/invoices/orders/${order._id}/pdf`).buffer(true).parse(binary);
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toBe(`attachment; filename="${invoice.fileName}"`);
+    expect(res.body.toString("latin1", 0, 5)).toBe("%PDF-");
+  });
+
+  it("returns 404 for unknown orders and orders without an invoice", async () => {
+    const missing = await admin("get", "/api/invoices/orders/order_missing");
+    expect(missing.status).toBe(404);
+
+    const placed = webhookService.generateSamplePayload("order.placed");
+    await postWebhook(app, placed);
+
+    const res = await admin("get", `/api/invoices/orders/${placed.data.order._id}`);
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("No invoice for this order");
+  });
+
+  it("requires the admin key", async () => {
+    const res = await request(app).get("/api/invoices/orders/order_missing");
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,151 @@
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const Order = require("../src/models/Order");
+const WebhookEvent = require("../src/models/WebhookEvent");
+
+// Send the same order through a sequence of events
+const sendLifecycle = async (events, changes = {}) => {
+  const base = webhookService.generateSamplePayload("order.placed").data.order;
+
+  for (const event of events) {
+    const sample = webhookService.generateSamplePayload(event);
+    await postWebhook(app, {
+      event,
+      eventId: `${event}-${base._id}`,
+      data: { ...sample.data, order: { ...sample.data.order, ...base, ...changes[event] } },
+    });
+  }
+
+  return Order.findOne({ orderId: base._id });
+};
+
+describe("order and payment events", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("moves the order through accepted, shipped and out for delivery", async () => {
+    const order = await sendLifecycle(
+      ["order.placed", "order.accepted", "order.shipped", "order.out-for-delivery", "order.delivered"],
+      {
+        "order.shipped": {
+          deliveryAgent: { name: "Ravi Kumar", mobile: "9123456780" },
+          eta: "2026-01-02T10:00:00Z",
+        },
+      }
+    );
+
+    expect(order.status).toBe("delivered");
+    expect(order.statusHistory.map((entry) => entry.status)).toEqual([
+      "new", "accepted", "shipped", "out-for-delivery", "delivered",
+    ]);
+    expect(order.delivery.agentName).toBe("Ravi Kumar");
+    expect(order.delivery.eta.toISOString()).toBe("2026-01-02T10:00:00.000Z");
+  });
+
+  it("sends the delivery agent and ETA for shipped orders", async () => {
+    const payload = webhookService.generateSamplePayload("order.shipped");
+    await postWebhook(app, payload);
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.parameters).toContainEqual({ name: "delivery_agent", value: "Ravi Kumar" });
+    expect(sent.body.parameters).toContainEqual({ name: "agent_mobile", value: "9123456780" });
+  });
+
+  it("does not move a shipped order back to accepted", async () => {
+    const order = await sendLifecycle(["order.placed", "order.shipped", "order.accepted"]);
+    expect(order.status).toBe("shipped");
+  });
+
+  it("records payment results without changing the order status", async () => {
+    const order = await sendLifecycle(["order.placed", "payment.failed", "payment.success"]);
+
+    expect(order.status).toBe("new");
+    expect(order.paymentStatus).toBe("paid");
+    expect(order.paymentHistory.map((entry) => entry.status)).toEqual(["failed", "paid"]);
+    expect(order.paymentHistory[0].failureReason).toBe("Declined by bank");
+  });
+
+  it("records refunds on cancelled orders", async () => {
+    const order = await sendLifecycle(["order.placed", "order.cancelled", "order.refunded"], {
+      "order.refunded": { refundAmount: 120 },
+    });
+
+    expect(order.status).toBe("cancelled");
+    expect(order.refundStatus).toBe("processed");
+    expect(order.refundAmount).toBe(120);
+    expect(order.refundedAt).toBeInstanceOf(Date);
+  });
+
+  it("keeps orders with the same oid apart", async () => {
+    const first = webhookService.generateSamplePayload("order.placed");
+    const second = webhookService.generateSamplePayload("order.placed");
+    first.data.order._id = "order_first";
+    second.data.order._id = "order_second";
+    second.data.order.amount = 999;
+
+    await postWebhook(app, first);
+    await postWebhook(app, second);
+
+    const orders = await Order.find().sort({ orderId: 1 });
+    expect(orders.map((order) => [order.orderId, order.amount])).toEqual([
+      ["order_first", first.data.order.amount],
+      ["order_second", 999],
+    ]);
+  });
+
+  it("stores one order when events for a new order arrive together", async () => {
+    await Order.init();
+    const placed = webhookService.generateSamplePayload("order.placed");
+    const accepted = webhookService.generateSamplePayload("order.accepted");
+    accepted.data.order._id = placed.data.order._id;
+
+    await Promise.all([postWebhook(app, placed), postWebhook(app, accepted)]);
+
+    const orders = await Order.find();
+    expect(orders).toHaveLength(1);
+    expect(orders[0].statusHistory.length).toBeGreaterThan(0);
+  });
+
+  it("matches payloads without an _id by oid", async () => {
+    const placed = webhookService.generateSamplePayload("order.placed");
+    await postWebhook(app, placed);
+
+    const { _id, ...order } = placed.data.order;
+    await postWebhook(app, { event: "order.accepted", data: { order } });
+
+    const stored = await Order.find();
+    expect(stored).toHaveLength(1);
+    expect(stored[0].orderId).toBe(_id);
+    expect(stored[0].status).toBe("accepted");
+  });
+
+  it("acknowledges unknown events with 200", async () => {
+    const res = await postWebhook(app, { event: "order.returned", data: { order: { oid: "1" } } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.ignored).toBe(true);
+    expect((await WebhookEvent.findById(res.body.eventId)).status).toBe("ignored");
+    expect(watiStub.templateRequests()).toHaveLength(0);
+  });
+});
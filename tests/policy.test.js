@@ -0,0 +1,127 @@
+const app = require("../server");
+const { config } = require("../src/config");
+const messagePolicies = require("../src/config/messagePolicies");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const messagePolicy = require("../src/services/messagePolicy");
+const { createRateLimiter } = require("../src/utils/rateLimiter");
+const OutboundMessage = require("../src/models/OutboundMessage");
+
+// HH:mm in Asia/Kolkata, offset from the current time
+const istClock = (offsetMinutes) =>
+  new Date(Date.now() + offsetMinutes * 60 * 1000).toLocaleTimeString("en-GB", {
+    timeZone: "Asia/Kolkata",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+const signin = (eventId) =>
+  postWebhook(app, { ...webhookService.generateSamplePayload("user.signin"), eventId });
+
+describe("quiet hours", () => {
+  it("defers signin messages at night until 08:00 IST", () => {
+    // 23:00 IST
+    const until = messagePolicy.getQuietHoursEnd("user.signin", new Date("2026-01-01T17:30:00Z"));
+    expect(until.toISOString()).toBe("2026-01-02T02:30:00.000Z");
+  });
+
+  it("allows signin messages during the day and events without quiet hours", () => {
+    // 11:30 IST
+    const noon = new Date("2026-01-01T06:00:00Z");
+    expect(messagePolicy.getQuietHoursEnd("user.signin", noon)).toBeNull();
+    expect(messagePolicy.getQuietHoursEnd("order.placed", new Date("2026-01-01T21:30:00Z"))).toBeNull();
+  });
+});
+
+describe("rate limiter", () => {
+  it("allows at most the limit within the interval", () => {
+    const limiter = createRateLimiter({ limit: 2, intervalMs: 1000 });
+
+    expect(limiter.tryAcquire(0)).toBe(true);
+    expect(limiter.tryAcquire(100)).toBe(true);
+    expect(limiter.tryAcquire(200)).toBe(false);
+    expect(limiter.msUntilAvailable(200)).toBe(800);
+    expect(limiter.tryAcquire(1000)).toBe(true);
+  });
+});
+
+describe("sending policies in the queue", () => {
+  let watiStub;
+  const originalQuietHours = { ...messagePolicies.quietHours };
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    config.enforceQuietHours = false;
+    messagePolicies.quietHours = { ...originalQuietHours };
+    messageQueue.sendLimiter.reset();
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("sends at most one signin message per customer in 24 hours", async () => {
+    await signin("signin-1");
+    await messageQueue.processPendingMessages();
+    await signin("signin-2");
+    await messageQueue.processPendingMessages();
+
+    expect(watiStub.templateRequests()).toHaveLength(1);
+
+    const suppressed = await OutboundMessage.findOne({ status: "suppressed" });
+    expect(suppressed.suppressionReason).toBe("frequency-cap:user.signin");
+    expect(suppressed.attempts).toBe(0);
+  });
+
+  it("defers messages during quiet hours instead of dropping them", async () => {
+    config.enforceQuietHours = true;
+    messagePolicies.quietHours = {
+      "user.signin": { start: istClock(-5), end: istClock(60) },
+    };
+
+    await signin("signin-quiet");
+    await messageQueue.processPendingMessages();
+
+    expect(watiStub.templateRequests()).toHaveLength(0);
+
+    const deferred = await OutboundMessage.findOne({ event: "user.signin" });
+    expect(deferred.status).toBe("deferred");
+    expect(deferred.deferralReason).toBe("quiet-hours");
+    expect(deferred.deferCount).toBe(1);
+    expect(deferred.attempts).toBe(0);
+    expect(deferred.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 55 * 60 * 1000);
+
+    // Once the quiet hours are over the message goes out
+    messagePolicies.quietHours = {};
+    await OutboundMessage.updateOne({ _id: deferred._id }, { nextAttemptAt: new Date() });
+    await messageQueue.processPendingMessages();
+
+    expect(watiStub.templateRequests()).toHaveLength(1);
+    expect((await OutboundMessage.findById(deferred._id)).status).toBe("sent");
+  });
+
+  it("stops sending when the global throughput limit is reached", async () => {
+    for (let i = 0; i < config.queue.maxSendsPerMinute; i++) {
+      messageQueue.sendLimiter.tryAcquire();
+    }
+
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    const processed = await messageQueue.processPendingMessages();
+
+    expect(processed).toBe(0);
+    expect(watiStub.templateRequests()).toHaveLength(0);
+    expect(await OutboundMessage.countDocuments({ status: "pending" })).toBe(1);
+  });
+});
@@ -0,0 +1,188 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const messageQueue = require("../src/services/messageQueue");
+const emailService = require("../src/services/emailService");
+const reportService = require("../src/services/reportService");
+const scheduler = require("../src/services/scheduler");
+const BusinessReport = require("../src/models/BusinessReport");
+const OutboundMessage = require("../src/models/OutboundMessage");
+const Order = require("../src/models/Order");
+const User = require("../src/models/User");
+
+const ADMIN_KEY = "test-admin-key";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const admin = (method, url) => request(app)[method](url).set("x-api-key", ADMIN_KEY);
+
+describe("report periods", () => {
+  // 2026-10-21 is a Wednesday; 10:00 IST
+  const wednesday = new Date("2026-10-21T04:30:00Z");
+
+  it("reports the previous IST day", () => {
+    expect(reportService.getReportRange("day", wednesday)).toEqual({ from: "2026-10-20", to: "2026-10-20" });
+    // 00:30 IST on the 21st is still the 20th in UTC
+    expect(reportService.getReportRange("day", new Date("2026-10-20T19:00:00Z"))).toEqual({ from: "2026-10-20", to: "2026-10-20" });
+  });
+
+  it("reports the previous Monday-Sunday week", () => {
+    expect(reportService.getReportRange("week", wednesday)).toEqual({ from: "2026-10-12", to: "2026-10-18" });
+    expect(reportService.getReportRange("week", new Date("2026-10-19T03:00:00Z"))).toEqual({ from: "2026-10-12", to: "2026-10-18" });
+  });
+
+  it("schedules jobs with runAt at that IST time", () => {
+    const daily = { options: { runAt: "08:00" } };
+    const weekly = { options: { runAt: "08:00", runOnDay: "monday" } };
+
+    expect(scheduler.getNextRunAt(daily, new Date("2026-10-21T01:00:00Z")).toISOString()).toBe("2026-10-21T02:30:00.000Z");
+    expect(scheduler.getNextRunAt(daily, wednesday).toISOString()).toBe("2026-10-22T02:30:00.000Z");
+    expect(scheduler.getNextRunAt(weekly, wednesday).toISOString()).toBe("2026-10-26T02:30:00.000Z");
+    expect(scheduler.getNextRunAt({ intervalMinutes: 60 }, wednesday).getTime()).toBe(wednesday.getTime() + 60 * 60 * 1000);
+  });
+});
+
+describe("business summary", () => {
+  let watiStub;
+  const yesterday = () => new Date(Date.now() - DAY_MS);
+  const apple = { _id: { _id: "prod_2", name: "Apple" }, qty: 2, price: 60 };
+
+  const createJob = async (fields = {}) => {
+    const res = await admin("post", "/api/scheduler/jobs").send({
+      name: "owner-summary",
+      type: "business-summary",
+      templateName: "bo_business_summary",
+      parameters: [
+        { name: "orders", path: "report.metrics.orders" },
+        { name: "revenue", path: "report.metrics.revenue", formatter: "currency" },
+        { name: "cancellations", path: "report.metrics.cancellations" },
+        { name: "top_products", path: "report.topProductsList" },
+      ],
+      options: { period: "day", ownerNumbers: ["9876543210"], emailTo: ["owner@example.com"] },
+      ...fields,
+    });
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  beforeEach(async () => {
+    await Order.create([
+      { orderId: "order_1", amount: 120, status: "delivered", items: [apple], createdAt: yesterday() },
+      { orderId: "order_2", amount: 120, status: "cancelled", items: [apple], createdAt: yesterday() },
+      // Today's orders belong to tomorrow's report
+      { orderId: "order_3", amount: 999, items: [apple], createdAt: new Date() },
+    ]);
+    await User.create({ userId: "user_1", name: "Asha", createdAt: yesterday() });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("sends yesterday's numbers to the owners and keeps the report, without cancelled orders in revenue", async () => {
+    jest.spyOn(emailService, "isEmailConfigured").mockReturnValue(true);
+    const sendEmail = jest.spyOn(emailService, "sendEmail").mockResolvedValue({ messageId: "<summary@test>" });
+
+    const job = await createJob();
+    expect(job.category).toBe("transactional");
+
+    const run = await admin("post", `/api/scheduler/jobs/${job._id}/run`);
+    expect(run.body.data).toMatchObject({ status: "completed", candidates: 1, enrolled: 1 });
+
+    await messageQueue.processPendingMessages();
+    const [sent] = watiStub.templateRequests();
+    expect(sent.whatsappNumber).toBe("919876543210");
+    expect(sent.body.parameters).toEqual([
+      { name: "orders", value: "2" },
+      { name: "revenue", value: "₹120" },
+      { name: "cancellations", value: "1" },
+      { name: "top_products", value: "Apple (2)" },
+    ]);
+
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: ["owner@example.com"],
+      subject: expect.stringMatching(/^Daily summary for /),
+      text: expect.stringContaining("Revenue: ₹120"),
+    }));
+    expect(sendEmail.mock.calls[0][0].text).toContain("Cancellations: 1 (₹120)");
+
+    const report = await BusinessReport.findById(run.body.data.reportId);
+    expect(report.metrics).toMatchObject({
+      orders: 2,
+      revenue: 120,
+      averageOrderValue: 120,
+      cancellations: 1,
+      cancelledRevenue: 120,
+      newUsers: 1,
+    });
+    expect(report.whatsapp[0]).toMatchObject({ whatsappNumber: "919876543210", status: "pending" });
+    expect(report.email).toMatchObject({ status: "sent", messageId: "<summary@test>" });
+  });
+
+  it("counts dead-lettered messages in the period they were given up on", async () => {
+    const message = { mobileNumber: "9876543210", templateName: "bo_order_placed2", status: "dead-lettered" };
+    await OutboundMessage.create([
+      // Touched today, after it was dead-lettered yesterday
+      { ...message, deadLetteredAt: yesterday(), updatedAt: new Date() },
+      { ...message, deadLetteredAt: new Date(Date.now() - 3 * DAY_MS), updatedAt: yesterday() },
+    ]);
+
+    const summary = await reportService.buildBusinessSummary("day");
+    expect(summary.metrics.deadLettered).toBe(1);
+  });
+
+  it("records a skipped email when SMTP isn't configured", async () => {
+    const job = await createJob();
+    const run = await admin("post", `/api/scheduler/jobs/${job._id}/run`);
+
+    const report = await BusinessReport.findById(run.body.data.reportId);
+    expect(report.email.status).toBe("skipped");
+  });
+
+  it("lists and returns past reports", async () => {
+    const job = await createJob({ options: { period: "week", ownerNumbers: [] } });
+    await admin("post", `/api/scheduler/jobs/${job._id}/run`);
+
+    const list = await admin("get", "/api/reports?period=week");
+    expect(list.status).toBe(200);
+    expect(list.body.data.total).toBe(1);
+
+    const [summary] = list.body.data.reports;
+    expect(summary.period.type).toBe("week");
+
+    const one = await admin("get", `/api/reports/${summary._id}`);
+    expect(one.body.data.jobName).toBe("owner-summary");
+
+    expect((await admin("get", "/api/reports?period=month")).status).toBe(400);
+    expect((await admin("get", "/api/reports/nope")).status).toBe(400);
+  });
+
+  it("validates report options", async () => {
+    const res = await admin("post", "/api/scheduler/jobs").send({
+      name: "broken-summary",
+      type: "business-summary",
+      templateName: "bo_business_summary",
+      options: { period: "month", runAt: "8am", ownerNumbers: "9876543210" },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      "options.runAt must be a time like 08:00",
+      "options.period must be one of: day, week",
+      "options.ownerNumbers must be an array of strings",
+    ]);
+  });
+});
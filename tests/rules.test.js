@@ -0,0 +1,167 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const routingRules = require("../src/services/routingRules");
+const OutboundMessage = require("../src/models/OutboundMessage");
+const WebhookEvent = require("../src/models/WebhookEvent");
+
+const ADMIN_KEY = "test-admin-key";
+
+const orderPlaced = (changes = {}) => {
+  const payload = webhookService.generateSamplePayload("order.placed");
+  Object.assign(payload.data.order, changes);
+  return payload;
+};
+
+const createRule = (rule) =>
+  request(app).post("/api/rules").set("x-api-key", ADMIN_KEY).send(rule);
+
+describe("routing rule conditions", () => {
+  const data = { order: { type: "pickup-drop", paymentMethod: "UPI", amount: 450, tags: ["VIP", "bulk"] } };
+
+  it.each([
+    [{ field: "orderType", value: "pickup-drop" }, true],
+    [{ field: "paymentMethod", value: "upi" }, true],
+    [{ field: "paymentMethod", operator: "in", value: ["COD", "card"] }, false],
+    [{ field: "amount", operator: "gte", value: 500 }, false],
+    [{ field: "amount", operator: "lt", value: 500 }, true],
+    [{ field: "tags", value: "vip" }, true],
+    [{ field: "tags", operator: "nin", value: ["vip"] }, false],
+    [{ field: "order.deliveryMode", operator: "exists", value: true }, false],
+  ])("%j matches: %s", (condition, expected) => {
+    expect(routingRules.matchesCondition(condition, data)).toBe(expected);
+  });
+});
+
+describe("routing rules", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  beforeEach(async () => {
+    await routingRules.seedRules();
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("skips POS orders through the seeded rule and records the match", async () => {
+    const res = await postWebhook(app, orderPlaced({ type: "pos" }));
+
+    expect(res.body.skipped).toBe(true);
+    expect(res.body.matchedRule.name).toBe("skip-pos-orders");
+
+    const event = await WebhookEvent.findById(res.body.eventId);
+    expect(event.matchedRule).toMatchObject({ name: "skip-pos-orders", action: "skip" });
+    expect(await OutboundMessage.countDocuments()).toBe(0);
+  });
+
+  it("uses a different template for UPI payments", async () => {
+    const created = await createRule({
+      name: "upi-template",
+      events: ["order.placed"],
+      conditions: [{ field: "paymentMethod", value: "UPI" }],
+      action: "template",
+      templateName: "bo_order_placed_upi",
+      priority: 10,
+    });
+    expect(created.status).toBe(201);
+
+    await postWebhook(app, orderPlaced({ paymentMethod: "UPI" }));
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.template_name).toBe("bo_order_placed_upi");
+    expect(sent.body.parameters[0]).toEqual({ name: "order_id", value: "123456" });
+  });
+
+  it("skips orders below a minimum amount", async () => {
+    await createRule({
+      name: "small-orders",
+      events: ["order.*"],
+      conditions: [{ field: "amount", operator: "lt", value: 200 }],
+      action: "skip",
+    });
+
+    const res = await postWebhook(app, orderPlaced({ amount: 150 }));
+    expect(res.body.skipped).toBe(true);
+    expect(res.body.matchedRule.name).toBe("small-orders");
+  });
+
+  it("delays the message", async () => {
+    await createRule({
+      name: "delay-delivered",
+      events: ["order.delivered"],
+      action: "delay",
+      delayMinutes: 30,
+    });
+
+    await postWebhook(app, webhookService.generateSamplePayload("order.delivered"));
+    await messageQueue.processPendingMessages();
+
+    expect(watiStub.templateRequests()).toHaveLength(0);
+
+    const queued = await OutboundMessage.findOne();
+    expect(queued.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+    expect(queued.routingRule.name).toBe("delay-delivered");
+  });
+
+  it("fans out to extra recipients", async () => {
+    await createRule({
+      name: "notify-store",
+      events: ["order.placed"],
+      conditions: [{ field: "tags", value: "bulk" }],
+      action: "fanout",
+      recipients: [{ mobileNumber: "9123456780", callingCode: "91" }],
+    });
+
+    const res = await postWebhook(app, orderPlaced({ tags: ["bulk"] }));
+    expect(res.body.messageIds).toHaveLength(2);
+
+    await messageQueue.processPendingMessages();
+    const numbers = watiStub.templateRequests().map((sent) => sent.whatsappNumber).sort();
+    expect(numbers).toEqual(["919123456780", "919876543210"]);
+
+    const event = await WebhookEvent.findById(res.body.eventId);
+    expect(event.messageIds).toHaveLength(2);
+  });
+
+  it("rejects invalid rules", async () => {
+    const res = await createRule({ name: "broken", action: "delay", conditions: [{ operator: "gt" }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      "conditions[0].field is required",
+      "delay rules need a positive delayMinutes",
+    ]);
+  });
+
+  it("can disable the POS rule", async () => {
+    const [posRule] = (await request(app).get("/api/rules").set("x-api-key", ADMIN_KEY)).body.data;
+
+    const update = await request(app)
+      .put(`/api/rules/${posRule._id}`)
+      .set("x-api-key", ADMIN_KEY)
+      .send({ enabled: false });
+    expect(update.body.data.enabled).toBe(false);
+
+    const res = await postWebhook(app, orderPlaced({ type: "pos" }));
+    expect(res.body.skipped).toBeUndefined();
+  });
+});
@@ -0,0 +1,245 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const scheduler = require("../src/services/scheduler");
+const consentService = require("../src/services/consentService");
+const { renderParameters } = require("../src/templates/formatters");
+const ScheduledJob = require("../src/models/ScheduledJob");
+const JobRun = require("../src/models/JobRun");
+const CampaignEnrollment = require("../src/models/CampaignEnrollment");
+const Order = require("../src/models/Order");
+const User = require("../src/models/User");
+const OutboundMessage = require("../src/models/OutboundMessage");
+
+const ADMIN_KEY = "test-admin-key";
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS);
+
+const createJob = async (job) => {
+  const res = await request(app)
+    .post("/api/scheduler/jobs")
+    .set("x-api-key", ADMIN_KEY)
+    .send({ category: "transactional", ...job });
+  return res.body.data;
+};
+
+const runJob = (job) =>
+  request(app).post(`/api/scheduler/jobs/${job._id}/run`).set("x-api-key", ADMIN_KEY);
+
+const abandonCart = (hours) => {
+  const payload = webhookService.generateSamplePayload("cart.abandoned");
+  payload.data.cart.abandonedAt = hoursAgo(hours).toISOString();
+  return postWebhook(app, payload);
+};
+
+describe("scheduler", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("reminds customers about abandoned carts once", async () => {
+    await abandonCart(3);
+    const job = await createJob({
+      name: "cart-reminder",
+      type: "abandoned-cart",
+      templateName: "bo_abandoned_cart",
+      parameters: [
+        { name: "name", path: "cart.user.name" },
+        { name: "items_list", path: "cart.items", formatter: "itemsList" },
+      ],
+      options: { abandonedAfterHours: 2 },
+    });
+
+    const first = await runJob(job);
+    expect(first.body.data).toMatchObject({ status: "completed", candidates: 1, enrolled: 1, trigger: "manual" });
+
+    await messageQueue.processPendingMessages();
+    const [sent] = watiStub.templateRequests();
+    expect(sent.whatsappNumber).toBe("919876543210");
+    expect(sent.body.template_name).toBe("bo_abandoned_cart");
+    expect(sent.body.parameters).toEqual([
+      { name: "name", value: "Test User" },
+      { name: "items_list", value: "1 x Carrot - ₹50, 1 x Apple - ₹60" },
+    ]);
+
+    const second = await runJob(job);
+    expect(second.body.data).toMatchObject({ enrolled: 0, alreadyEnrolled: 1 });
+    expect(await CampaignEnrollment.countDocuments()).toBe(1);
+  });
+
+  it("skips carts that are too recent or turned into an order", async () => {
+    await abandonCart(1);
+    const job = await createJob({ name: "cart-reminder", type: "abandoned-cart", templateName: "bo_abandoned_cart" });
+
+    expect((await runJob(job)).body.data.candidates).toBe(0);
+
+    await abandonCart(3);
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+
+    expect((await runJob(job)).body.data.candidates).toBe(0);
+  });
+
+  it("finds customers with no recent orders", async () => {
+    await User.create([
+      { userId: "user_inactive", name: "Inactive", whatsappNumber: "919876543210", createdAt: hoursAgo(24 * 60) },
+      { userId: "user_active", name: "Active", whatsappNumber: "919123456780", createdAt: hoursAgo(24 * 60) },
+      { userId: "user_new", name: "New", whatsappNumber: "919988776655", createdAt: hoursAgo(24) },
+    ]);
+    await Order.create({ orderId: "order_1", user: { userId: "user_active" }, createdAt: hoursAgo(24) });
+
+    const job = await createJob({
+      name: "win-back",
+      type: "inactive-customers",
+      templateName: "bo_we_miss_you",
+      category: "marketing",
+      options: { inactiveDays: 30 },
+    });
+
+    // Marketing messages need an opt-in, so the customer isn't a candidate until they give one
+    const res = await runJob(job);
+    expect(res.body.data).toMatchObject({ candidates: 0, enrolled: 0 });
+    expect(await OutboundMessage.countDocuments()).toBe(0);
+
+    await User.updateOne({ userId: "user_inactive" }, { consent: { marketing: { status: "opted-in", source: "admin" } } });
+    const retried = await runJob(job);
+    expect(retried.body.data).toMatchObject({ candidates: 1, enrolled: 1 });
+    expect((await CampaignEnrollment.findOne()).messageStatus).toBe("pending");
+  });
+
+  it("reaches customers past a batch of ones it can't send to", async () => {
+    await User.create([
+      { userId: "user_1", whatsappNumber: "919876543210", createdAt: hoursAgo(24 * 60) },
+      { userId: "user_2", whatsappNumber: "919123456780", createdAt: hoursAgo(24 * 60) },
+      {
+        userId: "user_3",
+        whatsappNumber: "919988776655",
+        createdAt: hoursAgo(24 * 60),
+        consent: { transactional: { status: "opted-out", source: "admin" } },
+      },
+    ]);
+
+    const job = await createJob({ name: "win-back", type: "inactive-customers", templateName: "bo_we_miss_you", batchSize: 1 });
+
+    expect((await runJob(job)).body.data).toMatchObject({ candidates: 1, enrolled: 1 });
+    expect((await runJob(job)).body.data).toMatchObject({ candidates: 1, enrolled: 1 });
+    expect((await runJob(job)).body.data.candidates).toBe(0);
+    expect((await CampaignEnrollment.distinct("userId")).sort()).toEqual(["user_1", "user_2"]);
+  });
+
+  it("records messages that weren't queued so the customer isn't picked again", async () => {
+    await User.create({ userId: "user_1", whatsappNumber: "919876543210", createdAt: hoursAgo(24 * 60) });
+    const job = await createJob({ name: "win-back", type: "inactive-customers", templateName: "bo_we_miss_you" });
+
+    // Opted out between the candidate query and queueing
+    jest.spyOn(consentService, "checkConsent").mockResolvedValueOnce({ allowed: false, reason: "opted-out:transactional" });
+
+    expect((await runJob(job)).body.data).toMatchObject({ candidates: 1, enrolled: 0, skipped: 1 });
+    const enrollment = await CampaignEnrollment.findOne();
+    expect(enrollment.messageStatus).toBe("suppressed");
+    expect(enrollment.outboundMessageId).toEqual((await OutboundMessage.findOne({ status: "suppressed" }))._id);
+
+    expect((await runJob(job)).body.data.candidates).toBe(0);
+    expect(await OutboundMessage.countDocuments()).toBe(1);
+  });
+
+  it("follows up on first orders", async () => {
+    await User.create({ userId: "user_1", name: "First", whatsappNumber: "919876543210" });
+    await Order.create([
+      { orderId: "order_1", externalOrderId: 101, user: { userId: "user_1", name: "First" }, createdAt: hoursAgo(72) },
+      { orderId: "order_2", user: { userId: "user_2", name: "Repeat" }, createdAt: hoursAgo(72) },
+      { orderId: "order_3", user: { userId: "user_2", name: "Repeat" }, createdAt: hoursAgo(60) },
+    ]);
+
+    const job = await createJob({
+      name: "first-order",
+      type: "first-order-follow-up",
+      templateName: "bo_first_order_follow_up",
+      parameters: [{ name: "order_id", path: "order.externalOrderId" }],
+    });
+
+    const res = await runJob(job);
+    expect(res.body.data).toMatchObject({ candidates: 1, enrolled: 1 });
+
+    await messageQueue.processPendingMessages();
+    expect(watiStub.templateRequests()[0].body.parameters).toEqual([{ name: "order_id", value: "101" }]);
+  });
+
+  it("moves on to the next first-order customers once a batch is enrolled", async () => {
+    await User.create([
+      { userId: "user_1", whatsappNumber: "919876543210" },
+      { userId: "user_2", whatsappNumber: "919123456780" },
+    ]);
+    await Order.create([
+      { orderId: "order_1", user: { userId: "user_1" }, createdAt: hoursAgo(72) },
+      { orderId: "order_2", user: { userId: "user_2" }, createdAt: hoursAgo(72) },
+    ]);
+
+    const job = await createJob({
+      name: "first-order",
+      type: "first-order-follow-up",
+      templateName: "bo_first_order_follow_up",
+      batchSize: 1,
+    });
+
+    expect((await runJob(job)).body.data).toMatchObject({ candidates: 1, enrolled: 1 });
+    expect((await runJob(job)).body.data).toMatchObject({ candidates: 1, enrolled: 1, alreadyEnrolled: 0 });
+    expect((await runJob(job)).body.data.candidates).toBe(0);
+  });
+
+  it("formats the abandoned cart amount in the seeded reminder", async () => {
+    await scheduler.seedJobs();
+    const job = await ScheduledJob.findOne({ name: "abandoned-cart-reminder" });
+    const amount = (cart) => renderParameters(job.parameters, { cart }).find((param) => param.name === "amount").value;
+
+    expect(amount({ amount: 1245 })).toBe("₹1,245");
+    expect(amount({})).toBe("₹0");
+  });
+
+  it("runs only enabled jobs that are due and records the run", async () => {
+    await scheduler.seedJobs();
+    await ScheduledJob.updateOne({ name: "abandoned-cart-reminder" }, { enabled: true });
+
+    expect(await scheduler.runDueJobs()).toBe(1);
+
+    const job = await ScheduledJob.findOne({ name: "abandoned-cart-reminder" });
+    expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+    expect(job.lockedAt).toBeUndefined();
+    expect(await JobRun.countDocuments({ jobId: job._id, trigger: "schedule" })).toBe(1);
+
+    expect(await scheduler.runDueJobs()).toBe(0);
+  });
+
+  it("rejects invalid jobs", async () => {
+    const res = await request(app)
+      .post("/api/scheduler/jobs")
+      .set("x-api-key", ADMIN_KEY)
+      .send({ name: "broken", type: "birthday" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      "type must be one of: inactive-customers, first-order-follow-up, abandoned-cart, business-summary",
+      "templateName is required",
+    ]);
+  });
+});
@@ -0,0 +1,14 @@
+// Environment for the test run; loaded before any module reads src/config
+const os = require("os");
+const path = require("path");
+
+process.env.NODE_ENV = "test";
+process.env.WEBHOOK_SECRET = "test-webhook-secret";
+process.env.TENANT_ID = "test-tenant";
+process.env.WATI_API_KEY = "test-wati-key";
+process.env.MESSAGING_PROVIDER = "wati";
+process.env.ADMIN_API_KEY = "test-admin-key";
+process.env.WATI_WEBHOOK_TOKEN = "test-wati-token";
+process.env.ENFORCE_QUIET_HOURS = "false";
+process.env.PUBLIC_BASE_URL = "http://localhost";
+process.env.INVOICE_STORAGE_DIR = path.join(os.tmpdir(), `wati-invoices-${process.pid}`);
@@ -0,0 +1,80 @@
+const db = require("./helpers/db");
+const templateService = require("../src/services/templateService");
+const eventTemplates = require("../src/templates/templateConfig");
+const TemplateMapping = require("../src/models/TemplateMapping");
+
+describe("template seeding", () => {
+  const original = eventTemplates["order.cancelled"];
+
+  // Simulate a changed built-in definition
+  const changeDefinition = () => {
+    eventTemplates["order.cancelled"] = {
+      ...original,
+      parameters: [...original.parameters, { name: "refund_amount", path: "order.refundAmount", formatter: "currency" }],
+    };
+  };
+
+  const findCancelled = () => TemplateMapping.findOne({ event: "order.cancelled" }).lean();
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterEach(async () => {
+    eventTemplates["order.cancelled"] = original;
+    await db.clear();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it("seeds each event once and newer versions disabled", async () => {
+    await templateService.seedTemplates();
+    expect(await templateService.seedTemplates()).toBe(0);
+
+    const delivered = await TemplateMapping.find({ event: "order.delivered" }).sort({ version: 1 }).lean();
+    expect(delivered.map(({ templateName, version, enabled }) => [templateName, version, enabled])).toEqual([
+      ["bo_order_delivered", 1, true],
+      ["bo_order_delivered_invoice", 2, false],
+    ]);
+  });
+
+  it("updates seeded mappings when their definition changes", async () => {
+    await templateService.seedTemplates();
+    await templateService.updateMapping((await findCancelled())._id, { enabled: false });
+
+    changeDefinition();
+    expect(await templateService.seedTemplates()).toBe(1);
+
+    const mapping = await findCancelled();
+    expect(mapping.parameters.map((parameter) => parameter.name)).toContain("refund_amount");
+    expect(mapping.version).toBe(1);
+    expect(mapping.enabled).toBe(false);
+  });
+
+  it("updates mappings seeded before definitions were tracked", async () => {
+    await templateService.seedTemplates();
+    await TemplateMapping.updateMany({}, { $unset: { seedHash: 1 } });
+
+    changeDefinition();
+    await templateService.seedTemplates();
+
+    const mapping = await findCancelled();
+    expect(mapping.parameters.map((parameter) => parameter.name)).toContain("refund_amount");
+    expect(mapping.seedHash).toBeDefined();
+  });
+
+  it("keeps mappings edited through the admin API", async () => {
+    await templateService.seedTemplates();
+    const parameters = [{ name: "order_id", path: "order.oid" }];
+    await templateService.updateMapping((await findCancelled())._id, { parameters });
+
+    changeDefinition();
+    await templateService.seedTemplates();
+
+    const mapping = await findCancelled();
+    expect(mapping.parameters).toEqual([expect.objectContaining(parameters[0])]);
+    expect(mapping.seedHash).toBeUndefined();
+  });
+});
@@ -0,0 +1,119 @@
+const { normalizePhoneNumber, getValueByPath } = require("../src/utils/helpers");
+const { renderParameters } = require("../src/templates/formatters");
+const { ITEMS_LIST_MAX_LENGTH, formatINR, formatItemsList, summarizeOrder } = require("../src/utils/orderSummary");
+const eventTemplates = require("../src/templates/templateConfig");
+const { generateSamplePayload } = require("../src/services/webhook");
+
+describe("normalizePhoneNumber", () => {
+  it.each([
+    ["9876543210", undefined, "919876543210"],
+    ["+91 98765-43210", undefined, "919876543210"],
+    ["09876543210", undefined, "919876543210"],
+    ["919876543210", undefined, "919876543210"],
+    ["9198765432", undefined, "919198765432"],
+    ["7911 123456", "44", "447911123456"],
+  ])("normalizes %s (calling code %s)", (input, callingCode, expected) => {
+    expect(normalizePhoneNumber(input, { callingCode })).toMatchObject({
+      valid: true,
+      whatsappNumber: expected,
+    });
+  });
+
+  it.each([
+    ["", "missing"],
+    ["abc", "invalid-characters"],
+    ["12345", "invalid-number"],
+    ["18002001234", "not-mobile"],
+  ])("rejects %p as %s", (input, reason) => {
+    expect(normalizePhoneNumber(input)).toMatchObject({ valid: false, reason });
+  });
+});
+
+describe("getValueByPath", () => {
+  it("reads nested values and tolerates missing ones", () => {
+    const data = { order: { user: { name: "Asha" } } };
+
+    expect(getValueByPath(data, "order.user.name")).toBe("Asha");
+    expect(getValueByPath(data, "order.items.0.name")).toBeUndefined();
+  });
+});
+
+describe("renderParameters", () => {
+  it("renders the bo_order_placed3 mapping", () => {
+    const { data } = generateSamplePayload("order.placed");
+    const [placed3] = eventTemplates["order.placed"].versions;
+
+    expect(renderParameters(placed3.parameters, data)).toEqual([
+      { name: "order_id", value: "123456" },
+      { name: "customer_name", value: "Test User" },
+      { name: "date", value: "" },
+      { name: "amount", value: "₹170" },
+      { name: "payment_method", value: "Cash on Delivery" },
+      { name: "items_list", value: "1 x Carrot - ₹50, 2 x Apple - ₹120" },
+      { name: "savings", value: "₹40" },
+      { name: "delivery_charge", value: "Free" },
+      { name: "gst", value: "₹0" },
+    ]);
+  });
+
+  it("falls back to defaults for missing values", () => {
+    const parameters = renderParameters(eventTemplates["order.cancelled"].parameters, { order: {} });
+
+    expect(parameters).toContainEqual({ name: "customer_name", value: "Customer" });
+    expect(parameters).toContainEqual({ name: "cancellation_reason", value: "Not specified" });
+    expect(parameters).toContainEqual({ name: "refund_status", value: "Pending" });
+  });
+});
+
+describe("order summary", () => {
+  const order = {
+    amount: 1245,
+    discount: 50,
+    deliveryCharge: 40,
+    items: [
+      { _id: { name: "Basmati Rice" }, qty: 2, price: 450, marketPrice: 500, gst: 5 },
+      { name: "Ghee\n1 L", qty: 1, price: 355, marketPrice: 355, gst: 12 },
+    ],
+  };
+
+  it("computes savings, delivery charge and GST", () => {
+    expect(summarizeOrder(order)).toMatchObject({
+      subtotal: 1255,
+      itemSavings: 100,
+      discount: 50,
+      savings: 150,
+      deliveryCharge: 40,
+      tax: 80.89,
+      total: 1245,
+    });
+    expect(summarizeOrder({ ...order, taxInAmount: 75 }).tax).toBe(75);
+  });
+
+  it.each([
+    [1245, "₹1,245"],
+    [125000.5, "₹1,25,000.50"],
+    ["99.999", "₹100"],
+    [undefined, ""],
+  ])("formats %p in INR", (amount, expected) => {
+    expect(formatINR(amount)).toBe(expected);
+  });
+
+  it("renders the order parameters", () => {
+    const parameters = renderParameters(eventTemplates["order.placed"].versions[0].parameters, { order });
+
+    expect(parameters).toContainEqual({ name: "items_list", value: "2 x Basmati Rice - ₹900, 1 x Ghee 1 L - ₹355" });
+    expect(parameters).toContainEqual({ name: "savings", value: "₹150" });
+    expect(parameters).toContainEqual({ name: "delivery_charge", value: "₹40" });
+    expect(parameters).toContainEqual({ name: "gst", value: "₹80.89" });
+  });
+
+  it("truncates long item lists with a count of the rest", () => {
+    const items = Array.from({ length: 40 }, (_, index) => ({ name: `Item ${index + 1}`, qty: 1, price: 10 }));
+
+    const list = formatItemsList(items, { maxLength: 60 });
+    expect(list).toBe("1 x Item 1 - ₹10, 1 x Item 2 - ₹10, +38 more items");
+    expect(list.length).toBeLessThanOrEqual(60);
+    expect(formatItemsList(items).length).toBeLessThanOrEqual(ITEMS_LIST_MAX_LENGTH);
+    expect(formatItemsList([{ name: "A very long product name", qty: 1, price: 10 }], { maxLength: 12 })).toBe("1 x A very …");
+  });
+});
@@ -0,0 +1,307 @@
+const request = require("supertest");
+const app = require("../server");
+const { config } = require("../src/config");
+const db = require("./helpers/db");
+const { createWatiStub } = require("./helpers/watiStub");
+const { postWebhook } = require("./helpers/webhook");
+const webhookService = require("../src/services/webhook");
+const messageQueue = require("../src/services/messageQueue");
+const templateService = require("../src/services/templateService");
+const { formatDate } = require("../src/utils/helpers");
+const Order = require("../src/models/Order");
+const User = require("../src/models/User");
+const OutboundMessage = require("../src/models/OutboundMessage");
+const Message = require("../src/models/Message");
+const WebhookEvent = require("../src/models/WebhookEvent");
+const TemplateMapping = require("../src/models/TemplateMapping");
+
+describe("POST /growcify-webhook", () => {
+  let watiStub;
+
+  beforeAll(async () => {
+    await db.connect();
+    watiStub = await createWatiStub();
+    config.watiApiBaseUrl = watiStub.url;
+  });
+
+  beforeEach(async () => {
+    await templateService.seedTemplates();
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    watiStub.reset();
+  });
+
+  afterAll(async () => {
+    await watiStub.close();
+    await db.close();
+  });
+
+  it("sends order.placed with the exact template and parameters", async () => {
+    const payload = webhookService.generateSamplePayload("order.placed");
+
+    const res = await postWebhook(app, payload);
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.tenantId).toBe("test-tenant");
+    expect(sent.authorization).toBe("Bearer test-wati-key");
+    expect(sent.whatsappNumber).toBe("919876543210");
+    expect(sent.body.template_name).toBe("bo_order_placed2");
+    expect(sent.body.parameters).toEqual([
+      { name: "order_id", value: "123456" },
+      { name: "customer_name", value: "Test User" },
+      { name: "date", value: "" },
+      { name: "amount", value: "₹170" },
+      { name: "payment_method", value: "Cash on Delivery" },
+      { name: "items_list", value: "1 x Carrot - ₹50, 2 x Apple - ₹120" },
+    ]);
+  });
+
+  it("sends bo_order_placed3 with savings, delivery charge and GST once it is enabled", async () => {
+    const placed3 = await TemplateMapping.findOne({ templateName: "bo_order_placed3" });
+    expect(placed3.enabled).toBe(false);
+    await templateService.updateMapping(placed3._id, { enabled: true });
+
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.template_name).toBe("bo_order_placed3");
+    expect(sent.body.parameters.slice(6)).toEqual([
+      { name: "savings", value: "₹40" },
+      { name: "delivery_charge", value: "Free" },
+      { name: "gst", value: "₹0" },
+    ]);
+  });
+
+  it("sends user.signup with the exact template and parameters", async () => {
+    const payload = webhookService.generateSamplePayload("user.signup");
+
+    const res = await postWebhook(app, payload);
+    expect(res.status).toBe(200);
+
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.template_name).toBe("bo_signup1");
+    expect(sent.body.parameters).toEqual([
+      { name: "name", value: "Test User" },
+      { name: "mobile", value: "919876543210" },
+      { name: "referral_code", value: "TEST123" },
+    ]);
+
+    const user = await User.findOne({ userId: payload.data.user._id });
+    expect(user.name).toBe("Test User");
+  });
+
+  it.each([
+    ["user.signin", "bo_signin2", ["name", "mobile", "last_login"]],
+    ["order.cancelled", "bo_order_cancelled1", ["order_id", "customer_name", "date", "cancellation_reason", "refund_status"]],
+    ["order.delivered", "bo_order_delivered", ["order_id", "customer_name", "date", "amount", "delivery_date"]],
+    ["order.accepted", "bo_order_accepted", ["order_id", "customer_name", "amount", "items_list"]],
+    ["order.shipped", "bo_order_shipped", ["order_id", "customer_name", "delivery_agent", "agent_mobile", "eta"]],
+    ["order.out-for-delivery", "bo_order_out_for_delivery", ["order_id", "customer_name", "delivery_agent", "agent_mobile", "eta"]],
+    ["order.refunded", "bo_order_refunded", ["order_id", "customer_name", "refund_amount", "payment_method"]],
+    ["payment.success", "bo_payment_success", ["order_id", "customer_name", "amount", "transaction_id"]],
+    ["payment.failed", "bo_payment_failed", ["order_id", "customer_name", "amount", "failure_reason"]],
+  ])("sends %s using %s", async (event, templateName, parameterNames) => {
+    const res = await postWebhook(app, webhookService.generateSamplePayload(event));
+    expect(res.status).toBe(200);
+
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.template_name).toBe(templateName);
+    expect(sent.body.parameters.map((parameter) => parameter.name)).toEqual(parameterNames);
+  });
+
+  it("fills delivery_date with today's date for order.delivered", async () => {
+    await postWebhook(app, webhookService.generateSamplePayload("order.delivered"));
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.body.parameters).toContainEqual({ name: "delivery_date", value: formatDate(new Date()) });
+  });
+
+  it("records the sent message with the WATI message ID", async () => {
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    await messageQueue.processPendingMessages();
+
+    const message = await Message.findOne();
+    expect(message.providerMessageId).toBe("wati-msg-1");
+    expect(message.templateName).toBe("bo_order_placed2");
+    expect(message.status).toBe("sent");
+  });
+
+  it("upserts one order across its lifecycle", async () => {
+    const placed = webhookService.generateSamplePayload("order.placed");
+    const cancelled = {
+      event: "order.cancelled",
+      data: { order: { ...placed.data.order, cancellationReason: "Out of stock" } },
+    };
+
+    await postWebhook(app, placed);
+    await postWebhook(app, cancelled);
+
+    const orders = await Order.find();
+    expect(orders).toHaveLength(1);
+    expect(orders[0].status).toBe("cancelled");
+    expect(orders[0].statusHistory.map((entry) => entry.status)).toEqual(["new", "cancelled"]);
+    expect(orders[0].statusHistory[1].reason).toBe("Out of stock");
+  });
+
+  it("skips WhatsApp for POS orders but stores them", async () => {
+    const payload = webhookService.generateSamplePayload("order.placed");
+    payload.data.order.type = "pos";
+
+    const res = await postWebhook(app, payload);
+    expect(res.body.skipped).toBe(true);
+
+    await messageQueue.processPendingMessages();
+    expect(watiStub.templateRequests()).toHaveLength(0);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it("acknowledges duplicate deliveries without sending again", async () => {
+    const payload = webhookService.generateSamplePayload("order.placed");
+
+    const first = await postWebhook(app, payload);
+    const second = await postWebhook(app, payload);
+
+    expect(second.status).toBe(200);
+    expect(second.body.duplicate).toBe(true);
+    expect(second.body.eventId).toBe(first.body.eventId);
+
+    await messageQueue.processPendingMessages();
+    expect(watiStub.templateRequests()).toHaveLength(1);
+
+    const event = await WebhookEvent.findById(first.body.eventId);
+    expect(event.status).toBe("processed");
+    expect(event.duplicateCount).toBe(1);
+    expect(event.messageIds).toHaveLength(1);
+  });
+
+  it("records only one of two concurrent deliveries", async () => {
+    await WebhookEvent.init();
+    const payload = webhookService.generateSamplePayload("order.placed");
+
+    const responses = await Promise.all([postWebhook(app, payload), postWebhook(app, payload)]);
+
+    expect(responses.map((res) => res.status)).toEqual([200, 200]);
+    expect(responses.filter((res) => res.body.duplicate)).toHaveLength(1);
+    expect(await WebhookEvent.countDocuments()).toBe(1);
+    expect(await OutboundMessage.countDocuments()).toBe(1);
+  });
+
+  it("reprocesses a delivery after the earlier attempt failed", async () => {
+    await WebhookEvent.init();
+    const payload = webhookService.generateSamplePayload("order.placed");
+    await postWebhook(app, payload);
+    await WebhookEvent.updateOne({}, { status: "failed" });
+
+    const res = await postWebhook(app, payload);
+
+    expect(res.body.duplicate).toBeUndefined();
+    expect(await WebhookEvent.countDocuments()).toBe(2);
+    expect(await WebhookEvent.countDocuments({ dedupeKey: { $exists: true } })).toBe(1);
+  });
+
+  it("reprocesses a delivery whose earlier attempt got stuck in processing", async () => {
+    await WebhookEvent.init();
+    const payload = webhookService.generateSamplePayload("order.placed");
+    const first = await postWebhook(app, payload);
+
+    await WebhookEvent.updateOne({}, { status: "processing" });
+    expect((await postWebhook(app, payload)).body.duplicate).toBe(true);
+
+    await WebhookEvent.updateOne({}, { processingStartedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    const res = await postWebhook(app, payload);
+
+    expect(res.body.duplicate).toBeUndefined();
+    const stuck = await WebhookEvent.findById(first.body.eventId);
+    expect(stuck.status).toBe("failed");
+    expect(stuck.dedupeKey).toBeUndefined();
+    expect((await WebhookEvent.findById(res.body.eventId)).status).toBe("processed");
+  });
+
+  it("retries 5xx responses from WATI with backoff", async () => {
+    watiStub.respondWith(503, { error: "Service unavailable" });
+
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    await messageQueue.processPendingMessages();
+
+    const message = await OutboundMessage.findOne();
+    expect(message.status).toBe("pending");
+    expect(message.attempts).toBe(1);
+    expect(message.lastError.statusCode).toBe(503);
+    expect(message.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("dead-letters 4xx responses from WATI and replays them", async () => {
+    watiStub.respondWith(400, { info: "Template not found" });
+
+    await postWebhook(app, webhookService.generateSamplePayload("order.placed"));
+    await messageQueue.processPendingMessages();
+
+    const message = await OutboundMessage.findOne();
+    expect(message.status).toBe("dead-lettered");
+
+    const res = await request(app)
+      .post(`/api/admin/messages/${message._id}/replay`)
+      .set("X-API-Key", "test-admin-key");
+    expect(res.status).toBe(200);
+
+    await messageQueue.processPendingMessages();
+    expect(watiStub.templateRequests()).toHaveLength(2);
+    expect((await OutboundMessage.findById(message._id)).status).toBe("sent");
+  });
+
+  it("sends to the stored international number of a non-Indian customer", async () => {
+    await messageQueue.enqueueMessage({
+      mobileNumber: "+65 9123 4567",
+      templateName: "bo_order_placed2",
+      parameters: []
+    });
+    await messageQueue.processPendingMessages();
+
+    const [sent] = watiStub.templateRequests();
+    expect(sent.whatsappNumber).toBe("6591234567");
+    expect((await OutboundMessage.findOne()).status).toBe("sent");
+  });
+
+  it("rejects invalid numbers without calling WATI", async () => {
+    const payload = webhookService.generateSamplePayload("order.placed");
+    payload.data.order.user.mobile = "12345";
+
+    const res = await postWebhook(app, payload);
+    expect(res.status).toBe(200);
+    expect(res.body.rejected).toBe(true);
+
+    await messageQueue.processPendingMessages();
+    expect(watiStub.templateRequests()).toHaveLength(0);
+    expect((await OutboundMessage.findOne()).rejectionReason).toBe("invalid-number");
+  });
+
+  it("rejects requests with an invalid signature", async () => {
+    const res = await postWebhook(app, webhookService.generateSamplePayload("order.placed"), {
+      secret: "wrong-secret",
+    });
+
+    expect(res.status).toBe(401);
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+
+  it("rejects stale timestamps", async () => {
+    const staleTimestamp = `${Math.floor(Date.now() / 1000) - 3600}`;
+    const res = await postWebhook(app, webhookService.generateSamplePayload("order.placed"), {
+      timestamp: staleTimestamp,
+    });
+
+    expect(res.status).toBe(401);
+  });
+});